@@ -0,0 +1,110 @@
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+
+const TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "7d";
+// Other tokens signed with JWT_SECRET use a different audience
+const TOKEN_AUDIENCE = "access";
+// Short-lived tokens for EventSource streams, passed in the query string
+const STREAM_TOKEN_AUDIENCE = "events";
+const STREAM_TOKEN_EXPIRES_IN = 60;
+
+/**
+ * Sign an access token for a user
+ * @param {Object} user - User document
+ * @returns {string} - Signed JWT
+ */
+function signToken(user) {
+  return jwt.sign({ sub: user._id.toString() }, process.env.JWT_SECRET, {
+    expiresIn: TOKEN_EXPIRES_IN,
+    audience: TOKEN_AUDIENCE,
+  });
+}
+
+/**
+ * Sign a token that opens one roadmap's event stream. EventSource can't set
+ * headers, so it goes in the URL; it expires quickly so a logged URL is
+ * useless, and only needs to be valid when the stream connects.
+ * @param {Object} user - User document
+ * @param {string} roadmapId - Roadmap the stream is for
+ * @returns {string} - Signed JWT
+ */
+function signStreamToken(user, roadmapId) {
+  return jwt.sign(
+    { sub: user._id.toString(), roadmapId: roadmapId.toString() },
+    process.env.JWT_SECRET,
+    { expiresIn: STREAM_TOKEN_EXPIRES_IN, audience: STREAM_TOKEN_AUDIENCE }
+  );
+}
+
+/**
+ * Read the token from "Authorization: Bearer <token>"
+ */
+function getRequestToken(req) {
+  const [scheme, token] = (req.get("Authorization") || "").split(" ");
+  return scheme === "Bearer" && token ? token : null;
+}
+
+/**
+ * Require a valid access token.
+ * Loads the user and attaches it to req.user.
+ */
+async function requireAuth(req, res, next) {
+  const token = getRequestToken(req);
+
+  if (!token) {
+    return res.status(401).json({ error: "Authentication required" });
+  }
+
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET, {
+      audience: TOKEN_AUDIENCE,
+    });
+    const user = await User.findById(payload.sub);
+
+    if (!user) {
+      return res.status(401).json({ error: "Invalid or expired token" });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    return res.status(401).json({ error: "Invalid or expired token" });
+  }
+}
+
+/**
+ * Require a stream token for the roadmap in req.params.id (the "token" query
+ * parameter), or a valid access token for clients that can set headers.
+ * Loads the user and attaches it to req.user.
+ */
+async function requireStreamAuth(req, res, next) {
+  const token = req.query.token;
+  if (!token) {
+    return requireAuth(req, res, next);
+  }
+
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET, {
+      audience: STREAM_TOKEN_AUDIENCE,
+    });
+    const user =
+      payload.roadmapId === req.params.id && (await User.findById(payload.sub));
+
+    if (!user) {
+      return res.status(401).json({ error: "Invalid or expired token" });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    return res.status(401).json({ error: "Invalid or expired token" });
+  }
+}
+
+module.exports = {
+  STREAM_TOKEN_EXPIRES_IN,
+  signToken,
+  signStreamToken,
+  requireAuth,
+  requireStreamAuth,
+};
@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+
+// Records assistant action tokens that have been redeemed, so each one
+// can only execute once. Entries expire along with the token itself.
+const actionTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  type: {
+    type: String,
+  },
+  usedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+actionTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("ActionToken", actionTokenSchema);
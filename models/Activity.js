@@ -0,0 +1,79 @@
+const mongoose = require("mongoose");
+
+// Learning activity log. Kept indefinitely; streaks, heatmaps and analytics
+// are computed from it.
+const activitySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  date: {
+    type: Date,
+    required: true,
+    default: Date.now,
+  },
+  type: {
+    type: String,
+    enum: [
+      "step_completed",
+      "resource_viewed",
+      "note_added",
+      "roadmap_created",
+      "quiz_completed",
+    ],
+    required: true,
+  },
+  roadmapId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Resource",
+  },
+  stepId: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  details: {
+    type: String,
+  },
+});
+
+// Date-range scans per user (heatmaps, streak rebuilds)
+activitySchema.index({ userId: 1, date: -1 });
+// Finding the activity to retract for a step
+activitySchema.index({ userId: 1, type: 1, roadmapId: 1, stepId: 1 });
+
+/**
+ * Count a user's activities per calendar day in their time zone
+ * @param {string} userId - User ID
+ * @param {Object} options - { from, to, timezone }
+ * @returns {Promise<Object>} - { "YYYY-MM-DD": count }
+ */
+activitySchema.statics.countByDay = async function (
+  userId,
+  { from, to, timezone = "UTC" } = {}
+) {
+  const date = {};
+  if (from) date.$gte = from;
+  if (to) date.$lt = to;
+
+  const days = await this.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(userId),
+        ...(from || to ? { date } : {}),
+      },
+    },
+    {
+      $group: {
+        _id: {
+          $dateToString: { format: "%Y-%m-%d", date: "$date", timezone },
+        },
+        count: { $sum: 1 },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+
+  return Object.fromEntries(days.map((day) => [day._id, day.count]));
+};
+
+module.exports = mongoose.model("Activity", activitySchema);
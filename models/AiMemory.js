@@ -32,11 +32,14 @@ const roadmapContextSchema = new mongoose.Schema(
 );
 
 const aiMemorySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
   sessionId: {
     type: String,
     required: true,
-    unique: true,
-    index: true,
   },
   messages: {
     type: [messageSchema],
@@ -68,8 +71,26 @@ aiMemorySchema.pre("save", function (next) {
   next();
 });
 
+// Session IDs are only unique per user
+aiMemorySchema.index({ userId: 1, sessionId: 1 }, { unique: true });
+
 // Index for cleanup of old sessions
 aiMemorySchema.index({ updatedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 }); // 7 days TTL
 
+// Drop the unique index on sessionId alone, from before sessions belonged
+// to users. Mongoose never removes indexes, and with it in place a second
+// user's "default" session can't be saved. Safe to run repeatedly.
+aiMemorySchema.statics.dropLegacySessionIndex = async function () {
+  try {
+    await this.collection.dropIndex("sessionId_1");
+    console.log("📦 Dropped legacy AiMemory sessionId index");
+  } catch (error) {
+    // IndexNotFound, or NamespaceNotFound before the collection exists
+    if (error.code !== 27 && error.code !== 26) {
+      throw error;
+    }
+  }
+};
+
 module.exports = mongoose.model("AiMemory", aiMemorySchema);
 
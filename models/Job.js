@@ -0,0 +1,96 @@
+const mongoose = require("mongoose");
+
+const jobSchema = new mongoose.Schema({
+  // Which handler runs this job
+  type: {
+    type: String,
+    enum: ["gather_resources"],
+    required: true,
+  },
+  // Owner of the job
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  // Roadmap the job works on (at most one running job per roadmap)
+  roadmapId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Resource",
+  },
+  // Handler-specific input
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  state: {
+    type: String,
+    enum: ["queued", "running", "completed", "failed"],
+    default: "queued",
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3,
+  },
+  lastError: {
+    type: String,
+  },
+  // Don't run before this time (used for retry backoff)
+  runAfter: {
+    type: Date,
+    default: Date.now,
+  },
+  // Lease held by the worker currently running the job
+  lockedBy: {
+    type: String,
+    default: null,
+  },
+  leaseExpiresAt: {
+    type: Date,
+    default: null,
+  },
+  heartbeatAt: {
+    type: Date,
+  },
+  // Progress reported by the handler
+  progress: {
+    completed: { type: Number, default: 0 },
+    total: { type: Number, default: 0 },
+    message: String,
+  },
+  startedAt: {
+    type: Date,
+  },
+  finishedAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Index for claiming the next runnable job
+jobSchema.index({ state: 1, runAfter: 1, createdAt: 1 });
+
+// Per-roadmap mutual exclusion: only one running job per roadmap
+jobSchema.index(
+  { roadmapId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      state: "running",
+      roadmapId: { $exists: true },
+    },
+  }
+);
+
+// Keep finished jobs for a week
+jobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model("Job", jobSchema);
@@ -0,0 +1,108 @@
+const mongoose = require("mongoose");
+
+// Whether a channel is used, and for which notification types
+// (an empty list means every type)
+const channelPreferenceSchema = new mongoose.Schema(
+  {
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    types: {
+      type: [String],
+      default: [],
+    },
+  },
+  { _id: false }
+);
+
+// "HH:MM", 24-hour
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// How a user wants to be notified. Destinations live in
+// NotificationSubscription; these settings choose between them.
+const notificationPreferencesSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    unique: true,
+  },
+  channels: {
+    web_push: { type: channelPreferenceSchema, default: () => ({}) },
+    email: { type: channelPreferenceSchema, default: () => ({}) },
+    webhook: { type: channelPreferenceSchema, default: () => ({}) },
+  },
+  // Local times (in the user's progress timezone) when nothing is sent;
+  // may wrap past midnight, e.g. 22:00-07:00
+  quietHours: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    start: {
+      type: String,
+      match: TIME_OF_DAY,
+      default: "22:00",
+    },
+    end: {
+      type: String,
+      match: TIME_OF_DAY,
+      default: "07:00",
+    },
+  },
+  // Most notifications sent per local day; null uses the server default
+  dailyLimit: {
+    type: Number,
+    min: 1,
+    max: 100,
+    default: null,
+  },
+  // Monday summary of the past week (see services/weeklyDigest.js)
+  weeklyDigest: {
+    type: Boolean,
+    default: true,
+  },
+  // BCP 47 tag for notification text; null uses the default locale
+  locale: {
+    type: String,
+    default: null,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+/**
+ * Whether a notification type should go out on a channel
+ * @param {string} channel - e.g. "web_push"
+ * @param {string} type - ScheduledNotification type
+ * @returns {boolean}
+ */
+notificationPreferencesSchema.methods.allows = function (channel, type) {
+  const preference = this.channels[channel];
+  if (!preference) {
+    return true;
+  }
+  return (
+    preference.enabled &&
+    (preference.types.length === 0 || preference.types.includes(type))
+  );
+};
+
+// Get or create a user's preferences
+notificationPreferencesSchema.statics.forUser = async function (userId) {
+  let preferences = await this.findOne({ userId });
+  if (!preferences) {
+    preferences = new this({ userId });
+    await preferences.save();
+  }
+  return preferences;
+};
+
+module.exports = mongoose.model(
+  "NotificationPreferences",
+  notificationPreferencesSchema
+);
+module.exports.TIME_OF_DAY = TIME_OF_DAY;
@@ -0,0 +1,96 @@
+const mongoose = require("mongoose");
+const ScheduledNotification = require("./ScheduledNotification");
+const { DEFAULT_TIMEZONE, isValidTimezone } = require("../utils/timezone");
+
+// A recurring notification. Each active series has one pending
+// ScheduledNotification for its next occurrence; the dispatcher creates the
+// following one after each is sent (see services/notificationSchedules.js).
+const notificationScheduleSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  // What each occurrence sends
+  type: {
+    type: String,
+    enum: ScheduledNotification.schema.path("type").enumValues,
+    required: true,
+  },
+  title: {
+    type: String,
+    required: true,
+  },
+  message: {
+    type: String,
+    required: true,
+  },
+  metadata: {
+    roadmapId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Resource",
+    },
+    roadmapTitle: String,
+    stepId: mongoose.Schema.Types.ObjectId,
+    stepTitle: String,
+    category: String,
+  },
+  // Exactly one of cron or rrule (see utils/recurrence.js)
+  cron: {
+    type: String,
+  },
+  rrule: {
+    type: String,
+  },
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE,
+    validate: {
+      validator: isValidTimezone,
+      message: (props) => `${props.value} is not a valid IANA time zone`,
+    },
+  },
+  // No occurrence before startAt or after endAt
+  startAt: {
+    type: Date,
+    default: Date.now,
+  },
+  endAt: {
+    type: Date,
+  },
+  // Stop after this many occurrences
+  maxOccurrences: {
+    type: Number,
+    min: 1,
+  },
+  occurrences: {
+    type: Number,
+    default: 0,
+  },
+  // "ended" once there are no more occurrences, or when cancelled
+  status: {
+    type: String,
+    enum: ["active", "paused", "ended"],
+    default: "active",
+  },
+  nextRunAt: {
+    type: Date,
+  },
+  lastRunAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+module.exports = mongoose.model(
+  "NotificationSchedule",
+  notificationScheduleSchema
+);
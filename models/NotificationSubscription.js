@@ -0,0 +1,104 @@
+const mongoose = require("mongoose");
+
+// Channels a user can subscribe a destination to (the sink is server-wide)
+const CHANNELS = ["web_push", "email", "webhook"];
+
+// One place a user's notifications are delivered: a browser push
+// subscription, an email address or a webhook URL
+const notificationSubscriptionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  channel: {
+    type: String,
+    enum: CHANNELS,
+    required: true,
+  },
+  // Name shown in settings, e.g. "Chrome on laptop"
+  label: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+  // PushSubscription from the browser (web_push)
+  webPush: {
+    endpoint: String,
+    keys: {
+      p256dh: String,
+      auth: String,
+    },
+  },
+  // Recipient address (email)
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+  },
+  // An email address only receives notifications once its owner follows
+  // the link sent to it
+  confirmedAt: {
+    type: Date,
+  },
+  confirmation: {
+    tokenHash: String,
+    expiresAt: Date,
+  },
+  // Destination and signing secret (webhook)
+  webhook: {
+    url: String,
+    secret: String,
+  },
+  // Turned off when the destination reports it no longer exists
+  enabled: {
+    type: Boolean,
+    default: true,
+  },
+  disabledReason: {
+    type: String,
+  },
+  // Consecutive failed deliveries
+  failureCount: {
+    type: Number,
+    default: 0,
+  },
+  lastError: {
+    type: String,
+  },
+  lastDeliveredAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// A browser endpoint belongs to whoever subscribed it last
+notificationSubscriptionSchema.index(
+  { "webPush.endpoint": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "webPush.endpoint": { $type: "string" } },
+  }
+);
+
+// The webhook secret is only shown once, when the subscription is created
+notificationSubscriptionSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    if (ret.webhook) {
+      delete ret.webhook.secret;
+    }
+    delete ret.confirmation;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+module.exports = mongoose.model(
+  "NotificationSubscription",
+  notificationSubscriptionSchema
+);
+module.exports.CHANNELS = CHANNELS;
@@ -84,6 +84,12 @@ const learningStepSchema = new mongoose.Schema(
 );
 
 const resourceSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
   title: {
     type: String,
     required: true,
@@ -1,10 +1,17 @@
 const mongoose = require("mongoose");
 
 const scheduledNotificationSchema = new mongoose.Schema({
+  // Owner of the notification
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
   // Type of notification
   type: {
     type: String,
-    enum: ["streak_reminder", "skill_added", "achievement", "daily_reminder", "custom"],
+    enum: ["streak_reminder", "streak_freeze", "skill_added", "achievement", "daily_reminder", "weekly_digest", "custom"],
     required: true,
   },
   // Title for the notification
@@ -24,11 +31,63 @@ const scheduledNotificationSchema = new mongoose.Schema({
     index: true,
   },
   // Status of the notification
+  // "sending" while a dispatcher holds it; "expired" if it was due but never sent in time
   status: {
     type: String,
-    enum: ["pending", "sent", "cancelled"],
+    enum: ["pending", "sending", "sent", "expired", "cancelled"],
     default: "pending",
   },
+  // Why it was cancelled or expired instead of sent
+  statusReason: {
+    type: String,
+  },
+  // Dispatcher claim (see services/notificationDispatcher.js)
+  lockedBy: {
+    type: String,
+  },
+  leaseExpiresAt: {
+    type: Date,
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  lastError: {
+    type: String,
+  },
+  // Each time quiet hours or the daily limit pushed it back
+  // (see services/notificationPolicy.js)
+  deferrals: [
+    {
+      _id: false,
+      reason: String,
+      from: Date,
+      until: Date,
+    },
+  ],
+  // The digest it was folded into, if it was collapsed with others
+  collapsedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "ScheduledNotification",
+  },
+  // Outcome per channel (see services/channels)
+  deliveries: [
+    {
+      _id: false,
+      channel: String,
+      subscriptionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "NotificationSubscription",
+      },
+      status: {
+        type: String,
+        enum: ["sent", "failed", "skipped"],
+      },
+      error: String,
+      retryable: Boolean,
+      attemptedAt: Date,
+    },
+  ],
   // Related data (roadmap ID, etc.)
   metadata: {
     roadmapId: {
@@ -36,13 +95,48 @@ const scheduledNotificationSchema = new mongoose.Schema({
       ref: "Resource",
     },
     roadmapTitle: String,
+    stepId: mongoose.Schema.Types.ObjectId,
+    stepTitle: String,
     category: String,
     streakCount: Number,
+    // Local day ("YYYY-MM-DD") a streak_reminder is for
+    day: String,
+    // Week a weekly_digest covers ("YYYY-MM-DD" of its Monday)
+    week: String,
+    // Every roadmap a digest covers
+    roadmapIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Resource",
+      },
+    ],
+  },
+  // Recurring series this is an occurrence of
+  scheduleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "NotificationSchedule",
+    index: true,
   },
   // When it was actually sent
   sentAt: {
     type: Date,
   },
+  // Inbox state (see services/notificationInbox.js)
+  read: {
+    type: Boolean,
+    default: false,
+  },
+  readAt: {
+    type: Date,
+  },
+  // Hidden from the inbox by the user
+  dismissedAt: {
+    type: Date,
+  },
+  // Hidden from the inbox for age
+  archivedAt: {
+    type: Date,
+  },
   // Created timestamp
   createdAt: {
     type: Date,
@@ -52,6 +146,44 @@ const scheduledNotificationSchema = new mongoose.Schema({
 
 // Index for efficient querying of pending notifications
 scheduledNotificationSchema.index({ status: 1, scheduledFor: 1 });
+// Finding claims abandoned by a crashed dispatcher
+scheduledNotificationSchema.index({ status: 1, leaseExpiresAt: 1 });
+// Inbox pages and unread counts
+scheduledNotificationSchema.index({
+  userId: 1,
+  status: 1,
+  scheduledFor: -1,
+  _id: -1,
+});
+// Archiving old sent notifications
+scheduledNotificationSchema.index({ status: 1, sentAt: 1 });
+// At most one pending weekly digest per user and week
+scheduledNotificationSchema.index(
+  { userId: 1, "metadata.week": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { type: "weekly_digest", status: "pending" },
+  }
+);
+// At most one pending daily reminder per user
+scheduledNotificationSchema.index(
+  { userId: 1, type: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { type: "daily_reminder", status: "pending" },
+  }
+);
+// At most one streak reminder per user and day
+scheduledNotificationSchema.index(
+  { userId: 1, "metadata.day": 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      type: "streak_reminder",
+      "metadata.day": { $exists: true },
+    },
+  }
+);
 
 module.exports = mongoose.model("ScheduledNotification", scheduledNotificationSchema);
 
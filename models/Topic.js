@@ -1,6 +1,12 @@
 const mongoose = require('mongoose');
 
 const topicSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
     title: {
         type: String,
         required: true
@@ -1,31 +1,23 @@
 const mongoose = require("mongoose");
+const ScheduledNotification = require("./ScheduledNotification");
+const Activity = require("./Activity");
+const { evaluateAchievements } = require("../services/achievements");
+const { renderForUser } = require("../services/notificationTemplates");
+const {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  dayKey,
+  daysBetween,
+  addDays,
+} = require("../utils/timezone");
 
-const activitySchema = new mongoose.Schema({
-  date: {
-    type: Date,
-    required: true,
-  },
-  type: {
-    type: String,
-    enum: [
-      "step_completed",
-      "resource_viewed",
-      "note_added",
-      "roadmap_created",
-    ],
-    required: true,
-  },
-  roadmapId: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: "Resource",
-  },
-  stepId: {
-    type: mongoose.Schema.Types.ObjectId,
-  },
-  details: {
-    type: String,
-  },
-});
+// One streak freeze is earned per this many consecutive days
+const STREAK_FREEZE_INTERVAL =
+  parseInt(process.env.STREAK_FREEZE_INTERVAL) || 7;
+// Most freezes a user can hold at once
+const STREAK_FREEZE_MAX = parseInt(process.env.STREAK_FREEZE_MAX) || 2;
+// Share of correct answers needed to pass a quiz
+const QUIZ_PASS_RATIO = 0.7;
 
 const reminderSchema = new mongoose.Schema({
   enabled: {
@@ -45,12 +37,71 @@ const reminderSchema = new mongoose.Schema({
   },
 });
 
+const achievementUnlockSchema = new mongoose.Schema(
+  {
+    id: {
+      type: String,
+      required: true,
+    },
+    unlockedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const streakFreezeUseSchema = new mongoose.Schema(
+  {
+    day: {
+      type: String, // YYYY-MM-DD in the user's time zone that was skipped
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    streakCount: {
+      type: Number, // Streak the freeze preserved
+    },
+  },
+  { _id: false }
+);
+
+const streakFreezeSchema = new mongoose.Schema(
+  {
+    available: {
+      type: Number,
+      default: 0,
+    },
+    // Day the last freeze was earned, so a streak day can't earn twice
+    lastEarnedDay: {
+      type: String,
+    },
+    history: {
+      type: [streakFreezeUseSchema],
+      default: [],
+    },
+  },
+  { _id: false }
+);
+
 const userProgressSchema = new mongoose.Schema({
-  oderId: {
-    type: String,
-    default: "default", // For now, single user
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
     unique: true,
   },
+  // IANA time zone that defines the user's day boundaries
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE,
+    validate: {
+      validator: isValidTimezone,
+      message: (props) => `${props.value} is not a valid IANA time zone`,
+    },
+  },
   // Streak tracking
   currentStreak: {
     type: Number,
@@ -63,6 +114,11 @@ const userProgressSchema = new mongoose.Schema({
   lastActivityDate: {
     type: Date,
   },
+  // Freezes cover a single missed day without breaking the streak
+  streakFreezes: {
+    type: streakFreezeSchema,
+    default: () => ({}),
+  },
   // Total stats
   totalStepsCompleted: {
     type: Number,
@@ -76,21 +132,35 @@ const userProgressSchema = new mongoose.Schema({
     type: Number,
     default: 0,
   },
-  // Activity history (last 90 days for heatmap)
-  activities: {
-    type: [activitySchema],
-    default: [],
-  },
   // Reminder settings
   reminder: {
     type: reminderSchema,
     default: () => ({}),
   },
+  // Quiz results (a quiz counts as passed at QUIZ_PASS_RATIO)
+  totalQuizzesCompleted: {
+    type: Number,
+    default: 0,
+  },
+  quizStreak: {
+    type: Number,
+    default: 0,
+  },
+  longestQuizStreak: {
+    type: Number,
+    default: 0,
+  },
   // Achievements unlocked
   achievements: {
     type: [String],
     default: [],
   },
+  // When each achievement was unlocked (achievements unlocked before this
+  // was recorded have no entry)
+  achievementUnlocks: {
+    type: [achievementUnlockSchema],
+    default: [],
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -102,32 +172,35 @@ const userProgressSchema = new mongoose.Schema({
 });
 
 // Method to check and update streak
-userProgressSchema.methods.updateStreak = function () {
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-
+// Days are counted in the user's time zone
+userProgressSchema.methods.updateStreak = function (date = new Date()) {
   if (!this.lastActivityDate) {
     this.currentStreak = 1;
-    this.lastActivityDate = today;
-    return;
-  }
-
-  const lastActivity = new Date(this.lastActivityDate);
-  lastActivity.setHours(0, 0, 0, 0);
-
-  const diffDays = Math.floor((today - lastActivity) / (1000 * 60 * 60 * 24));
-
-  if (diffDays === 0) {
-    // Same day, no change to streak
-    return;
-  } else if (diffDays === 1) {
-    // Consecutive day, increment streak
-    this.currentStreak += 1;
-    this.lastActivityDate = today;
+    this.lastActivityDate = date;
   } else {
-    // Streak broken, reset to 1
-    this.currentStreak = 1;
-    this.lastActivityDate = today;
+    const diffDays = daysBetween(
+      dayKey(this.lastActivityDate, this.timezone),
+      dayKey(date, this.timezone)
+    );
+
+    if (diffDays <= 0) {
+      // Same day, no change to streak
+      return;
+    } else if (diffDays === 1) {
+      // Consecutive day, increment streak
+      this.currentStreak += 1;
+    } else if (diffDays === 2 && this.streakFreezes.available > 0) {
+      // Exactly one day missed: spend a freeze to keep the streak going
+      this.useStreakFreeze(
+        addDays(dayKey(this.lastActivityDate, this.timezone), 1),
+        date
+      );
+      this.currentStreak += 1;
+    } else {
+      // Streak broken, reset to 1
+      this.currentStreak = 1;
+    }
+    this.lastActivityDate = date;
   }
 
   // Update longest streak if needed
@@ -136,27 +209,32 @@ userProgressSchema.methods.updateStreak = function () {
   }
 };
 
+// Spend a streak freeze on a missed day
+userProgressSchema.methods.useStreakFreeze = function (day, usedAt) {
+  const use = { day, usedAt, streakCount: this.currentStreak };
+  this.streakFreezes.available -= 1;
+  this.streakFreezes.history.push(use);
+  // Picked up by the post-save hook, which notifies the user
+  this.$locals.usedStreakFreeze = use;
+};
+
 // Method to add activity
-userProgressSchema.methods.addActivity = function (
+// Records it in the Activity collection and updates stats and streak;
+// the caller saves the progress document
+userProgressSchema.methods.addActivity = async function (
   type,
   roadmapId,
   stepId,
   details
 ) {
-  const activity = {
+  const activity = await Activity.create({
+    userId: this.userId,
     date: new Date(),
     type,
     roadmapId,
     stepId,
     details,
-  };
-
-  this.activities.push(activity);
-
-  // Keep only last 90 days of activities
-  const ninetyDaysAgo = new Date();
-  ninetyDaysAgo.setDate(ninetyDaysAgo.getDate() - 90);
-  this.activities = this.activities.filter((a) => a.date >= ninetyDaysAgo);
+  });
 
   // Update stats
   switch (type) {
@@ -169,69 +247,279 @@ userProgressSchema.methods.addActivity = function (
     case "note_added":
       this.totalNotesAdded += 1;
       break;
+    case "quiz_completed":
+      this.totalQuizzesCompleted += 1;
+      break;
   }
 
   // Update streak
-  this.updateStreak();
+  this.updateStreak(activity.date);
   this.updatedAt = new Date();
+  // Picked up by the post-save hook, which cancels streak-at-risk reminders
+  this.$locals.recordedActivity = true;
+  return activity;
 };
 
-// Check for achievements
-userProgressSchema.methods.checkAchievements = function () {
-  const newAchievements = [];
+// Rebuild currentStreak and longestStreak from the activity log, using the
+// user's time zone for day boundaries. Days covered by a spent freeze keep
+// the streak going, as they did when it was counted. Used after a time zone
+// change and when an activity is retracted, since the incremental
+// updateStreak can't undo a day. A run that ended before yesterday is over
+// (currentStreak 0) unless a freeze covers the one missed day.
+// keepLongest: never lower longestStreak (history from before the activity
+// log was kept in full may be missing)
+userProgressSchema.methods.recomputeStreak = async function ({
+  keepLongest = false,
+} = {}) {
+  const days = Object.keys(
+    await Activity.countByDay(this.userId, { timezone: this.timezone })
+  );
+  const frozenDays = new Set(this.streakFreezes.history.map((f) => f.day));
+
+  let run = 0;
+  let longest = 0;
+  days.forEach((day, i) => {
+    const gap = i > 0 ? daysBetween(days[i - 1], day) : null;
+    const continues =
+      gap === 1 || (gap === 2 && frozenDays.has(addDays(day, -1)));
+    run = continues ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
 
-  // Streak achievements
-  if (this.currentStreak >= 3 && !this.achievements.includes("streak_3")) {
-    newAchievements.push("streak_3");
+  const latest = await Activity.findOne({ userId: this.userId })
+    .sort({ date: -1 })
+    .select("date");
+
+  const today = dayKey(new Date(), this.timezone);
+  const sinceLast =
+    days.length > 0 ? daysBetween(days[days.length - 1], today) : null;
+  const alive =
+    sinceLast !== null &&
+    (sinceLast <= 1 ||
+      (sinceLast === 2 &&
+        (frozenDays.has(addDays(today, -1)) ||
+          this.streakFreezes.available > 0)));
+
+  this.currentStreak = alive ? run : 0;
+  this.lastActivityDate = latest ? latest.date : undefined;
+  this.longestStreak = keepLongest
+    ? Math.max(this.longestStreak, longest)
+    : longest;
+};
+
+// Move the user to another time zone and rebuild the streak there.
+// Spent freezes are re-keyed too: each covered the day before the activity
+// that spent it (usedAt), so that day is looked up again in the new zone.
+// The caller saves the document
+userProgressSchema.methods.setTimezone = async function (timezone) {
+  this.timezone = timezone;
+  for (const use of this.streakFreezes.history) {
+    use.day = addDays(dayKey(use.usedAt, timezone), -1);
   }
-  if (this.currentStreak >= 7 && !this.achievements.includes("streak_7")) {
-    newAchievements.push("streak_7");
+  await this.recomputeStreak({ keepLongest: true });
+};
+
+// Method to retract an activity (e.g. a step marked incomplete again)
+userProgressSchema.methods.retractActivity = async function (
+  type,
+  roadmapId,
+  stepId
+) {
+  // Remove the most recent matching entry
+  await Activity.findOneAndDelete(
+    { userId: this.userId, type, roadmapId, stepId },
+    { sort: { date: -1 } }
+  );
+
+  switch (type) {
+    case "step_completed":
+      this.totalStepsCompleted = Math.max(0, this.totalStepsCompleted - 1);
+      break;
+    case "roadmap_created":
+      this.totalRoadmapsCreated = Math.max(0, this.totalRoadmapsCreated - 1);
+      break;
+    case "note_added":
+      this.totalNotesAdded = Math.max(0, this.totalNotesAdded - 1);
+      break;
+    case "quiz_completed":
+      this.totalQuizzesCompleted = Math.max(0, this.totalQuizzesCompleted - 1);
+      break;
   }
-  if (this.currentStreak >= 30 && !this.achievements.includes("streak_30")) {
-    newAchievements.push("streak_30");
+
+  await this.recomputeStreak({ keepLongest: true });
+  this.updatedAt = new Date();
+};
+
+// Record a graded quiz and update the quiz streak
+// Returns whether the quiz was passed; the caller saves the document
+userProgressSchema.methods.recordQuizResult = async function ({
+  score,
+  total,
+  topic,
+  roadmapId,
+  stepId,
+}) {
+  const passed = total > 0 && score / total >= QUIZ_PASS_RATIO;
+
+  this.quizStreak = passed ? this.quizStreak + 1 : 0;
+  if (this.quizStreak > this.longestQuizStreak) {
+    this.longestQuizStreak = this.quizStreak;
   }
 
-  // Completion achievements
+  await this.addActivity(
+    "quiz_completed",
+    roadmapId,
+    stepId,
+    `Quiz on "${topic}": ${score}/${total}${passed ? " (passed)" : ""}`
+  );
+  return passed;
+};
+
+// Check for achievements (definitions live in services/achievements) and
+// award streak freezes
+userProgressSchema.methods.checkAchievements = async function () {
+  const newAchievements = await evaluateAchievements(this);
+
+  // Streak freezes: one per STREAK_FREEZE_INTERVAL-day streak, up to the cap
+  const activityDay =
+    this.lastActivityDate && dayKey(this.lastActivityDate, this.timezone);
   if (
-    this.totalStepsCompleted >= 10 &&
-    !this.achievements.includes("steps_10")
+    this.currentStreak > 0 &&
+    this.currentStreak % STREAK_FREEZE_INTERVAL === 0 &&
+    this.streakFreezes.lastEarnedDay !== activityDay &&
+    this.streakFreezes.available < STREAK_FREEZE_MAX
   ) {
-    newAchievements.push("steps_10");
+    this.streakFreezes.available += 1;
+    this.streakFreezes.lastEarnedDay = activityDay;
   }
-  if (
-    this.totalStepsCompleted >= 50 &&
-    !this.achievements.includes("steps_50")
-  ) {
-    newAchievements.push("steps_50");
+
+  return newAchievements;
+};
+
+// Find a user's progress document, creating it on first access
+userProgressSchema.statics.forUser = async function (userId) {
+  let progress = await this.findOne({ userId });
+  if (!progress) {
+    progress = new this({ userId });
+    await progress.save();
   }
-  if (
-    this.totalStepsCompleted >= 100 &&
-    !this.achievements.includes("steps_100")
-  ) {
-    newAchievements.push("steps_100");
+  return progress;
+};
+
+// Move activities from the old embedded UserProgress.activities array into
+// the Activity collection. Safe to run repeatedly: entries keep their _id.
+// The array is only removed once every entry is confirmed in the log;
+// documents that can't be copied (e.g. no userId yet) are left as they are.
+userProgressSchema.statics.migrateEmbeddedActivities = async function () {
+  const legacy = this.collection.find(
+    { activities: { $exists: true } },
+    { projection: { userId: 1, activities: 1 } }
+  );
+
+  let moved = 0;
+  let skipped = 0;
+  for await (const doc of legacy) {
+    if (doc.activities.length > 0) {
+      if (!doc.userId) {
+        skipped++;
+        continue;
+      }
+
+      try {
+        await Activity.insertMany(
+          doc.activities.map((a) => ({ ...a, userId: doc.userId })),
+          { ordered: false }
+        );
+      } catch (error) {
+        // Duplicates are entries copied by an earlier, interrupted run
+        const writeErrors = [].concat(error.writeErrors || []);
+        if (!writeErrors.length || writeErrors.some((e) => e.code !== 11000)) {
+          console.error(
+            `Failed to move activities of progress ${doc._id}:`,
+            error.message
+          );
+          skipped++;
+          continue;
+        }
+      }
+
+      // insertMany drops entries that fail validation without throwing
+      const copied = await Activity.countDocuments({
+        _id: { $in: doc.activities.map((a) => a._id) },
+      });
+      if (copied < doc.activities.length) {
+        console.error(
+          `Only ${copied} of ${doc.activities.length} activities of progress ${doc._id} could be moved`
+        );
+        skipped++;
+        continue;
+      }
+      moved += doc.activities.length;
+    }
+    await this.collection.updateOne(
+      { _id: doc._id },
+      { $unset: { activities: "" } }
+    );
   }
 
-  // Roadmap achievements
-  if (
-    this.totalRoadmapsCreated >= 3 &&
-    !this.achievements.includes("roadmaps_3")
-  ) {
-    newAchievements.push("roadmaps_3");
+  if (moved > 0) {
+    console.log(`📦 Moved ${moved} activities to the activity log`);
   }
-  if (
-    this.totalRoadmapsCreated >= 10 &&
-    !this.achievements.includes("roadmaps_10")
-  ) {
-    newAchievements.push("roadmaps_10");
+  if (skipped > 0) {
+    console.warn(
+      `${skipped} progress documents still have embedded activities`
+    );
   }
+};
 
-  // Note achievements
-  if (this.totalNotesAdded >= 10 && !this.achievements.includes("notes_10")) {
-    newAchievements.push("notes_10");
+// The streak is safe for today once an activity is logged
+userProgressSchema.post("save", async function (doc) {
+  if (!doc.$locals.recordedActivity) {
+    return;
   }
+  delete doc.$locals.recordedActivity;
 
-  this.achievements.push(...newAchievements);
-  return newAchievements;
-};
+  try {
+    await ScheduledNotification.updateMany(
+      { userId: doc.userId, type: "streak_reminder", status: "pending" },
+      { $set: { status: "cancelled" } }
+    );
+  } catch (error) {
+    console.error("Failed to cancel streak reminders:", error);
+  }
+});
+
+// Let the user know when a freeze saved their streak
+userProgressSchema.post("save", async function (doc) {
+  const use = doc.$locals.usedStreakFreeze;
+  if (!use) {
+    return;
+  }
+  delete doc.$locals.usedStreakFreeze;
+
+  try {
+    const { title, message } = await renderForUser(
+      doc.userId,
+      "streak_freeze",
+      {
+        streak: use.streakCount + 1,
+        freezesLeft: doc.streakFreezes.available,
+      }
+    );
+    await ScheduledNotification.create({
+      userId: doc.userId,
+      type: "streak_freeze",
+      title,
+      message,
+      scheduledFor: new Date(),
+      metadata: { streakCount: doc.currentStreak },
+    });
+  } catch (error) {
+    console.error("Failed to create streak freeze notification:", error);
+  }
+});
 
 module.exports = mongoose.model("UserProgress", userProgressSchema);
+module.exports.STREAK_FREEZE_INTERVAL = STREAK_FREEZE_INTERVAL;
+module.exports.STREAK_FREEZE_MAX = STREAK_FREEZE_MAX;
+module.exports.QUIZ_PASS_RATIO = QUIZ_PASS_RATIO;
@@ -1,16 +1,38 @@
 const express = require("express");
 const router = express.Router();
-const { GoogleGenerativeAI } = require("@google/generative-ai");
 const Resource = require("../models/Resource");
 const AiMemory = require("../models/AiMemory");
-
-// Initialize Gemini AI
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-
-// In-memory cache for active Gemini chat instances (keyed by sessionId)
-// This is needed because Gemini chat objects can't be serialized to MongoDB
+const llm = require("../services/llm");
+const {
+  extractActionBlock,
+  createActionStreamFilter,
+} = require("../utils/actionBlock");
+const {
+  ActionTokenError,
+  prepareAction,
+  consumeActionToken,
+} = require("../services/assistantActions");
+const {
+  RoadmapError,
+  createRoadmap,
+  extendRoadmap,
+} = require("../services/roadmapService");
+const { StepEditError, insertStep } = require("../services/roadmapSteps");
+
+// Most questions one /quiz request may ask for
+const MAX_QUIZ_QUESTIONS = 10;
+
+// In-memory cache for active chat instances (keyed by userId:sessionId)
+// This is needed because provider chat objects can't be serialized to MongoDB
 const activeChatInstances = new Map();
 
+/**
+ * Cache key for a user's chat instance
+ */
+function chatInstanceKey(userId, sessionId) {
+  return `${userId}:${sessionId}`;
+}
+
 /**
  * Build the system prompt with user context and action instructions
  */
@@ -127,9 +149,11 @@ If the user asks about NON-TECH topics (politics, relationships, entertainment,
 /**
  * Fetch and format user's roadmap context
  */
-async function getUserRoadmapContext() {
+async function getUserRoadmapContext(userId) {
   try {
-    const resources = await Resource.find().sort({ createdAt: -1 }).limit(20);
+    const resources = await Resource.find({ userId })
+      .sort({ createdAt: -1 })
+      .limit(20);
 
     return resources.map((r) => {
       const completedSteps =
@@ -156,16 +180,17 @@ async function getUserRoadmapContext() {
 }
 
 /**
- * Get or create a memory document and Gemini chat instance
+ * Get or create a memory document and chat instance
  */
-async function getOrCreateSession(sessionId) {
+async function getOrCreateSession(userId, sessionId) {
   // Try to find existing memory in MongoDB
-  let memory = await AiMemory.findOne({ sessionId });
+  let memory = await AiMemory.findOne({ userId, sessionId });
   let isNew = false;
 
   if (!memory) {
     isNew = true;
     memory = new AiMemory({
+      userId,
       sessionId,
       messages: [],
       context: {
@@ -177,7 +202,7 @@ async function getOrCreateSession(sessionId) {
   }
 
   // Get fresh roadmap context
-  const roadmapContext = await getUserRoadmapContext();
+  const roadmapContext = await getUserRoadmapContext(userId);
 
   // Update context in memory if it's stale (older than 5 minutes)
   const contextAge =
@@ -189,7 +214,8 @@ async function getOrCreateSession(sessionId) {
   }
 
   // Check if we have an active chat instance
-  let chatInstance = activeChatInstances.get(sessionId);
+  const instanceKey = chatInstanceKey(userId, sessionId);
+  let chatInstance = activeChatInstances.get(instanceKey);
 
   if (!chatInstance) {
     // Build history from stored messages
@@ -197,15 +223,11 @@ async function getOrCreateSession(sessionId) {
     const history = [
       {
         role: "user",
-        parts: [{ text: systemPrompt }],
+        text: systemPrompt,
       },
       {
         role: "model",
-        parts: [
-          {
-            text: "I understand my role as LearnStream AI. I'm ready to help with technology and programming topics, and I can suggest creating roadmaps when appropriate!",
-          },
-        ],
+        text: "I understand my role as LearnStream AI. I'm ready to help with technology and programming topics, and I can suggest creating roadmaps when appropriate!",
       },
     ];
 
@@ -213,21 +235,18 @@ async function getOrCreateSession(sessionId) {
     for (const msg of memory.messages) {
       history.push({
         role: msg.role === "user" ? "user" : "model",
-        parts: [{ text: msg.content }],
+        text: msg.content,
       });
     }
 
-    // Create new Gemini chat
-    const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
-    chatInstance = model.startChat({
+    // Create new chat
+    chatInstance = llm.startChat({
       history,
-      generationConfig: {
-        maxOutputTokens: 4096,
-        temperature: 0.7,
-      },
+      maxOutputTokens: 4096,
+      temperature: 0.7,
     });
 
-    activeChatInstances.set(sessionId, chatInstance);
+    activeChatInstances.set(instanceKey, chatInstance);
   }
 
   return {
@@ -242,9 +261,9 @@ async function getOrCreateSession(sessionId) {
 /**
  * Save a message to memory
  */
-async function saveMessage(sessionId, role, content) {
+async function saveMessage(userId, sessionId, role, content) {
   await AiMemory.findOneAndUpdate(
-    { sessionId },
+    { userId, sessionId },
     {
       $push: {
         messages: {
@@ -271,21 +290,23 @@ router.post("/chat", async (req, res) => {
     }
 
     const { chat, memory, messageCount, roadmapContext } =
-      await getOrCreateSession(sessionId);
+      await getOrCreateSession(req.user._id, sessionId);
 
     // Save user message to memory
-    await saveMessage(sessionId, "user", message);
+    await saveMessage(req.user._id, sessionId, "user", message);
+
+    // Send message to the model
+    const aiResponse = await chat.sendMessage(message);
 
-    // Send message to Gemini
-    const result = await chat.sendMessage(message);
-    const response = await result.response;
-    const aiResponse = response.text();
+    // Save AI response to memory (action block included, so the model keeps its context)
+    await saveMessage(req.user._id, sessionId, "ai", aiResponse);
 
-    // Save AI response to memory
-    await saveMessage(sessionId, "ai", aiResponse);
+    // Return the suggested action separately, validated and signed
+    const { message: reply, action } = extractActionBlock(aiResponse);
 
     res.json({
-      message: aiResponse,
+      message: reply,
+      action: await prepareAction(action, req.user._id),
       sessionId,
       messageCount: messageCount + 1,
       hasRoadmaps: roadmapContext.length > 0,
@@ -308,249 +329,255 @@ router.post("/chat", async (req, res) => {
 });
 
 /**
- * POST /api/ai-assistant/execute-action
- * Execute an action suggested by the AI (create roadmap, extend roadmap, etc.)
+ * POST /api/ai-assistant/chat/stream
+ * Same as /chat, but streams the reply as Server-Sent Events:
+ * - "token":  { text } for each chunk of the visible reply
+ * - "action": { action } the validated, signed :::ACTION::: block, if the reply had one
+ * - "done":   { sessionId, messageCount, hasRoadmaps }
+ * - "error":  { error }
  */
-router.post("/execute-action", async (req, res) => {
+router.post("/chat/stream", async (req, res) => {
+  const { message, sessionId = "default" } = req.body;
+
+  if (!message || message.trim().length === 0) {
+    return res.status(400).json({ error: "Message is required" });
+  }
+
+  let clientClosed = false;
+  res.on("close", () => {
+    clientClosed = true;
+  });
+
+  const send = (event, data) => {
+    if (!clientClosed) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
   try {
-    const { type, data } = req.body;
+    const { chat, messageCount, roadmapContext } = await getOrCreateSession(
+      req.user._id,
+      sessionId
+    );
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
 
-    if (!type || !data) {
-      return res
-        .status(400)
-        .json({ error: "Action type and data are required" });
+    // Save user message to memory
+    await saveMessage(req.user._id, sessionId, "user", message);
+
+    // Forward chunks as they arrive, keeping the action block out of the text.
+    // Keep consuming even if the client disconnects so the reply is saved.
+    const filter = createActionStreamFilter();
+    let aiResponse = "";
+    for await (const chunk of chat.sendMessageStream(message)) {
+      aiResponse += chunk;
+      const visible = filter.push(chunk);
+      if (visible) {
+        send("token", { text: visible });
+      }
+    }
+    const remaining = filter.flush();
+    if (remaining) {
+      send("token", { text: remaining });
     }
 
-    switch (type) {
-      case "create_roadmap": {
-        const {
-          title,
-          category,
-          currentSkillLevel,
-          learningGoal,
-          targetSkillLevel,
-        } = data;
-
-        if (!title || !category) {
-          return res
-            .status(400)
-            .json({ error: "Title and category are required" });
-        }
+    // Save the complete AI response to memory
+    await saveMessage(req.user._id, sessionId, "ai", aiResponse);
 
-        // Import the generateLearningPath function from resources route
-        // For now, create a basic resource and let the background job handle it
-        const resource = new Resource({
-          title,
-          category,
-          currentSkillLevel: currentSkillLevel || "beginner",
-          learningGoal: learningGoal || `Learn ${title}`,
-          targetSkillLevel: targetSkillLevel || "intermediate",
-          learningPath: [],
-          resourcesStatus: "pending",
-        });
-
-        await resource.save();
-
-        // Trigger learning path generation (call the resources API internally)
-        try {
-          const resourcesRoute = require("./resources");
-          // The POST route in resources.js handles the generation
-          // We need to trigger it differently - let's generate inline
-
-          const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
-
-          const prompt = `Create a learning path for "${title}" (${category}).
-Current skill level: ${currentSkillLevel || "beginner"}
-Target skill level: ${targetSkillLevel || "intermediate"}
-Learning goal: ${learningGoal || `Learn ${title}`}
-
-Generate 8-12 learning steps. Return ONLY a valid JSON array:
-[
-  {
-    "title": "Step title",
-    "description": "What to learn in this step",
-    "estimatedTime": "2-3 hours"
-  }
-]
+    const { action } = extractActionBlock(aiResponse);
+    const preparedAction = await prepareAction(action, req.user._id);
+    if (preparedAction) {
+      send("action", { action: preparedAction });
+    }
 
-Make steps progressive, from fundamentals to advanced topics.`;
+    send("done", {
+      sessionId,
+      messageCount: messageCount + 1,
+      hasRoadmaps: roadmapContext.length > 0,
+    });
+    res.end();
+  } catch (error) {
+    console.error("AI Assistant stream error:", error);
 
-          const result = await model.generateContent(prompt);
-          const responseText = result.response.text();
+    const isSafetyError = error.message?.includes("SAFETY");
+    const errorMessage = isSafetyError
+      ? "I cannot respond to that request. Please try rephrasing your question."
+      : "Sorry, I encountered an error. Please try again.";
 
-          let steps = [];
-          try {
-            const cleaned = responseText
-              .replace(/```json\n?/g, "")
-              .replace(/```\n?/g, "")
-              .trim();
-            steps = JSON.parse(cleaned);
-          } catch (parseError) {
-            console.error("Failed to parse learning path:", parseError);
-            steps = [
-              {
-                title: `Introduction to ${title}`,
-                description: `Get started with ${title} fundamentals`,
-                estimatedTime: "2-3 hours",
-              },
-              {
-                title: `Core Concepts`,
-                description: `Learn the essential concepts of ${title}`,
-                estimatedTime: "3-4 hours",
-              },
-              {
-                title: `Hands-on Practice`,
-                description: `Apply what you've learned with practical exercises`,
-                estimatedTime: "4-5 hours",
-              },
-            ];
-          }
+    if (!res.headersSent) {
+      return res
+        .status(isSafetyError ? 400 : 500)
+        .json({ error: errorMessage });
+    }
+    send("error", { error: errorMessage });
+    res.end();
+  }
+});
 
-          // Update resource with learning path
-          resource.learningPath = steps.map((step) => ({
-            title: step.title,
-            description: step.description,
-            estimatedTime: step.estimatedTime,
-            completed: false,
-            resources: [],
-            resourcesStatus: "pending",
-          }));
-          resource.resourcesStatus = "loading";
-          await resource.save();
-
-          // Trigger background resource gathering
-          const { gatherAndValidateResources } = require("./resources");
-          if (typeof gatherAndValidateResources === "function") {
-            gatherAndValidateResources(resource._id).catch(console.error);
-          }
-        } catch (genError) {
-          console.error("Error generating learning path:", genError);
-        }
+/**
+ * POST /api/ai-assistant/execute-action
+ * Execute an action suggested by the AI (create roadmap, extend roadmap, etc.)
+ * Requires the one-time token returned with the action by /chat; the action
+ * type and data are taken from the token, not the request body.
+ */
+router.post("/execute-action", async (req, res) => {
+  try {
+    const { token } = req.body;
 
-        res.json({
-          success: true,
-          action: "create_roadmap",
-          resourceId: resource._id,
-          message: `Created roadmap for "${title}"! Check your dashboard to see it.`,
-        });
-        break;
-      }
+    if (!token) {
+      return res.status(400).json({ error: "Action token is required" });
+    }
 
-      case "extend_roadmap": {
-        const { roadmapId, additionalSteps = 3 } = data;
+    let action;
+    try {
+      action = await consumeActionToken(token, req.user._id);
+    } catch (tokenError) {
+      if (tokenError instanceof ActionTokenError) {
+        return res
+          .status(tokenError.status)
+          .json({ error: tokenError.message });
+      }
+      throw tokenError;
+    }
 
-        if (!roadmapId) {
-          return res.status(400).json({ error: "Roadmap ID is required" });
-        }
+    const { type, data, release } = action;
+
+    try {
+      switch (type) {
+        case "create_roadmap": {
+          const {
+            title,
+            category,
+            currentSkillLevel,
+            learningGoal,
+            targetSkillLevel,
+          } = data;
+
+          if (!title || !category) {
+            return res
+              .status(400)
+              .json({ error: "Title and category are required" });
+          }
 
-        const resource = await Resource.findById(roadmapId);
-        if (!resource) {
-          return res.status(404).json({ error: "Roadmap not found" });
+          const { resource, job } = await createRoadmap(req.user._id, {
+            title,
+            category,
+            currentSkillLevel,
+            learningGoal: learningGoal || `Learn ${title}`,
+            targetSkillLevel,
+          });
+
+          res.json({
+            success: true,
+            action: "create_roadmap",
+            resourceId: resource._id,
+            jobId: job._id,
+            message: `Created roadmap for "${title}"! Check your dashboard to see it.`,
+          });
+          break;
         }
 
-        // Generate additional steps
-        const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
+        case "extend_roadmap": {
+          const { roadmapId, additionalSteps = 3 } = data;
 
-        const existingSteps = resource.learningPath
-          .map((s) => s.title)
-          .join(", ");
-
-        const prompt = `The user is learning "${resource.title}" and has these existing steps: ${existingSteps}
+          if (!roadmapId) {
+            return res.status(400).json({ error: "Roadmap ID is required" });
+          }
 
-Generate ${additionalSteps} MORE advanced steps to continue their learning. Return ONLY a valid JSON array:
-[
-  {
-    "title": "Step title",
-    "description": "What to learn",
-    "estimatedTime": "2-3 hours"
-  }
-]
+          let extended;
+          try {
+            extended = await extendRoadmap(
+              req.user._id,
+              roadmapId,
+              additionalSteps
+            );
+          } catch (extendError) {
+            if (extendError instanceof RoadmapError) {
+              return res
+                .status(extendError.status)
+                .json({ error: extendError.message });
+            }
+            console.error("Failed to generate new steps:", extendError);
+            return res
+              .status(500)
+              .json({ error: "Failed to generate new steps" });
+          }
 
-Make these steps build on the existing knowledge and go deeper into advanced topics.`;
-
-        const result = await model.generateContent(prompt);
-        const responseText = result.response.text();
-
-        let newSteps = [];
-        try {
-          const cleaned = responseText
-            .replace(/```json\n?/g, "")
-            .replace(/```\n?/g, "")
-            .trim();
-          newSteps = JSON.parse(cleaned);
-        } catch (parseError) {
-          console.error("Failed to parse new steps:", parseError);
-          return res
-            .status(500)
-            .json({ error: "Failed to generate new steps" });
+          const { resource, steps, job } = extended;
+          res.json({
+            success: true,
+            action: "extend_roadmap",
+            resourceId: resource._id,
+            jobId: job._id,
+            addedSteps: steps.length,
+            message: `Added ${steps.length} new steps to "${resource.title}"!`,
+          });
+          break;
         }
 
-        // Add new steps to the roadmap
-        const formattedSteps = newSteps.map((step) => ({
-          title: step.title,
-          description: step.description,
-          estimatedTime: step.estimatedTime,
-          completed: false,
-          resources: [],
-          resourcesStatus: "pending",
-        }));
-
-        resource.learningPath.push(...formattedSteps);
-        resource.resourcesStatus = "loading";
-        await resource.save();
-
-        // Trigger resource gathering for new steps
-        const { gatherAndValidateResources } = require("./resources");
-        if (typeof gatherAndValidateResources === "function") {
-          gatherAndValidateResources(resource._id).catch(console.error);
-        }
+        case "add_step": {
+          const { roadmapId, stepTitle, stepDescription, estimatedTime } = data;
 
-        res.json({
-          success: true,
-          action: "extend_roadmap",
-          resourceId: resource._id,
-          addedSteps: newSteps.length,
-          message: `Added ${newSteps.length} new steps to "${resource.title}"!`,
-        });
-        break;
-      }
+          if (!roadmapId || !stepTitle) {
+            return res
+              .status(400)
+              .json({ error: "Roadmap ID and step title are required" });
+          }
 
-      case "add_step": {
-        const { roadmapId, stepTitle, stepDescription, estimatedTime } = data;
+          const current = await Resource.findOne({
+            _id: roadmapId,
+            userId: req.user._id,
+          }).select("__v");
+          if (!current) {
+            return res.status(404).json({ error: "Roadmap not found" });
+          }
 
-        if (!roadmapId || !stepTitle) {
-          return res
-            .status(400)
-            .json({ error: "Roadmap ID and step title are required" });
-        }
+          let added;
+          try {
+            added = await insertStep(
+              req.user._id,
+              roadmapId,
+              {
+                title: stepTitle,
+                description: stepDescription,
+                estimatedTime,
+              },
+              current.__v
+            );
+          } catch (stepError) {
+            if (stepError instanceof StepEditError) {
+              return res
+                .status(stepError.status)
+                .json({ error: stepError.message });
+            }
+            throw stepError;
+          }
 
-        const resource = await Resource.findById(roadmapId);
-        if (!resource) {
-          return res.status(404).json({ error: "Roadmap not found" });
+          res.json({
+            success: true,
+            action: "add_step",
+            resourceId: added.resource._id,
+            stepId: added.step._id,
+            jobId: added.job._id,
+            message: `Added step "${stepTitle}" to "${added.resource.title}"!`,
+          });
+          break;
         }
 
-        resource.learningPath.push({
-          title: stepTitle,
-          description: stepDescription || "",
-          estimatedTime: estimatedTime || "1-2 hours",
-          completed: false,
-          resources: [],
-          resourcesStatus: "pending",
-        });
-
-        await resource.save();
-
-        res.json({
-          success: true,
-          action: "add_step",
-          resourceId: resource._id,
-          message: `Added step "${stepTitle}" to "${resource.title}"!`,
-        });
-        break;
+        default:
+          res.status(400).json({ error: `Unknown action type: ${type}` });
+      }
+    } finally {
+      // An action that didn't go through can be tried again
+      if (!res.headersSent || res.statusCode >= 400) {
+        await release();
       }
-
-      default:
-        res.status(400).json({ error: `Unknown action type: ${type}` });
     }
   } catch (error) {
     console.error("Execute action error:", error);
@@ -570,8 +597,6 @@ router.post("/explain", async (req, res) => {
       return res.status(400).json({ error: "Topic is required" });
     }
 
-    const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
-
     const prompt = `Explain "${topic}" for a ${level} level learner.
 
 Structure your response as:
@@ -583,11 +608,10 @@ Structure your response as:
 
 Keep it concise but informative. Use markdown formatting.`;
 
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
+    const explanation = await llm.generateText(prompt);
 
     res.json({
-      explanation: response.text(),
+      explanation,
       topic,
       level,
     });
@@ -608,8 +632,11 @@ router.post("/quiz", async (req, res) => {
     if (!topic) {
       return res.status(400).json({ error: "Topic is required" });
     }
-
-    const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
+    if (!Number.isInteger(count) || count < 1 || count > MAX_QUIZ_QUESTIONS) {
+      return res.status(400).json({
+        error: `count must be a whole number from 1 to ${MAX_QUIZ_QUESTIONS}`,
+      });
+    }
 
     const prompt = `Generate ${count} multiple choice quiz questions about "${topic}" at ${difficulty} difficulty level.
 
@@ -625,17 +652,10 @@ Return ONLY a valid JSON array with this exact format:
 
 The "correct" field should be the index (0-3) of the correct option.`;
 
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    let text = response.text();
-
-    // Clean up response
-    text = text
-      .replace(/```json\n?/g, "")
-      .replace(/```\n?/g, "")
-      .trim();
-
-    const questions = JSON.parse(text);
+    const questions = await llm.generateStructured(prompt, {
+      ...llm.schemas.quiz,
+      maxItems: count,
+    });
 
     res.json({
       topic,
@@ -654,7 +674,7 @@ The "correct" field should be the index (0-3) of the correct option.`;
  */
 router.post("/suggest", async (req, res) => {
   try {
-    const roadmapContext = await getUserRoadmapContext();
+    const roadmapContext = await getUserRoadmapContext(req.user._id);
 
     if (roadmapContext.length === 0) {
       return res.json({
@@ -666,8 +686,6 @@ router.post("/suggest", async (req, res) => {
       });
     }
 
-    const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
-
     const prompt = `Based on this learner's current progress, provide 3-5 personalized learning suggestions:
 
 Current learning topics:
@@ -682,16 +700,10 @@ Provide actionable suggestions that:
 Return ONLY a JSON array of suggestion strings:
 ["suggestion 1", "suggestion 2", "suggestion 3"]`;
 
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    let text = response.text();
-
-    text = text
-      .replace(/```json\n?/g, "")
-      .replace(/```\n?/g, "")
-      .trim();
-
-    const suggestions = JSON.parse(text);
+    const suggestions = await llm.generateStructured(
+      prompt,
+      llm.schemas.suggestions
+    );
 
     res.json({ suggestions });
   } catch (error) {
@@ -709,10 +721,13 @@ router.delete("/session/:sessionId", async (req, res) => {
     const { sessionId } = req.params;
 
     // Delete from MongoDB
-    const result = await AiMemory.deleteOne({ sessionId });
+    const result = await AiMemory.deleteOne({
+      userId: req.user._id,
+      sessionId,
+    });
 
     // Remove active chat instance
-    activeChatInstances.delete(sessionId);
+    activeChatInstances.delete(chatInstanceKey(req.user._id, sessionId));
 
     res.json({
       message: "Session cleared",
@@ -731,7 +746,10 @@ router.delete("/session/:sessionId", async (req, res) => {
 router.get("/session/:sessionId", async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const memory = await AiMemory.findOne({ sessionId });
+    const memory = await AiMemory.findOne({
+      userId: req.user._id,
+      sessionId,
+    });
 
     if (memory) {
       res.json({
@@ -761,7 +779,10 @@ router.get("/history/:sessionId", async (req, res) => {
     const { sessionId } = req.params;
     const { limit = 50 } = req.query;
 
-    const memory = await AiMemory.findOne({ sessionId });
+    const memory = await AiMemory.findOne({
+      userId: req.user._id,
+      sessionId,
+    });
 
     if (!memory) {
       return res.json({ messages: [] });
@@ -0,0 +1,108 @@
+const express = require("express");
+const router = express.Router();
+const User = require("../models/User");
+const { signToken, requireAuth } = require("../middleware/auth");
+const { claimLegacyData } = require("../services/legacyData");
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Email and password must be non-empty strings
+function isCredential(value) {
+  return typeof value === "string" && value.length > 0;
+}
+
+/**
+ * POST /api/auth/register
+ * Create a new account and return an access token
+ */
+router.post("/register", async (req, res) => {
+  try {
+    const { email, password, name } = req.body;
+
+    if (!isCredential(email) || !isCredential(password)) {
+      return res.status(400).json({ error: "Email and password are required" });
+    }
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+      });
+    }
+
+    const existing = await User.findOne({ email: email.toLowerCase().trim() });
+    if (existing) {
+      return res.status(409).json({ error: "Email is already registered" });
+    }
+
+    const user = new User({
+      email,
+      name: typeof name === "string" ? name : undefined,
+    });
+    await user.setPassword(password);
+    user.lastLoginAt = new Date();
+    try {
+      await user.save();
+    } catch (error) {
+      // Another registration for the same email got there first
+      if (error.code === 11000) {
+        return res.status(409).json({ error: "Email is already registered" });
+      }
+      throw error;
+    }
+
+    // The first account takes over data from before accounts existed
+    try {
+      await claimLegacyData(user);
+    } catch (error) {
+      console.error("Failed to claim legacy data:", error.message);
+    }
+
+    res.status(201).json({
+      token: signToken(user),
+      user,
+    });
+  } catch (error) {
+    console.error("Error registering user:", error);
+    res.status(500).json({ error: "Failed to register" });
+  }
+});
+
+/**
+ * POST /api/auth/login
+ * Exchange email and password for an access token
+ */
+router.post("/login", async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!isCredential(email) || !isCredential(password)) {
+      return res.status(400).json({ error: "Email and password are required" });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    if (!user || !(await user.verifyPassword(password))) {
+      return res.status(401).json({ error: "Invalid email or password" });
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    res.json({
+      token: signToken(user),
+      user,
+    });
+  } catch (error) {
+    console.error("Error logging in:", error);
+    res.status(500).json({ error: "Failed to log in" });
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * Get the currently authenticated user
+ */
+router.get("/me", requireAuth, (req, res) => {
+  res.json({ user: req.user });
+});
+
+module.exports = router;
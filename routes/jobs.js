@@ -0,0 +1,38 @@
+const express = require("express");
+const router = express.Router();
+const Job = require("../models/Job");
+
+/**
+ * GET /api/jobs/:id
+ * Get the state and progress of a background job
+ */
+router.get("/:id", async (req, res) => {
+  try {
+    const job = await Job.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+
+    res.json({
+      id: job._id,
+      type: job.type,
+      roadmapId: job.roadmapId,
+      state: job.state,
+      attempts: job.attempts,
+      maxAttempts: job.maxAttempts,
+      lastError: job.lastError || null,
+      progress: job.progress,
+      runAfter: job.runAfter,
+      heartbeatAt: job.heartbeatAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      createdAt: job.createdAt,
+    });
+  } catch (error) {
+    console.error("Error fetching job:", error);
+    res.status(500).json({ error: "Failed to fetch job" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,448 @@
+const express = require("express");
+const crypto = require("crypto");
+const net = require("net");
+const mongoose = require("mongoose");
+const router = express.Router();
+const NotificationPreferences = require("../models/NotificationPreferences");
+const NotificationSubscription = require("../models/NotificationSubscription");
+const ScheduledNotification = require("../models/ScheduledNotification");
+const UserProgress = require("../models/UserProgress");
+const { requireAuth } = require("../middleware/auth");
+const { getChannel, describeChannels } = require("../services/channels");
+const { isPrivateAddress } = require("../services/channels/webhook");
+const {
+  availableLocales,
+  canonicalLocale,
+  renderForUser,
+} = require("../services/notificationTemplates");
+const { DEFAULT_DAILY_LIMIT } = require("../services/notificationPolicy");
+const { scheduleNextDigest } = require("../services/weeklyDigest");
+
+const NOTIFICATION_TYPES = ScheduledNotification.schema.path("type").enumValues;
+
+// Webhooks to the server's own network are refused unless explicitly allowed
+// (e.g. to receive them locally during development). This only catches the
+// obvious cases early; the webhook channel checks where the host actually
+// resolves each time it sends.
+const ALLOW_PRIVATE_WEBHOOKS =
+  process.env.NOTIFICATION_WEBHOOK_ALLOW_PRIVATE === "true";
+const PRIVATE_HOSTNAME = /^(localhost|.*\.localhost|.*\.local|.*\.internal)$/i;
+
+// How long an email confirmation link works
+const CONFIRMATION_TTL_MS = 24 * 60 * 60 * 1000;
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// Where links in emails point, or null if PUBLIC_API_URL isn't set. The
+// request's Host header is never used, since the client controls it.
+function publicBaseUrl() {
+  return process.env.PUBLIC_API_URL
+    ? process.env.PUBLIC_API_URL.replace(/\/$/, "")
+    : null;
+}
+
+/**
+ * Check a webhook URL is one the server may post to
+ * @returns {string|null} - Error message, or null if it is acceptable
+ */
+function checkWebhookUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return "url must be a valid URL";
+  }
+  if (url.protocol !== "https:" && url.protocol !== "http:") {
+    return "url must use http or https";
+  }
+  const host = url.hostname.replace(/^\[|\]$/g, "");
+  if (
+    !ALLOW_PRIVATE_WEBHOOKS &&
+    (PRIVATE_HOSTNAME.test(host) || (net.isIP(host) && isPrivateAddress(host)))
+  ) {
+    return "url must be publicly reachable";
+  }
+  return null;
+}
+
+/**
+ * GET /api/notifications/channels/subscriptions/:id/confirm?token=
+ * Confirm an email subscription (the link sent to the address). Public: the
+ * token proves the address belongs to whoever opened it.
+ */
+router.get("/subscriptions/:id/confirm", async (req, res) => {
+  try {
+    const { token } = req.query;
+    const subscription =
+      typeof token === "string" &&
+      mongoose.isValidObjectId(req.params.id) &&
+      (await NotificationSubscription.findOneAndUpdate(
+        {
+          _id: req.params.id,
+          channel: "email",
+          "confirmation.tokenHash": hashToken(token),
+          "confirmation.expiresAt": { $gt: new Date() },
+        },
+        {
+          $set: { confirmedAt: new Date() },
+          $unset: { confirmation: "" },
+        },
+        { new: true }
+      ));
+
+    if (!subscription) {
+      return res
+        .status(404)
+        .json({ error: "Confirmation link is invalid or has expired" });
+    }
+
+    res.json({
+      success: true,
+      message: `Notifications will be sent to ${subscription.email}`,
+    });
+  } catch (error) {
+    console.error("Error confirming email subscription:", error);
+    res.status(500).json({ error: "Failed to confirm email subscription" });
+  }
+});
+
+// Every route below requires an authenticated user
+router.use(requireAuth);
+
+/**
+ * GET /api/notifications/channels
+ * Available channels, the user's preferences and subscriptions, and the
+ * VAPID public key browsers need to subscribe to push
+ */
+router.get("/", async (req, res) => {
+  try {
+    const [preferences, subscriptions] = await Promise.all([
+      NotificationPreferences.forUser(req.user._id),
+      NotificationSubscription.find({ userId: req.user._id }).sort({
+        createdAt: 1,
+      }),
+    ]);
+
+    res.json({
+      channels: describeChannels(),
+      vapidPublicKey: getChannel("web_push")?.publicKey || null,
+      preferences: preferences.channels,
+      locale: preferences.locale,
+      locales: availableLocales(),
+      quietHours: preferences.quietHours,
+      dailyLimit: preferences.dailyLimit,
+      defaultDailyLimit: DEFAULT_DAILY_LIMIT,
+      weeklyDigest: preferences.weeklyDigest,
+      subscriptions,
+    });
+  } catch (error) {
+    console.error("Error fetching notification channels:", error);
+    res.status(500).json({ error: "Failed to fetch notification channels" });
+  }
+});
+
+/**
+ * PUT /api/notifications/channels/preferences
+ * Turn channels on or off, limit them to some notification types, choose
+ * the language of notification text (null for the default), set quiet hours
+ * or cap how many notifications are sent a day (null for the default), and
+ * turn the weekly digest on or off
+ * Body: { web_push: { enabled, types }, email: {...}, webhook: {...}, locale,
+ *   quietHours: { enabled, start: "22:00", end: "07:00" }, dailyLimit,
+ *   weeklyDigest }
+ */
+router.put("/preferences", async (req, res) => {
+  try {
+    const { locale, quietHours, dailyLimit, weeklyDigest, ...channels } =
+      req.body || {};
+    const update = {};
+
+    if (weeklyDigest !== undefined) {
+      if (typeof weeklyDigest !== "boolean") {
+        return res
+          .status(400)
+          .json({ error: "weeklyDigest must be true or false" });
+      }
+      update.weeklyDigest = weeklyDigest;
+    }
+
+    if (quietHours !== undefined) {
+      const { enabled, start, end } = quietHours || {};
+      if (enabled !== undefined) {
+        if (typeof enabled !== "boolean") {
+          return res
+            .status(400)
+            .json({ error: "quietHours.enabled must be true or false" });
+        }
+        update["quietHours.enabled"] = enabled;
+      }
+      for (const [field, time] of Object.entries({ start, end })) {
+        if (time === undefined) continue;
+        if (!NotificationPreferences.TIME_OF_DAY.test(time)) {
+          return res
+            .status(400)
+            .json({ error: `quietHours.${field} must be HH:MM (24-hour)` });
+        }
+        update[`quietHours.${field}`] = time;
+      }
+    }
+
+    if (dailyLimit !== undefined) {
+      if (
+        dailyLimit !== null &&
+        (!Number.isInteger(dailyLimit) || dailyLimit < 1 || dailyLimit > 100)
+      ) {
+        return res
+          .status(400)
+          .json({ error: "dailyLimit must be a whole number from 1 to 100" });
+      }
+      update.dailyLimit = dailyLimit;
+    }
+
+    if (locale !== undefined) {
+      const canonical = locale === null ? null : canonicalLocale(locale);
+      if (locale !== null && !canonical) {
+        return res.status(400).json({ error: `Invalid locale: ${locale}` });
+      }
+      update.locale = canonical;
+    }
+
+    for (const [channel, preference] of Object.entries(channels)) {
+      if (!NotificationSubscription.CHANNELS.includes(channel)) {
+        return res.status(400).json({ error: `Unknown channel: ${channel}` });
+      }
+      const { enabled, types } = preference || {};
+
+      if (enabled !== undefined) {
+        if (typeof enabled !== "boolean") {
+          return res
+            .status(400)
+            .json({ error: `${channel}.enabled must be true or false` });
+        }
+        update[`channels.${channel}.enabled`] = enabled;
+      }
+
+      if (types !== undefined) {
+        if (
+          !Array.isArray(types) ||
+          types.some((type) => !NOTIFICATION_TYPES.includes(type))
+        ) {
+          return res.status(400).json({
+            error: `${channel}.types must be a list of: ${NOTIFICATION_TYPES.join(
+              ", "
+            )}`,
+          });
+        }
+        update[`channels.${channel}.types`] = [...new Set(types)];
+      }
+    }
+
+    const preferences = await NotificationPreferences.findOneAndUpdate(
+      { userId: req.user._id },
+      { $set: { ...update, updatedAt: new Date() } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    if (weeklyDigest !== undefined) {
+      await scheduleNextDigest(await UserProgress.forUser(req.user._id));
+    }
+
+    res.json({
+      preferences: preferences.channels,
+      locale: preferences.locale,
+      quietHours: preferences.quietHours,
+      dailyLimit: preferences.dailyLimit,
+      weeklyDigest: preferences.weeklyDigest,
+    });
+  } catch (error) {
+    console.error("Error updating notification preferences:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to update notification preferences" });
+  }
+});
+
+/**
+ * POST /api/notifications/channels/subscriptions
+ * Add a destination:
+ * - { channel: "web_push", subscription: PushSubscription JSON, label }
+ * - { channel: "email", address (defaults to the account email), label } -
+ *   responds 202 and emails a confirmation link; nothing is sent to the
+ *   address until it is followed (an address already confirmed stays so)
+ * - { channel: "webhook", url, label } - the response includes the signing
+ *   secret, which is not shown again
+ */
+router.post("/subscriptions", async (req, res) => {
+  try {
+    const { channel, label = "" } = req.body;
+    const userId = req.user._id;
+
+    if (channel === "web_push") {
+      const { endpoint, keys } = req.body.subscription || {};
+      if (
+        typeof endpoint !== "string" ||
+        !endpoint.startsWith("https://") ||
+        typeof keys?.p256dh !== "string" ||
+        typeof keys?.auth !== "string"
+      ) {
+        return res.status(400).json({
+          error:
+            "subscription must be a PushSubscription with endpoint and keys",
+        });
+      }
+
+      // Re-subscribing the same browser replaces its old subscription
+      const subscription = await NotificationSubscription.findOneAndUpdate(
+        { "webPush.endpoint": endpoint },
+        {
+          $set: {
+            userId,
+            channel,
+            label,
+            webPush: {
+              endpoint,
+              keys: { p256dh: keys.p256dh, auth: keys.auth },
+            },
+            enabled: true,
+            failureCount: 0,
+          },
+          $unset: { disabledReason: "", lastError: "" },
+          $setOnInsert: { createdAt: new Date() },
+        },
+        { upsert: true, new: true, runValidators: true }
+      );
+      return res.status(201).json({ subscription });
+    }
+
+    if (channel === "email") {
+      const email = String(req.body.address || req.user.email)
+        .trim()
+        .toLowerCase();
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        return res
+          .status(400)
+          .json({ error: "address must be an email address" });
+      }
+
+      const reset = {
+        $set: { label, enabled: true, failureCount: 0 },
+        $unset: { disabledReason: "", lastError: "" },
+      };
+      const confirmed = await NotificationSubscription.findOneAndUpdate(
+        { userId, channel, email, confirmedAt: { $exists: true } },
+        reset,
+        { new: true }
+      );
+      if (confirmed) {
+        return res.status(201).json({ subscription: confirmed });
+      }
+
+      const emailChannel = getChannel("email");
+      if (!emailChannel?.configured) {
+        return res
+          .status(503)
+          .json({ error: "Email delivery is not configured" });
+      }
+      const baseUrl = publicBaseUrl();
+      if (!baseUrl) {
+        return res
+          .status(503)
+          .json({ error: "Email confirmation links are not configured" });
+      }
+
+      // Asking again sends a new link; only the latest one works
+      const token = crypto.randomBytes(32).toString("hex");
+      const subscription = await NotificationSubscription.findOneAndUpdate(
+        { userId, channel, email },
+        {
+          ...reset,
+          $set: {
+            ...reset.$set,
+            confirmation: {
+              tokenHash: hashToken(token),
+              expiresAt: new Date(Date.now() + CONFIRMATION_TTL_MS),
+            },
+          },
+          $setOnInsert: { createdAt: new Date() },
+        },
+        { upsert: true, new: true, runValidators: true }
+      );
+
+      const link = `${baseUrl}/api/notifications/channels/subscriptions/${subscription._id}/confirm?token=${token}`;
+      try {
+        const { title, message } = await renderForUser(
+          userId,
+          "email_confirmation",
+          { email, link }
+        );
+        await emailChannel.send(
+          { type: "email_confirmation", title, message },
+          subscription
+        );
+      } catch (error) {
+        console.error("Failed to send email confirmation:", error.message);
+        return res
+          .status(502)
+          .json({ error: "Failed to send the confirmation email" });
+      }
+
+      return res.status(202).json({
+        subscription,
+        message: `Confirmation link sent to ${email}`,
+      });
+    }
+
+    if (channel === "webhook") {
+      const urlError = checkWebhookUrl(req.body.url);
+      if (urlError) {
+        return res.status(400).json({ error: urlError });
+      }
+
+      const secret = crypto.randomBytes(24).toString("hex");
+      const subscription = await NotificationSubscription.create({
+        userId,
+        channel,
+        label,
+        webhook: { url: req.body.url, secret },
+      });
+      return res.status(201).json({ subscription, secret });
+    }
+
+    res.status(400).json({
+      error: `channel must be one of: ${NotificationSubscription.CHANNELS.join(
+        ", "
+      )}`,
+    });
+  } catch (error) {
+    console.error("Error adding notification subscription:", error);
+    res.status(500).json({ error: "Failed to add notification subscription" });
+  }
+});
+
+/**
+ * DELETE /api/notifications/channels/subscriptions/:id
+ * Remove a destination
+ */
+router.delete("/subscriptions/:id", async (req, res) => {
+  try {
+    const subscription = await NotificationSubscription.findOneAndDelete({
+      _id: req.params.id,
+      userId: req.user._id,
+    });
+
+    if (!subscription) {
+      return res.status(404).json({ error: "Subscription not found" });
+    }
+
+    res.json({ success: true, message: "Subscription removed" });
+  } catch (error) {
+    console.error("Error removing notification subscription:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to remove notification subscription" });
+  }
+});
+
+module.exports = router;
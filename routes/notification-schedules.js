@@ -0,0 +1,142 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const NotificationSchedule = require("../models/NotificationSchedule");
+const ScheduledNotification = require("../models/ScheduledNotification");
+const {
+  ScheduleError,
+  upcomingRuns,
+  updateSchedule,
+  pauseSchedule,
+  resumeSchedule,
+  endSchedule,
+} = require("../services/notificationSchedules");
+
+// Recurring schedules are created with POST /api/notifications/schedule
+
+function handleScheduleError(res, err) {
+  if (err instanceof ScheduleError) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  console.error("Error updating notification schedule:", err);
+  res.status(500).json({ error: "Failed to update notification schedule" });
+}
+
+// Unknown and malformed IDs both read as "not found"
+function checkScheduleId(req, res, next) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ error: "Schedule not found" });
+  }
+  next();
+}
+
+/**
+ * GET /api/notifications/schedules
+ * The user's recurring schedules (optionally filtered by status)
+ */
+router.get("/", async (req, res) => {
+  try {
+    const query = { userId: req.user._id };
+    if (req.query.status) query.status = req.query.status;
+
+    const schedules = await NotificationSchedule.find(query).sort({
+      createdAt: -1,
+    });
+
+    res.json({ schedules });
+  } catch (error) {
+    console.error("Error fetching notification schedules:", error);
+    res.status(500).json({ error: "Failed to fetch notification schedules" });
+  }
+});
+
+/**
+ * GET /api/notifications/schedules/:id
+ * A schedule with its upcoming occurrence times and recent occurrences
+ */
+router.get("/:id", checkScheduleId, async (req, res) => {
+  try {
+    const schedule = await NotificationSchedule.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    });
+
+    if (!schedule) {
+      return res.status(404).json({ error: "Schedule not found" });
+    }
+
+    const recent = await ScheduledNotification.find({
+      scheduleId: schedule._id,
+    })
+      .sort({ scheduledFor: -1 })
+      .limit(10);
+
+    res.json({
+      schedule,
+      upcoming: schedule.status === "active" ? upcomingRuns(schedule) : [],
+      recent,
+    });
+  } catch (error) {
+    console.error("Error fetching notification schedule:", error);
+    res.status(500).json({ error: "Failed to fetch notification schedule" });
+  }
+});
+
+/**
+ * PATCH /api/notifications/schedules/:id
+ * Edit a schedule. Body: any of type ("custom"), title, message, metadata,
+ * cron, rrule, timezone, startAt, endAt, maxOccurrences
+ */
+router.patch("/:id", checkScheduleId, async (req, res) => {
+  try {
+    const schedule = await updateSchedule(
+      req.user._id,
+      req.params.id,
+      req.body || {}
+    );
+    res.json({ schedule });
+  } catch (error) {
+    handleScheduleError(res, error);
+  }
+});
+
+/**
+ * POST /api/notifications/schedules/:id/pause
+ * Stop sending a schedule's occurrences until it is resumed
+ */
+router.post("/:id/pause", checkScheduleId, async (req, res) => {
+  try {
+    const schedule = await pauseSchedule(req.user._id, req.params.id);
+    res.json({ schedule });
+  } catch (error) {
+    handleScheduleError(res, error);
+  }
+});
+
+/**
+ * POST /api/notifications/schedules/:id/resume
+ * Resume a paused schedule from its next occurrence after now
+ */
+router.post("/:id/resume", checkScheduleId, async (req, res) => {
+  try {
+    const schedule = await resumeSchedule(req.user._id, req.params.id);
+    res.json({ schedule });
+  } catch (error) {
+    handleScheduleError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/notifications/schedules/:id
+ * End a schedule and cancel its pending occurrence
+ */
+router.delete("/:id", checkScheduleId, async (req, res) => {
+  try {
+    const schedule = await endSchedule(req.user._id, req.params.id);
+    res.json({ success: true, schedule });
+  } catch (error) {
+    handleScheduleError(res, error);
+  }
+});
+
+module.exports = router;
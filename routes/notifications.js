@@ -1,31 +1,169 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const router = express.Router();
 const ScheduledNotification = require("../models/ScheduledNotification");
 const UserProgress = require("../models/UserProgress");
+const Resource = require("../models/Resource");
+const { dispatchNow } = require("../services/notificationDispatcher");
+const {
+  inboxQuery,
+  encodeCursor,
+  afterCursor,
+  countUnread,
+} = require("../services/notificationInbox");
+const {
+  CLIENT_TYPES,
+  ScheduleError,
+  createSchedule,
+  scheduleNextOccurrence,
+} = require("../services/notificationSchedules");
+const { renderForUser } = require("../services/notificationTemplates");
+const {
+  MAX_PENDING,
+  atPendingLimit,
+} = require("../services/notificationPolicy");
 
-// In-memory store for active timers (for demo purposes)
-const activeTimers = new Map();
+const NOTIFICATION_TYPES = ScheduledNotification.schema.path("type").enumValues;
+const NOTIFICATION_STATUSES =
+  ScheduledNotification.schema.path("status").enumValues;
+// Most notifications one bulk request may name
+const MAX_BULK_IDS = 500;
 
 /**
  * GET /api/notifications
- * Get all notifications (with optional status filter)
+ * The inbox: sent notifications, newest first, excluding dismissed and
+ * archived ones
+ * Query:
+ * - type, roadmapId: only notifications of this type / about this roadmap
+ * - unread=true: only unread ones
+ * - archived=true: the archive instead of the inbox
+ * - status: notifications in another state (e.g. pending) instead
+ * - limit (1-100, default 50), cursor (nextCursor from the previous page)
  */
 router.get("/", async (req, res) => {
   try {
-    const { status } = req.query;
-    const query = status ? { status } : {};
-    
+    const { status, type, roadmapId, cursor } = req.query;
+    const limit = req.query.limit ? Number(req.query.limit) : 50;
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      return res.status(400).json({ error: "limit must be between 1 and 100" });
+    }
+    if (status && !NOTIFICATION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: "Invalid status" });
+    }
+    if (type && !NOTIFICATION_TYPES.includes(type)) {
+      return res.status(400).json({ error: "Invalid type" });
+    }
+    if (roadmapId && !mongoose.isValidObjectId(roadmapId)) {
+      return res.status(400).json({ error: "Invalid roadmapId" });
+    }
+
+    const query = inboxQuery(req.user._id, {
+      type,
+      roadmapId,
+      unread: req.query.unread === "true",
+      archived: req.query.archived === "true",
+    });
+    if (status) query.status = status;
+    if (cursor) {
+      const after = afterCursor(cursor);
+      if (!after) {
+        return res.status(400).json({ error: "Invalid cursor" });
+      }
+      Object.assign(query, after);
+    }
+
+    // One extra tells whether there is another page
     const notifications = await ScheduledNotification.find(query)
-      .sort({ scheduledFor: -1 })
-      .limit(50);
-    
-    res.json({ notifications });
+      .sort({ scheduledFor: -1, _id: -1 })
+      .limit(limit + 1);
+    const hasMore = notifications.length > limit;
+    if (hasMore) notifications.pop();
+
+    const { unread } = await countUnread(req.user._id);
+
+    res.json({
+      notifications,
+      nextCursor: hasMore
+        ? encodeCursor(notifications[notifications.length - 1])
+        : null,
+      unreadCount: unread,
+    });
   } catch (error) {
     console.error("Error fetching notifications:", error);
     res.status(500).json({ error: "Failed to fetch notifications" });
   }
 });
 
+/**
+ * GET /api/notifications/unread-count
+ * Unread inbox notifications, in total and per type
+ */
+router.get("/unread-count", async (req, res) => {
+  try {
+    res.json(await countUnread(req.user._id));
+  } catch (error) {
+    console.error("Error counting unread notifications:", error);
+    res.status(500).json({ error: "Failed to count unread notifications" });
+  }
+});
+
+/**
+ * POST /api/notifications/read
+ * Mark inbox notifications as read
+ * Body: { ids: [...] } or { all: true }, optionally narrowed by type and roadmapId
+ */
+router.post("/read", async (req, res) => {
+  try {
+    const selection = bulkSelection(req);
+    if (selection.error) {
+      return res.status(400).json({ error: selection.error });
+    }
+
+    const result = await ScheduledNotification.updateMany(
+      { ...selection.query, read: { $ne: true } },
+      { $set: { read: true, readAt: new Date() } }
+    );
+    const { unread } = await countUnread(req.user._id);
+
+    res.json({ updated: result.modifiedCount, unreadCount: unread });
+  } catch (error) {
+    console.error("Error marking notifications read:", error);
+    res.status(500).json({ error: "Failed to mark notifications read" });
+  }
+});
+
+/**
+ * POST /api/notifications/dismiss
+ * Remove notifications from the inbox (they are also marked read)
+ * Body: { ids: [...] } or { all: true }, optionally narrowed by type and roadmapId
+ */
+router.post("/dismiss", async (req, res) => {
+  try {
+    const selection = bulkSelection(req);
+    if (selection.error) {
+      return res.status(400).json({ error: selection.error });
+    }
+
+    const now = new Date();
+    const result = await ScheduledNotification.updateMany(selection.query, [
+      {
+        $set: {
+          dismissedAt: now,
+          read: true,
+          readAt: { $ifNull: ["$readAt", now] },
+        },
+      },
+    ]);
+    const { unread } = await countUnread(req.user._id);
+
+    res.json({ updated: result.modifiedCount, unreadCount: unread });
+  } catch (error) {
+    console.error("Error dismissing notifications:", error);
+    res.status(500).json({ error: "Failed to dismiss notifications" });
+  }
+});
+
 /**
  * GET /api/notifications/pending
  * Get pending notifications that are ready to be sent
@@ -35,6 +173,7 @@ router.get("/pending", async (req, res) => {
     const now = new Date();
     
     const pendingNotifications = await ScheduledNotification.find({
+      userId: req.user._id,
       status: "pending",
       scheduledFor: { $lte: now },
     }).sort({ scheduledFor: 1 });
@@ -55,6 +194,7 @@ router.get("/next", async (req, res) => {
     const now = new Date();
     
     const nextNotification = await ScheduledNotification.findOne({
+      userId: req.user._id,
       status: "pending",
       scheduledFor: { $gt: now },
     }).sort({ scheduledFor: 1 });
@@ -78,20 +218,76 @@ router.get("/next", async (req, res) => {
 
 /**
  * POST /api/notifications/schedule
- * Schedule a new notification
+ * Schedule a notification
+ * Body: { type ("custom"), title, message, metadata } and when to send it:
+ * - delayMinutes: once, this many minutes from now (default 2)
+ * - scheduledFor: once, at this time (ISO 8601)
+ * - recurrence: { cron | rrule, timezone } repeatedly, from scheduledFor
+ *   (or now), optionally until endAt or for maxOccurrences occurrences.
+ *   timezone defaults to the user's.
  */
 router.post("/schedule", async (req, res) => {
   try {
-    const { type, title, message, delayMinutes, metadata } = req.body;
+    const { type, title, message, delayMinutes, metadata, recurrence } = req.body;
     
     if (!type || !title || !message) {
       return res.status(400).json({ error: "type, title, and message are required" });
     }
+    if (!CLIENT_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of: ${CLIENT_TYPES.join(", ")}` });
+    }
+    if (await atPendingLimit(req.user._id)) {
+      return res.status(429).json({ error: `At most ${MAX_PENDING} notifications can be pending` });
+    }
     
-    const delay = (delayMinutes || 2) * 60 * 1000; // Default 2 minutes
-    const scheduledFor = new Date(Date.now() + delay);
+    let scheduledFor;
+    if (req.body.scheduledFor !== undefined) {
+      scheduledFor = new Date(req.body.scheduledFor);
+      if (isNaN(scheduledFor)) {
+        return res.status(400).json({ error: "scheduledFor must be an ISO 8601 date" });
+      }
+      // A minute's grace for clock differences
+      if (scheduledFor < Date.now() - 60 * 1000) {
+        return res.status(400).json({ error: "scheduledFor is in the past" });
+      }
+    }
+    
+    if (recurrence) {
+      const progress = await UserProgress.findOne({ userId: req.user._id });
+      const { schedule, notification } = await createSchedule(req.user._id, {
+        type,
+        title,
+        message,
+        metadata,
+        cron: recurrence.cron,
+        rrule: recurrence.rrule,
+        timezone: recurrence.timezone || progress?.timezone,
+        startAt: scheduledFor,
+        endAt: req.body.endAt,
+        maxOccurrences: req.body.maxOccurrences,
+      });
+      
+      console.log(`📅 Recurring notification scheduled, first at ${schedule.nextRunAt.toISOString()}`);
+      
+      return res.status(201).json({
+        success: true,
+        schedule,
+        notification,
+        scheduledFor: schedule.nextRunAt,
+      });
+    }
+    
+    if (!scheduledFor) {
+      const minutes = delayMinutes === undefined ? 2 : Number(delayMinutes);
+      if (!Number.isFinite(minutes) || minutes < 0) {
+        return res.status(400).json({ error: "delayMinutes must be a non-negative number" });
+      }
+      scheduledFor = new Date(Date.now() + minutes * 60 * 1000);
+    }
+    const delay = Math.max(0, scheduledFor.getTime() - Date.now());
     
     const notification = new ScheduledNotification({
+      userId: req.user._id,
       type,
       title,
       message,
@@ -101,9 +297,6 @@ router.post("/schedule", async (req, res) => {
     
     await notification.save();
     
-    // Set up in-memory timer for this notification
-    scheduleNotificationTimer(notification);
-    
     console.log(`📅 Notification scheduled for ${scheduledFor.toLocaleTimeString()}`);
     
     res.json({
@@ -114,6 +307,9 @@ router.post("/schedule", async (req, res) => {
       timeUntilFormatted: formatTimeUntil(delay),
     });
   } catch (error) {
+    if (error instanceof ScheduleError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error("Error scheduling notification:", error);
     res.status(500).json({ error: "Failed to schedule notification" });
   }
@@ -121,34 +317,30 @@ router.post("/schedule", async (req, res) => {
 
 /**
  * POST /api/notifications/:id/trigger
- * Manually trigger a notification (mark as sent)
+ * Send a pending notification now
  */
 router.post("/:id/trigger", async (req, res) => {
   try {
-    const notification = await ScheduledNotification.findById(req.params.id);
+    const notification = await dispatchNow({
+      _id: req.params.id,
+      userId: req.user._id,
+    });
     
     if (!notification) {
-      return res.status(404).json({ error: "Notification not found" });
-    }
-    
-    if (notification.status === "sent") {
-      return res.status(400).json({ error: "Notification already sent" });
-    }
-    
-    notification.status = "sent";
-    notification.sentAt = new Date();
-    await notification.save();
-    
-    // Clear any existing timer
-    if (activeTimers.has(notification._id.toString())) {
-      clearTimeout(activeTimers.get(notification._id.toString()));
-      activeTimers.delete(notification._id.toString());
+      const existing = await ScheduledNotification.findOne({
+        _id: req.params.id,
+        userId: req.user._id,
+      });
+      if (!existing) {
+        return res.status(404).json({ error: "Notification not found" });
+      }
+      return res
+        .status(400)
+        .json({ error: `Notification is already ${existing.status}` });
     }
     
-    console.log(`🔔 Notification triggered: ${notification.title}`);
-    
     res.json({
-      success: true,
+      success: notification.status === "sent",
       notification,
     });
   } catch (error) {
@@ -163,19 +355,29 @@ router.post("/:id/trigger", async (req, res) => {
  */
 router.delete("/:id", async (req, res) => {
   try {
-    const notification = await ScheduledNotification.findById(req.params.id);
+    // Only a pending one can be cancelled; the dispatcher may be sending it
+    const notification = await ScheduledNotification.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id, status: "pending" },
+      { $set: { status: "cancelled", statusReason: "Cancelled by user" } },
+      { new: true }
+    );
     
     if (!notification) {
-      return res.status(404).json({ error: "Notification not found" });
+      const existing = await ScheduledNotification.findOne({
+        _id: req.params.id,
+        userId: req.user._id,
+      });
+      if (!existing) {
+        return res.status(404).json({ error: "Notification not found" });
+      }
+      return res
+        .status(400)
+        .json({ error: `Notification is already ${existing.status}` });
     }
     
-    notification.status = "cancelled";
-    await notification.save();
-    
-    // Clear any existing timer
-    if (activeTimers.has(notification._id.toString())) {
-      clearTimeout(activeTimers.get(notification._id.toString()));
-      activeTimers.delete(notification._id.toString());
+    // Cancelling one occurrence of a recurring schedule skips to the next
+    if (notification.scheduleId) {
+      await scheduleNextOccurrence(notification);
     }
     
     res.json({ success: true, message: "Notification cancelled" });
@@ -188,41 +390,48 @@ router.delete("/:id", async (req, res) => {
 /**
  * POST /api/notifications/schedule-skill-reminder
  * Schedule a reminder notification after adding a skill (called from resources route)
+ * Body: { roadmapId, delayMinutes }
  */
 router.post("/schedule-skill-reminder", async (req, res) => {
   try {
-    const { roadmapId, roadmapTitle, category, delayMinutes = 2 } = req.body;
+    const { roadmapId } = req.body;
+    const delayMinutes = req.body.delayMinutes === undefined ? 2 : Number(req.body.delayMinutes);
+    if (!Number.isFinite(delayMinutes) || delayMinutes <= 0) {
+      return res.status(400).json({ error: "delayMinutes must be a positive number" });
+    }
     
-    // Get current streak info
-    let progress = await UserProgress.findOne({ oderId: "default" });
-    if (!progress) {
-      progress = new UserProgress({ oderId: "default" });
-      await progress.save();
+    const roadmap = mongoose.isValidObjectId(roadmapId)
+      ? await Resource.findOne({ _id: roadmapId, userId: req.user._id })
+      : null;
+    if (!roadmap) {
+      return res.status(404).json({ error: "Roadmap not found" });
+    }
+    const { title: roadmapTitle, category } = roadmap;
+    if (await atPendingLimit(req.user._id)) {
+      return res.status(429).json({ error: `At most ${MAX_PENDING} notifications can be pending` });
     }
     
-    const streakCount = progress.currentStreak || 0;
+    // Get current streak info
+    const progress = await UserProgress.forUser(req.user._id);
     
-    // Create motivational message based on streak
-    let title, message;
+    const streakCount = progress.currentStreak || 0;
     
-    if (streakCount === 0) {
-      title = "🚀 Start Your Learning Journey!";
-      message = `Your "${roadmapTitle}" roadmap is ready! Complete your first step to start building your streak.`;
-    } else if (streakCount < 3) {
-      title = "🔥 Keep the Momentum Going!";
-      message = `You're on a ${streakCount}-day streak! Your new "${roadmapTitle}" roadmap awaits. Don't break the chain!`;
-    } else if (streakCount < 7) {
-      title = "⚡ You're on Fire!";
-      message = `Amazing ${streakCount}-day streak! Check out your new "${roadmapTitle}" roadmap and keep crushing it!`;
-    } else {
-      title = "🏆 Streak Champion!";
-      message = `Incredible ${streakCount}-day streak! Your "${roadmapTitle}" roadmap is ready. You're unstoppable!`;
-    }
+    const { title, message } = await renderForUser(
+      req.user._id,
+      "skill_added",
+      {
+        roadmapTitle,
+        stepCount: roadmap.learningPath.length,
+        streak: streakCount,
+        category,
+      }
+    );
     
     const delay = delayMinutes * 60 * 1000;
     const scheduledFor = new Date(Date.now() + delay);
     
     const notification = new ScheduledNotification({
+      userId: req.user._id,
       type: "skill_added",
       title,
       message,
@@ -237,9 +446,6 @@ router.post("/schedule-skill-reminder", async (req, res) => {
     
     await notification.save();
     
-    // Set up in-memory timer
-    scheduleNotificationTimer(notification);
-    
     console.log(`📅 Skill reminder scheduled for ${scheduledFor.toLocaleTimeString()} (in ${delayMinutes} min)`);
     
     res.json({
@@ -258,43 +464,36 @@ router.post("/schedule-skill-reminder", async (req, res) => {
 // ============================================
 
 /**
- * Set up an in-memory timer for a notification
+ * Which inbox notifications a bulk action applies to
+ * @returns {Object} - { query } or { error }
  */
-function scheduleNotificationTimer(notification) {
-  const now = Date.now();
-  const triggerTime = new Date(notification.scheduledFor).getTime();
-  const delay = Math.max(0, triggerTime - now);
-  
-  // Clear any existing timer for this notification
-  const notifId = notification._id.toString();
-  if (activeTimers.has(notifId)) {
-    clearTimeout(activeTimers.get(notifId));
+function bulkSelection(req) {
+  const { ids, all, type, roadmapId } = req.body || {};
+
+  if (type && !NOTIFICATION_TYPES.includes(type)) {
+    return { error: "Invalid type" };
   }
-  
-  // Set new timer
-  const timer = setTimeout(async () => {
-    try {
-      // Mark as sent in database
-      await ScheduledNotification.findByIdAndUpdate(notification._id, {
-        status: "sent",
-        sentAt: new Date(),
-      });
-      
-      console.log(`\n🔔 ========================================`);
-      console.log(`🔔 NOTIFICATION TRIGGERED!`);
-      console.log(`🔔 Title: ${notification.title}`);
-      console.log(`🔔 Message: ${notification.message}`);
-      console.log(`🔔 ========================================\n`);
-      
-      activeTimers.delete(notifId);
-    } catch (error) {
-      console.error("Error triggering scheduled notification:", error);
-    }
-  }, delay);
-  
-  activeTimers.set(notifId, timer);
-  
-  console.log(`⏰ Timer set for notification ${notifId} (${formatTimeUntil(delay)})`);
+  if (roadmapId && !mongoose.isValidObjectId(roadmapId)) {
+    return { error: "Invalid roadmapId" };
+  }
+
+  const query = inboxQuery(req.user._id, { type, roadmapId });
+  if (all === true) {
+    return { query };
+  }
+
+  if (
+    !Array.isArray(ids) ||
+    ids.length === 0 ||
+    ids.length > MAX_BULK_IDS ||
+    !ids.every((id) => mongoose.isValidObjectId(id))
+  ) {
+    return {
+      error: `Provide ids (1-${MAX_BULK_IDS} notification IDs) or all: true`,
+    };
+  }
+  query._id = { $in: ids };
+  return { query };
 }
 
 /**
@@ -313,38 +512,4 @@ function formatTimeUntil(ms) {
   return `${seconds}s`;
 }
 
-/**
- * Initialize timers for all pending notifications on server start
- */
-async function initializePendingNotifications() {
-  try {
-    const pendingNotifications = await ScheduledNotification.find({
-      status: "pending",
-    });
-    
-    console.log(`📅 Found ${pendingNotifications.length} pending notifications`);
-    
-    for (const notification of pendingNotifications) {
-      const now = Date.now();
-      const triggerTime = new Date(notification.scheduledFor).getTime();
-      
-      if (triggerTime <= now) {
-        // Already past due, trigger immediately
-        notification.status = "sent";
-        notification.sentAt = new Date();
-        await notification.save();
-        console.log(`🔔 Triggered overdue notification: ${notification.title}`);
-      } else {
-        // Schedule for future
-        scheduleNotificationTimer(notification);
-      }
-    }
-  } catch (error) {
-    console.error("Error initializing pending notifications:", error);
-  }
-}
-
-// Export the router and initialization function
 module.exports = router;
-module.exports.initializePendingNotifications = initializePendingNotifications;
-
@@ -1,6 +1,16 @@
 const express = require("express");
 const router = express.Router();
+const mongoose = require("mongoose");
 const UserProgress = require("../models/UserProgress");
+const Activity = require("../models/Activity");
+const { getLearningAnalytics } = require("../services/analytics");
+const { describeAchievements } = require("../services/achievements");
+const { scheduleNextReminder } = require("../services/reminders");
+const {
+  buildWeeklyDigest,
+  scheduleNextDigest,
+} = require("../services/weeklyDigest");
+const { isValidTimezone, dayKey, WEEKDAYS } = require("../utils/timezone");
 
 /**
  * GET /api/progress
@@ -8,29 +18,28 @@ const UserProgress = require("../models/UserProgress");
  */
 router.get("/", async (req, res) => {
   try {
-    let progress = await UserProgress.findOne({ oderId: "default" });
-
-    if (!progress) {
-      progress = new UserProgress({ oderId: "default" });
-      await progress.save();
-    }
+    const progress = await UserProgress.forUser(req.user._id);
 
     // Get activity data for heatmap (last 90 days)
     const ninetyDaysAgo = new Date();
     ninetyDaysAgo.setDate(ninetyDaysAgo.getDate() - 90);
 
-    const activityByDate = {};
-    progress.activities
-      .filter((a) => a.date >= ninetyDaysAgo)
-      .forEach((activity) => {
-        const dateKey = activity.date.toISOString().split("T")[0];
-        activityByDate[dateKey] = (activityByDate[dateKey] || 0) + 1;
-      });
+    const activityByDate = await Activity.countByDay(req.user._id, {
+      from: ninetyDaysAgo,
+      timezone: progress.timezone,
+    });
 
     res.json({
       currentStreak: progress.currentStreak,
       longestStreak: progress.longestStreak,
       lastActivityDate: progress.lastActivityDate,
+      streakFreezes: {
+        available: progress.streakFreezes.available,
+        max: UserProgress.STREAK_FREEZE_MAX,
+        earnEvery: UserProgress.STREAK_FREEZE_INTERVAL,
+        history: progress.streakFreezes.history,
+      },
+      timezone: progress.timezone,
       totalStepsCompleted: progress.totalStepsCompleted,
       totalRoadmapsCreated: progress.totalRoadmapsCreated,
       totalNotesAdded: progress.totalNotesAdded,
@@ -44,6 +53,122 @@ router.get("/", async (req, res) => {
   }
 });
 
+/**
+ * GET /api/progress/heatmap?year=2026
+ * Activity counts for every day of a year (defaults to the current year),
+ * in the user's time zone
+ */
+router.get("/heatmap", async (req, res) => {
+  try {
+    const progress = await UserProgress.forUser(req.user._id);
+    const currentYear = Number(
+      dayKey(new Date(), progress.timezone).slice(0, 4)
+    );
+    const year = req.query.year ? Number(req.query.year) : currentYear;
+
+    if (!Number.isInteger(year) || year < 2000 || year > currentYear + 1) {
+      return res.status(400).json({ error: "Invalid year" });
+    }
+
+    // Widen the range by a day on each side to cover every time zone offset,
+    // then keep only the days that fall in the requested year locally
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const counts = await Activity.countByDay(req.user._id, {
+      from: new Date(Date.UTC(year, 0, 1) - DAY_MS),
+      to: new Date(Date.UTC(year + 1, 0, 1) + DAY_MS),
+      timezone: progress.timezone,
+    });
+
+    const activityHeatmap = {};
+    for (const [date, count] of Object.entries(counts)) {
+      if (date.startsWith(`${year}-`)) {
+        activityHeatmap[date] = count;
+      }
+    }
+    const counted = Object.values(activityHeatmap);
+
+    res.json({
+      year,
+      timezone: progress.timezone,
+      totalActivities: counted.reduce((sum, count) => sum + count, 0),
+      activeDays: counted.length,
+      maxPerDay: counted.length > 0 ? Math.max(...counted) : 0,
+      activityHeatmap,
+    });
+  } catch (error) {
+    console.error("Error fetching heatmap:", error);
+    res.status(500).json({ error: "Failed to fetch heatmap" });
+  }
+});
+
+/**
+ * GET /api/progress/analytics?weeks=12
+ * Steps and hours per week, average time between completions and a
+ * projected finish date, overall and per roadmap
+ */
+router.get("/analytics", async (req, res) => {
+  try {
+    const weeks = req.query.weeks ? Number(req.query.weeks) : 12;
+    if (!Number.isInteger(weeks) || weeks < 1 || weeks > 104) {
+      return res
+        .status(400)
+        .json({ error: "weeks must be an integer between 1 and 104" });
+    }
+
+    const progress = await UserProgress.forUser(req.user._id);
+    const analytics = await getLearningAnalytics(req.user._id, {
+      weeks,
+      timezone: progress.timezone,
+    });
+
+    res.json(analytics);
+  } catch (error) {
+    console.error("Error fetching analytics:", error);
+    res.status(500).json({ error: "Failed to fetch analytics" });
+  }
+});
+
+/**
+ * GET /api/progress/digest?week=2026-10-12&encouragement=true
+ * Summary of one week (Monday to Sunday, in the user's time zone): steps
+ * completed per roadmap, notes, streak, achievements and next steps.
+ * week is any day in the week (default: last week); encouragement adds an
+ * AI-written paragraph.
+ */
+router.get("/digest", async (req, res) => {
+  try {
+    const { week } = req.query;
+    const progress = await UserProgress.forUser(req.user._id);
+
+    if (week !== undefined) {
+      if (
+        !/^\d{4}-\d{2}-\d{2}$/.test(week) ||
+        isNaN(Date.parse(week)) ||
+        new Date(Date.parse(week)).toISOString().slice(0, 10) !== week
+      ) {
+        return res
+          .status(400)
+          .json({ error: "week must be a date in YYYY-MM-DD format" });
+      }
+      if (week > dayKey(new Date(), progress.timezone)) {
+        return res.status(400).json({ error: "week is in the future" });
+      }
+    }
+
+    const digest = await buildWeeklyDigest(progress, {
+      week,
+      encouragement: req.query.encouragement === "true",
+    });
+
+    res.json(digest);
+  } catch (error) {
+    console.error("Error building weekly digest:", error);
+    res.status(500).json({ error: "Failed to build weekly digest" });
+  }
+});
+
+const ACTIVITY_TYPES = Activity.schema.path("type").enumValues;
+
 /**
  * POST /api/progress/activity
  * Log an activity (called internally when user does something)
@@ -52,14 +177,36 @@ router.post("/activity", async (req, res) => {
   try {
     const { type, roadmapId, stepId, details } = req.body;
 
-    let progress = await UserProgress.findOne({ oderId: "default" });
+    if (!ACTIVITY_TYPES.includes(type)) {
+      return res
+        .status(400)
+        .json({ error: `type must be one of: ${ACTIVITY_TYPES.join(", ")}` });
+    }
+    if (roadmapId != null && !mongoose.isValidObjectId(roadmapId)) {
+      return res.status(400).json({ error: "Invalid roadmapId" });
+    }
+    if (stepId != null && !mongoose.isValidObjectId(stepId)) {
+      return res.status(400).json({ error: "Invalid stepId" });
+    }
 
-    if (!progress) {
-      progress = new UserProgress({ oderId: "default" });
+    // Step completions are recorded by PATCH /api/resources/:id/steps/:stepId
+    if (type === "step_completed") {
+      return res.status(400).json({
+        error:
+          "step_completed is recorded automatically when a step is marked complete",
+      });
     }
+    // Quizzes go through POST /api/progress/quiz-result to keep the quiz streak
+    if (type === "quiz_completed") {
+      return res.status(400).json({
+        error: "Use POST /api/progress/quiz-result to record quizzes",
+      });
+    }
+
+    const progress = await UserProgress.forUser(req.user._id);
 
-    progress.addActivity(type, roadmapId, stepId, details);
-    const newAchievements = progress.checkAchievements();
+    await progress.addActivity(type, roadmapId, stepId, details);
+    const newAchievements = await progress.checkAchievements();
     await progress.save();
 
     res.json({
@@ -81,12 +228,20 @@ router.put("/reminder", async (req, res) => {
   try {
     const { enabled, time, days } = req.body;
 
-    let progress = await UserProgress.findOne({ oderId: "default" });
-
-    if (!progress) {
-      progress = new UserProgress({ oderId: "default" });
+    if (time !== undefined && !/^([01]\d|2[0-3]):[0-5]\d$/.test(time)) {
+      return res.status(400).json({ error: "time must be in HH:MM format" });
+    }
+    if (
+      days !== undefined &&
+      (!Array.isArray(days) || days.some((day) => !WEEKDAYS.includes(day)))
+    ) {
+      return res
+        .status(400)
+        .json({ error: `days must be a list of: ${WEEKDAYS.join(", ")}` });
     }
 
+    const progress = await UserProgress.forUser(req.user._id);
+
     progress.reminder = {
       enabled: enabled ?? progress.reminder.enabled,
       time: time ?? progress.reminder.time,
@@ -95,10 +250,12 @@ router.put("/reminder", async (req, res) => {
     };
 
     await progress.save();
+    const nextReminder = await scheduleNextReminder(progress);
 
     res.json({
       success: true,
       reminder: progress.reminder,
+      nextReminderAt: nextReminder?.scheduledFor || null,
     });
   } catch (error) {
     console.error("Error updating reminder:", error);
@@ -107,101 +264,123 @@ router.put("/reminder", async (req, res) => {
 });
 
 /**
- * GET /api/progress/achievements
- * Get all achievements with their status
+ * PUT /api/progress/timezone
+ * Set the IANA time zone used for streak and heatmap day boundaries.
+ * The streak is rebuilt from the activity log in the new zone.
  */
-router.get("/achievements", async (req, res) => {
+router.put("/timezone", async (req, res) => {
   try {
-    let progress = await UserProgress.findOne({ oderId: "default" });
-
-    const allAchievements = [
-      {
-        id: "streak_3",
-        name: "Getting Started",
-        description: "Maintain a 3-day learning streak",
-        icon: "🔥",
-        requirement: 3,
-        type: "streak",
-      },
-      {
-        id: "streak_7",
-        name: "Week Warrior",
-        description: "Maintain a 7-day learning streak",
-        icon: "⚡",
-        requirement: 7,
-        type: "streak",
-      },
-      {
-        id: "streak_30",
-        name: "Monthly Master",
-        description: "Maintain a 30-day learning streak",
-        icon: "🏆",
-        requirement: 30,
-        type: "streak",
-      },
-      {
-        id: "steps_10",
-        name: "First Steps",
-        description: "Complete 10 learning steps",
-        icon: "👣",
-        requirement: 10,
-        type: "steps",
-      },
-      {
-        id: "steps_50",
-        name: "Milestone Maker",
-        description: "Complete 50 learning steps",
-        icon: "🎯",
-        requirement: 50,
-        type: "steps",
-      },
-      {
-        id: "steps_100",
-        name: "Century Club",
-        description: "Complete 100 learning steps",
-        icon: "💯",
-        requirement: 100,
-        type: "steps",
-      },
-      {
-        id: "roadmaps_3",
-        name: "Path Finder",
-        description: "Create 3 learning roadmaps",
-        icon: "🗺️",
-        requirement: 3,
-        type: "roadmaps",
-      },
-      {
-        id: "roadmaps_10",
-        name: "Explorer",
-        description: "Create 10 learning roadmaps",
-        icon: "🧭",
-        requirement: 10,
-        type: "roadmaps",
-      },
-      {
-        id: "notes_10",
-        name: "Note Taker",
-        description: "Add 10 personal notes",
-        icon: "📝",
-        requirement: 10,
-        type: "notes",
-      },
-    ];
+    const { timezone } = req.body;
+
+    if (!isValidTimezone(timezone)) {
+      return res
+        .status(400)
+        .json({ error: "timezone must be an IANA time zone name" });
+    }
+
+    const progress = await UserProgress.forUser(req.user._id);
+    await progress.setTimezone(timezone);
+    await progress.save();
+    // Reminder and digest times are local, so move the pending ones to the
+    // new zone
+    await scheduleNextReminder(progress);
+    await scheduleNextDigest(progress);
+
+    res.json({
+      success: true,
+      timezone: progress.timezone,
+      currentStreak: progress.currentStreak,
+      longestStreak: progress.longestStreak,
+    });
+  } catch (error) {
+    console.error("Error updating timezone:", error);
+    res.status(500).json({ error: "Failed to update timezone" });
+  }
+});
 
-    const unlockedIds = progress?.achievements || [];
+/**
+ * POST /api/progress/streak/recompute
+ * Rebuild currentStreak and longestStreak from the activity log.
+ * longestStreak is never lowered, since older history may be missing.
+ */
+router.post("/streak/recompute", async (req, res) => {
+  try {
+    const progress = await UserProgress.forUser(req.user._id);
+    await progress.recomputeStreak({ keepLongest: true });
+    await progress.save();
 
-    const achievementsWithStatus = allAchievements.map((achievement) => ({
-      ...achievement,
-      unlocked: unlockedIds.includes(achievement.id),
-      unlockedAt: unlockedIds.includes(achievement.id)
-        ? progress.activities.find(
-            (a) => a.details?.includes(achievement.id)
-          )?.date
-        : null,
-    }));
+    res.json({
+      success: true,
+      currentStreak: progress.currentStreak,
+      longestStreak: progress.longestStreak,
+      lastActivityDate: progress.lastActivityDate,
+    });
+  } catch (error) {
+    console.error("Error recomputing streak:", error);
+    res.status(500).json({ error: "Failed to recompute streak" });
+  }
+});
+
+/**
+ * POST /api/progress/quiz-result
+ * Record a graded quiz (from /api/ai-assistant/quiz) and update the quiz streak
+ */
+router.post("/quiz-result", async (req, res) => {
+  try {
+    const { topic, roadmapId, stepId } = req.body;
+    const score = Number(req.body.score);
+    const total = Number(req.body.total);
+
+    if (!topic) {
+      return res.status(400).json({ error: "Topic is required" });
+    }
+    if (
+      !Number.isInteger(score) ||
+      !Number.isInteger(total) ||
+      total < 1 ||
+      score < 0 ||
+      score > total
+    ) {
+      return res.status(400).json({
+        error: "score and total must be integers with 0 <= score <= total",
+      });
+    }
+
+    const progress = await UserProgress.forUser(req.user._id);
+    const passed = await progress.recordQuizResult({
+      score,
+      total,
+      topic,
+      roadmapId,
+      stepId,
+    });
+    const newAchievements = await progress.checkAchievements();
+    await progress.save();
+
+    res.json({
+      success: true,
+      passed,
+      quizStreak: progress.quizStreak,
+      longestQuizStreak: progress.longestQuizStreak,
+      currentStreak: progress.currentStreak,
+      newAchievements,
+    });
+  } catch (error) {
+    console.error("Error recording quiz result:", error);
+    res.status(500).json({ error: "Failed to record quiz result" });
+  }
+});
+
+/**
+ * GET /api/progress/achievements
+ * Get all achievements with their status and progress toward the next tier
+ */
+router.get("/achievements", async (req, res) => {
+  try {
+    const progress = await UserProgress.forUser(req.user._id);
+    const { achievements, nextTiers } = await describeAchievements(progress);
 
-    res.json({ achievements: achievementsWithStatus });
+    res.json({ achievements, nextTiers });
   } catch (error) {
     console.error("Error fetching achievements:", error);
     res.status(500).json({ error: "Failed to fetch achievements" });
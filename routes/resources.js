@@ -3,457 +3,194 @@ const router = express.Router();
 const crypto = require("crypto");
 const Resource = require("../models/Resource");
 const UserProgress = require("../models/UserProgress");
-const ScheduledNotification = require("../models/ScheduledNotification");
-const { GoogleGenerativeAI } = require("@google/generative-ai");
-const { validateResourcesInParallel } = require("../utils/urlValidation");
-
-// Initialize Gemini AI
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-
-// fallback resources (if AI fails to find resources)
-const curatedResources = {
-  mobile: [
-    {
-      title: "React Native Documentation",
-      url: "https://reactnative.dev/docs/getting-started",
-      type: "documentation",
-    },
-    {
-      title: "Flutter Documentation",
-      url: "https://docs.flutter.dev",
-      type: "documentation",
-    },
-    {
-      title: "Ionic Framework Docs",
-      url: "https://ionicframework.com/docs",
-      type: "documentation",
-    },
-    {
-      title: "Android Developers",
-      url: "https://developer.android.com",
-      type: "documentation",
-    },
-    {
-      title: "Apple Developer",
-      url: "https://developer.apple.com/documentation",
-      type: "documentation",
-    },
-  ],
-  frontend: [
-    {
-      title: "MDN Web Docs",
-      url: "https://developer.mozilla.org",
-      type: "documentation",
-    },
-    {
-      title: "React Documentation",
-      url: "https://react.dev",
-      type: "documentation",
-    },
-    {
-      title: "Vue.js Guide",
-      url: "https://vuejs.org/guide/introduction.html",
-      type: "documentation",
-    },
-    {
-      title: "Angular Documentation",
-      url: "https://angular.io/docs",
-      type: "documentation",
-    },
-    {
-      title: "freeCodeCamp",
-      url: "https://www.freecodecamp.org",
-      type: "course",
-    },
-    {
-      title: "CSS-Tricks",
-      url: "https://css-tricks.com",
-      type: "article",
-    },
-  ],
-  backend: [
-    {
-      title: "Node.js Documentation",
-      url: "https://nodejs.org/docs/latest/api/",
-      type: "documentation",
-    },
-    {
-      title: "Express.js Guide",
-      url: "https://expressjs.com/en/guide/routing.html",
-      type: "documentation",
-    },
-    {
-      title: "Django Documentation",
-      url: "https://docs.djangoproject.com",
-      type: "documentation",
-    },
-    {
-      title: "PostgreSQL Tutorial",
-      url: "https://www.postgresqltutorial.com",
-      type: "tutorial",
-    },
-    {
-      title: "MongoDB University",
-      url: "https://learn.mongodb.com",
-      type: "course",
-    },
-  ],
-  design: [
-    {
-      title: "Figma Learn",
-      url: "https://help.figma.com",
-      type: "documentation",
-    },
-    {
-      title: "Material Design",
-      url: "https://m3.material.io",
-      type: "documentation",
-    },
-    {
-      title: "Tailwind CSS Docs",
-      url: "https://tailwindcss.com/docs",
-      type: "documentation",
-    },
-    {
-      title: "Dribbble",
-      url: "https://dribbble.com",
-      type: "tool",
-    },
-    {
-      title: "Smashing Magazine",
-      url: "https://www.smashingmagazine.com",
-      type: "article",
-    },
-  ],
-  ai: [
-    {
-      title: "TensorFlow Tutorials",
-      url: "https://www.tensorflow.org/tutorials",
-      type: "tutorial",
-    },
-    {
-      title: "PyTorch Documentation",
-      url: "https://pytorch.org/docs/stable/index.html",
-      type: "documentation",
-    },
-    {
-      title: "Hugging Face",
-      url: "https://huggingface.co/docs",
-      type: "documentation",
-    },
-    {
-      title: "OpenAI Documentation",
-      url: "https://platform.openai.com/docs",
-      type: "documentation",
-    },
-    {
-      title: "Fast.ai",
-      url: "https://www.fast.ai",
-      type: "course",
-    },
-    {
-      title: "Kaggle Learn",
-      url: "https://www.kaggle.com/learn",
-      type: "course",
-    },
-  ],
-};
-
-// Generate Learning path (exlucing resources)
-async function generateLearningPath(skillData) {
-  const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
-
-  const levelSteps = {
-    beginner: { min: 12, max: 15 },
-    intermediate: { min: 10, max: 12 },
-    advanced: { min: 8, max: 10 },
-  };
+const {
+  STREAM_TOKEN_EXPIRES_IN,
+  requireAuth,
+  requireStreamAuth,
+  signStreamToken,
+} = require("../middleware/auth");
+const roadmapEvents = require("../services/roadmapEvents");
+const {
+  enqueueResourceGathering,
+  summarizeResourcesStatus,
+} = require("../services/resourceGathering");
+const {
+  RoadmapError,
+  createRoadmap,
+  extendRoadmap,
+} = require("../services/roadmapService");
+const {
+  StepEditError,
+  parseVersion,
+  updateStepFields,
+  insertStep,
+  deleteStep,
+  reorderSteps,
+} = require("../services/roadmapSteps");
 
-  const goalContext = {
-    fundamentals: "Focus on core concepts, theory, and foundational knowledge",
-    "hands-on":
-      "Emphasize practical projects, coding exercises, and real-world applications",
-    career:
-      "Include industry best practices, interview prep, and professional skills",
-    hobby:
-      "Keep it fun, project-based, and engaging without overwhelming depth",
-  };
+// --- api routes start here ---
+/**
+ * GET /api/resources/shared/:shareId
+ * Get a shared roadmap (public access)
+ */
+router.get("/shared/:shareId", async (req, res) => {
+  try {
+    const resource = await Resource.findOne({
+      shareId: req.params.shareId,
+      isPublic: true,
+    });
 
-  const currentLevel = skillData.currentSkillLevel || "beginner";
-  const stepRange = levelSteps[currentLevel] || levelSteps.beginner;
-  const goalFocus =
-    goalContext[skillData.learningGoal] || goalContext.fundamentals;
-
-  const prompt = `You are an expert learning path designer like roadmap.sh. Create a comprehensive, structured learning roadmap for "${
-    skillData.title
-  }" in the "${skillData.category}" category.
-
-USER CONTEXT:
-- Current Skill Level: ${currentLevel}
-- Learning Goal: ${skillData.learningGoal || "fundamentals"} - ${goalFocus}
-- Target Level: ${skillData.targetSkillLevel || "proficient"}
-- Additional Notes: ${skillData.description || "None"}
-
-REQUIREMENTS:
-1. Generate ${stepRange.min}-${stepRange.max} progressive learning steps
-2. Each step should build upon previous knowledge
-3. DO NOT include any resources or URLs - resources will be added separately
-4. Estimate realistic time for each step IN HOURS ONLY (e.g., "2-3 hours", "4-6 hours", "8-10 hours")
-5. NEVER use "days" or "weeks" - always convert to hours
-
-IMPORTANT: Respond ONLY with a valid JSON array. No markdown, no code blocks, no explanations.
-
-FORMAT:
-[
-  {
-    "title": "Step title - clear and specific",
-    "description": "Detailed description of what to learn, key concepts to understand, and why this step matters",
-    "estimatedTime": "X-Y hours (ALWAYS in hours, e.g., '2-3 hours', '6-8 hours', '10-12 hours')"
-  }
-]`;
+    if (!resource) {
+      return res
+        .status(404)
+        .json({ message: "Shared roadmap not found or no longer public" });
+    }
 
-  try {
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    let text = response.text();
-
-    // Clean up the response
-    text = text
-      .replace(/```json\n?/g, "")
-      .replace(/```\n?/g, "")
-      .trim();
-
-    const learningPath = JSON.parse(text);
-    return learningPath.map((step) => ({
-      title: step.title,
-      description: step.description || "",
-      estimatedTime: step.estimatedTime || "2-3 hours",
-      resources: [],
-      resourcesStatus: "pending",
-      completed: false,
-    }));
-  } catch (error) {
-    console.error("Error generating learning path:", error);
-    // Return a default learning path if AI fails
-    return [
-      {
-        title: `Introduction to ${skillData.title}`,
-        description:
-          "Start with the basics and understand core concepts. This foundation is essential for everything that follows.",
-        estimatedTime: "2-3 hours",
-        resources: [],
-        resourcesStatus: "pending",
-        completed: false,
-      },
-      {
-        title: "Core Concepts Deep Dive",
-        description:
-          "Explore the fundamental concepts in depth and understand how they work together.",
-        estimatedTime: "4-6 hours",
-        resources: [],
-        resourcesStatus: "pending",
-        completed: false,
-      },
-      {
-        title: "Hands-on Practice",
-        description:
-          "Apply what you learned with practical exercises and small projects.",
-        estimatedTime: "6-8 hours",
-        resources: [],
-        resourcesStatus: "pending",
-        completed: false,
-      },
-      {
-        title: "Build a Project",
-        description: "Create a real project to solidify your understanding.",
-        estimatedTime: "10-15 hours",
-        resources: [],
-        resourcesStatus: "pending",
-        completed: false,
-      },
-    ];
-  }
-}
+    // Return sanitized version (no personal notes)
+    const publicRoadmap = {
+      title: resource.title,
+      category: resource.category,
+      description: resource.description,
+      currentSkillLevel: resource.currentSkillLevel,
+      learningGoal: resource.learningGoal,
+      targetSkillLevel: resource.targetSkillLevel,
+      learningPath: resource.learningPath.map((step) => ({
+        title: step.title,
+        description: step.description,
+        estimatedTime: step.estimatedTime,
+        resources: step.resources,
+        completed: step.completed,
+        // Exclude personal notes from shared view
+      })),
+      totalSteps: resource.learningPath.length,
+      completedSteps: resource.learningPath.filter((s) => s.completed).length,
+      createdAt: resource.createdAt,
+    };
 
-//  Find and Validate (in bBackground)
-async function generateResourcesForStep(stepTitle, stepDescription, skillData) {
-  const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
-
-  const prompt = `You are a resource curator. Find 5-7 REAL learning resources for this specific learning step.
-
-STEP: "${stepTitle}"
-DESCRIPTION: "${stepDescription}"
-SKILL: "${skillData.title}" (${skillData.category})
-
-REQUIREMENTS:
-1. Suggest resources from WELL-KNOWN sources:
-   - Official documentation sites (react.dev, angular.io, nodejs.org, developer.mozilla.org, etc.)
-   - freeCodeCamp (freecodecamp.org)
-   - W3Schools (w3schools.com)
-   - GeeksforGeeks (geeksforgeeks.org)
-   - DigitalOcean tutorials
-   - GitHub repos and awesome lists
-   - Dev.to, Medium articles
-
-2. FOR YOUTUBE VIDEOS:
-   - Include 2-3 actual YouTube video links (not channel links)
-   - Search for popular, well-viewed tutorial videos on this topic
-   - Use the full YouTube video URL format: https://www.youtube.com/watch?v=VIDEO_ID
-   - Look for videos from ANY educational channel - not limited to specific channels
-   - Prefer videos with high view counts and good ratings
-   - Include the actual video title in the resource title
-
-3. Mix different resource types: documentation, YouTube videos, tutorials, GitHub repos, articles
-4. Prioritize free resources
-5. Make sure URLs are real and complete
-
-IMPORTANT: Respond ONLY with a valid JSON array. No markdown, no code blocks.
-
-FORMAT:
-[
-  {
-    "title": "Resource title",
-    "url": "https://exact-working-url.com/path",
-    "type": "documentation|tutorial|video|course|article|github|tool"
+    res.json(publicRoadmap);
+  } catch (err) {
+    console.error("Error fetching shared roadmap:", err);
+    res.status(500).json({ message: err.message });
   }
-]`;
+});
 
-  try {
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    let text = response.text();
-
-    text = text
-      .replace(/```json\n?/g, "")
-      .replace(/```\n?/g, "")
-      .trim();
-
-    const resources = JSON.parse(text);
-    return resources.map((r) => ({
-      title: r.title,
-      url: r.url,
-      type: r.type || "other",
-    }));
-  } catch (error) {
-    console.error("Error generating resources for step:", error);
-    return [];
-  }
+// Current gathering state of a roadmap, as sent in "snapshot" events
+function roadmapSnapshot(resource) {
+  return {
+    ...summarizeResourcesStatus(resource),
+    steps: resource.learningPath.map((step) => ({
+      stepId: step._id,
+      title: step.title,
+      resourcesStatus: step.resourcesStatus,
+      resourceCount: step.resources.length,
+    })),
+  };
 }
 
-async function gatherAndValidateResources(resourceId) {
+/**
+ * GET /api/resources/:id/events?token=<stream token>
+ * Live resource gathering progress (Server-Sent Events). EventSource can't
+ * send an Authorization header, so it passes a token from
+ * POST /:id/events/token; other clients may use their access token.
+ */
+router.get("/:id/events", requireStreamAuth, async (req, res) => {
   try {
-    const resource = await Resource.findById(resourceId);
+    const resource = await Resource.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    });
     if (!resource) {
-      console.error("Resource not found:", resourceId);
-      return;
+      return res.status(404).json({ message: "Resource not found" });
     }
 
-    // Update overall status to loading
-    resource.resourcesStatus = "loading";
-    await resource.save();
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
 
-    const skillData = {
-      title: resource.title,
-      category: resource.category,
-      description: resource.description,
+    const send = (event) => {
+      res.write(
+        `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(
+          event.data
+        )}\n\n`
+      );
     };
 
-    // Process each step
-    for (let i = 0; i < resource.learningPath.length; i++) {
-      const step = resource.learningPath[i];
+    const snapshot = roadmapSnapshot(resource);
+    // Subscribe before replaying so nothing published meanwhile is lost
+    const unsubscribe = roadmapEvents.subscribe(resource._id, send);
+    // Events published by a worker in another process arrive via polling
+    const stopPolling = roadmapEvents.poll(
+      resource._id,
+      async () => {
+        const current = await Resource.findById(resource._id);
+        return current && roadmapSnapshot(current);
+      },
+      snapshot
+    );
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), 25000);
 
-      try {
-        // Update step status to loading
-        step.resourcesStatus = "loading";
-        await resource.save();
-
-        // Generate resources for this step
-        let generatedResources = await generateResourcesForStep(
-          step.title,
-          step.description,
-          skillData
-        );
-
-        // Validate URLs
-        let validatedResources = await validateResourcesInParallel(
-          generatedResources,
-          5
-        );
-
-        // If we don't have enough valid resources, add curated fallbacks
-        if (validatedResources.length < 3) {
-          const fallbacks = curatedResources[resource.category] || [];
-          const additionalResources = fallbacks.slice(
-            0,
-            5 - validatedResources.length
-          );
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      stopPolling();
+    });
 
-          // Validate fallbacks too
-          const validatedFallbacks = await validateResourcesInParallel(
-            additionalResources
-          );
-          validatedResources = [...validatedResources, ...validatedFallbacks];
-        }
+    const lastEventId = req.get("Last-Event-ID") || req.query.lastEventId;
+    const missed = lastEventId
+      ? roadmapEvents.eventsSince(resource._id, lastEventId)
+      : null;
 
-        // Update step with validated resources
-        step.resources = validatedResources.slice(0, 5); // Max 5 resources per step
-        step.resourcesStatus =
-          validatedResources.length > 0 ? "ready" : "failed";
-        await resource.save();
-
-        console.log(
-          `Step ${i + 1}/${resource.learningPath.length}: ${
-            validatedResources.length
-          } valid resources`
-        );
-      } catch (stepError) {
-        console.error(`Error processing step ${i}:`, stepError);
-        step.resourcesStatus = "failed";
-
-        // Add fallback resources
-        const fallbacks = curatedResources[resource.category] || [];
-        step.resources = fallbacks.slice(0, 3);
-        await resource.save();
-      }
+    if (missed) {
+      missed.forEach(send);
+    } else {
+      // Fresh connection (or history unavailable): send the current state
+      send({
+        id: roadmapEvents.latestEventId(resource._id),
+        type: "snapshot",
+        data: snapshot,
+      });
     }
+  } catch (err) {
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ message: err.message });
+  }
+});
 
-    // Update overall status
-    const allReady = resource.learningPath.every(
-      (s) => s.resourcesStatus === "ready"
-    );
-    const anyFailed = resource.learningPath.some(
-      (s) => s.resourcesStatus === "failed"
-    );
-
-    resource.resourcesStatus = allReady
-      ? "ready"
-      : anyFailed
-      ? "ready"
-      : "ready";
-    await resource.save();
-
-    console.log(`Resource gathering complete for: ${resource.title}`);
-  } catch (error) {
-    console.error("Error in gatherAndValidateResources:", error);
+// Every route below requires an authenticated user
+router.use(requireAuth);
 
-    // Try to update status to failed
-    try {
-      const resource = await Resource.findById(resourceId);
-      if (resource) {
-        resource.resourcesStatus = "failed";
-        await resource.save();
-      }
-    } catch (e) {
-      console.error("Failed to update resource status:", e);
+// POST a short-lived token for opening the events stream
+router.post("/:id/events/token", async (req, res) => {
+  try {
+    const exists = await Resource.exists({
+      _id: req.params.id,
+      userId: req.user._id,
+    });
+    if (!exists) {
+      return res.status(404).json({ message: "Resource not found" });
     }
+
+    res.json({
+      token: signStreamToken(req.user, req.params.id),
+      expiresIn: STREAM_TOKEN_EXPIRES_IN,
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
   }
-}
+});
 
-// --- api routes start here ---
 // GET all resources
 router.get("/", async (req, res) => {
   try {
-    const resources = await Resource.find().sort({ createdAt: -1 });
+    const resources = await Resource.find({ userId: req.user._id }).sort({
+      createdAt: -1,
+    });
     res.json(resources);
   } catch (err) {
     res.status(500).json({ message: err.message });
@@ -463,7 +200,10 @@ router.get("/", async (req, res) => {
 // GET single resource status (for polling)
 router.get("/:id/status", async (req, res) => {
   try {
-    const resource = await Resource.findById(req.params.id);
+    const resource = await Resource.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    });
     if (!resource) {
       return res.status(404).json({ message: "Resource not found" });
     }
@@ -484,7 +224,10 @@ router.get("/:id/status", async (req, res) => {
 // GET single resource
 router.get("/:id", async (req, res) => {
   try {
-    const resource = await Resource.findById(req.params.id);
+    const resource = await Resource.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    });
     if (!resource) {
       return res.status(404).json({ message: "Resource not found" });
     }
@@ -497,143 +240,21 @@ router.get("/:id", async (req, res) => {
 // POST a new resource
 router.post("/", async (req, res) => {
   try {
-    // Phase 1: Generate learning path (steps only, no resources)
-    const learningPath = await generateLearningPath({
-      title: req.body.title,
-      category: req.body.category,
-      description: req.body.description,
-      currentSkillLevel: req.body.currentSkillLevel,
-      learningGoal: req.body.learningGoal,
-      targetSkillLevel: req.body.targetSkillLevel,
-    });
-
-    const resource = new Resource({
-      title: req.body.title,
-      category: req.body.category,
-      description: req.body.description,
-      currentSkillLevel: req.body.currentSkillLevel,
-      learningGoal: req.body.learningGoal,
-      targetSkillLevel: req.body.targetSkillLevel,
-      learningPath: learningPath,
-      resourcesStatus: "pending",
-    });
-
-    const newResource = await resource.save();
-
-    // Phase 2: Start background resource gathering
-    // Don't await - let it run in background (async function) then we will wait for it to finish (await gatherAndValidateResources(newResource._id))
-    gatherAndValidateResources(newResource._id).catch((err) => {
-      console.error("Background resource gathering failed:", err);
-    });
-
-    // Phase 3: Schedule a notification reminder (2 minutes after skill creation)
-    scheduleSkillNotification(newResource).catch((err) => {
-      console.error("Failed to schedule notification:", err);
-    });
+    const { resource, job } = await createRoadmap(req.user._id, req.body);
 
-    // Track activity for roadmap creation
-    try {
-      let progress = await UserProgress.findOne({ oderId: "default" });
-      if (!progress) {
-        progress = new UserProgress({ oderId: "default" });
-      }
-      progress.addActivity(
-        "roadmap_created",
-        newResource._id,
-        null,
-        `Created roadmap: ${newResource.title}`
-      );
-      progress.checkAchievements();
-      await progress.save();
-    } catch (e) {
-      console.error("Failed to track roadmap creation activity:", e);
-    }
-
-    res.status(201).json(newResource);
+    res.status(201).json({ ...resource.toJSON(), jobId: job._id });
   } catch (err) {
     res.status(400).json({ message: err.message });
   }
 });
 
-/**
- * Schedule a notification reminder after adding a skill
- */
-async function scheduleSkillNotification(resource) {
-  try {
-    // Get current streak info
-    let progress = await UserProgress.findOne({ oderId: "default" });
-    const streakCount = progress?.currentStreak || 0;
-
-    // Create motivational message based on streak
-    let title, message;
-
-    if (streakCount === 0) {
-      title = "🚀 Start Your Learning Journey!";
-      message = `Your "${resource.title}" roadmap is ready with ${resource.learningPath.length} steps! Complete your first step to start building your streak.`;
-    } else if (streakCount < 3) {
-      title = "🔥 Keep the Momentum Going!";
-      message = `You're on a ${streakCount}-day streak! Your new "${resource.title}" roadmap awaits with ${resource.learningPath.length} steps. Don't break the chain!`;
-    } else if (streakCount < 7) {
-      title = "⚡ You're on Fire!";
-      message = `Amazing ${streakCount}-day streak! Check out your new "${resource.title}" roadmap and keep crushing it!`;
-    } else {
-      title = "🏆 Streak Champion!";
-      message = `Incredible ${streakCount}-day streak! Your "${resource.title}" roadmap is ready. You're unstoppable!`;
-    }
-
-    // Schedule for 2 minutes from now (for demo purposes)
-    const DELAY_MINUTES = 2;
-    const scheduledFor = new Date(Date.now() + DELAY_MINUTES * 60 * 1000);
-
-    const notification = new ScheduledNotification({
-      type: "skill_added",
-      title,
-      message,
-      scheduledFor,
-      metadata: {
-        roadmapId: resource._id,
-        roadmapTitle: resource.title,
-        category: resource.category,
-        streakCount,
-      },
-    });
-
-    await notification.save();
-
-    // Set up in-memory timer for this notification
-    const delay = DELAY_MINUTES * 60 * 1000;
-    setTimeout(async () => {
-      try {
-        const notif = await ScheduledNotification.findById(notification._id);
-        if (notif && notif.status === "pending") {
-          notif.status = "sent";
-          notif.sentAt = new Date();
-          await notif.save();
-
-          console.log(`\n🔔 ========================================`);
-          console.log(`🔔 PUSH NOTIFICATION!`);
-          console.log(`🔔 Title: ${notif.title}`);
-          console.log(`🔔 Message: ${notif.message}`);
-          console.log(`🔔 Roadmap: ${notif.metadata.roadmapTitle}`);
-          console.log(`🔔 ========================================\n`);
-        }
-      } catch (error) {
-        console.error("Error triggering scheduled notification:", error);
-      }
-    }, delay);
-
-    console.log(
-      `📅 Notification scheduled for ${scheduledFor.toLocaleTimeString()} (in ${DELAY_MINUTES} minutes)`
-    );
-  } catch (error) {
-    console.error("Error scheduling skill notification:", error);
-  }
-}
-
-// PATCH update a step's completion status
+// PATCH update a step's completion status (records step_completed activity)
 router.patch("/:id/steps/:stepId", async (req, res) => {
   try {
-    const resource = await Resource.findById(req.params.id);
+    const resource = await Resource.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    });
     if (!resource) {
       return res.status(404).json({ message: "Resource not found" });
     }
@@ -643,24 +264,156 @@ router.patch("/:id/steps/:stepId", async (req, res) => {
       return res.status(404).json({ message: "Step not found" });
     }
 
+    const wasCompleted = step.completed;
+    const countedCompletion = Boolean(step.completedAt);
+
     if (req.body.completed !== undefined) {
       step.completed = req.body.completed;
+      if (step.completed && !wasCompleted) {
+        step.completedAt = new Date();
+      } else if (!step.completed) {
+        step.completedAt = null;
+      }
     }
     if (req.body.notes !== undefined) {
       step.notes = req.body.notes;
     }
 
     await resource.save();
-    res.json(resource);
+
+    // Step completion is the source of truth for step_completed activity,
+    // the streak and step achievements
+    let newAchievements = [];
+    if (step.completed !== wasCompleted) {
+      try {
+        const progress = await UserProgress.forUser(req.user._id);
+        if (step.completed) {
+          await progress.addActivity(
+            "step_completed",
+            resource._id,
+            step._id,
+            `Completed "${step.title}"`
+          );
+        } else if (countedCompletion) {
+          // Completions from before completedAt was tracked were never counted
+          await progress.retractActivity(
+            "step_completed",
+            resource._id,
+            step._id
+          );
+        }
+        newAchievements = await progress.checkAchievements();
+        await progress.save();
+      } catch (e) {
+        console.error("Failed to track step completion activity:", e);
+      }
+    }
+
+    res.json({ ...resource.toJSON(), newAchievements });
   } catch (err) {
     res.status(400).json({ message: err.message });
   }
 });
 
+// ============================================
+// STEP EDITING ENDPOINTS
+// Each request must send the roadmap's current version (its __v); a stale
+// version is rejected with 409 and the version the client should reload
+// ============================================
+
+function handleStepEditError(res, err) {
+  if (err instanceof StepEditError) {
+    return res
+      .status(err.status)
+      .json({ message: err.message, ...err.details });
+  }
+  console.error("Error editing roadmap steps:", err);
+  res.status(500).json({ message: err.message });
+}
+
+/**
+ * PUT /api/resources/:id/steps/order
+ * Reorder every step of a roadmap
+ * Body: { order: [stepId, ...], version }
+ */
+router.put("/:id/steps/order", async (req, res) => {
+  try {
+    const resource = await reorderSteps(
+      req.user._id,
+      req.params.id,
+      req.body.order,
+      parseVersion(req.body.version)
+    );
+    res.json(resource);
+  } catch (err) {
+    handleStepEditError(res, err);
+  }
+});
+
+/**
+ * PUT /api/resources/:id/steps/:stepId
+ * Edit a step's title, description and/or estimatedTime
+ * Body: { title?, description?, estimatedTime?, version }
+ */
+router.put("/:id/steps/:stepId", async (req, res) => {
+  try {
+    const resource = await updateStepFields(
+      req.user._id,
+      req.params.id,
+      req.params.stepId,
+      req.body,
+      parseVersion(req.body.version)
+    );
+    res.json(resource);
+  } catch (err) {
+    handleStepEditError(res, err);
+  }
+});
+
+/**
+ * POST /api/resources/:id/steps
+ * Insert a new step (appended unless a position is given)
+ * Body: { title, description?, estimatedTime?, position?, version }
+ */
+router.post("/:id/steps", async (req, res) => {
+  try {
+    const { resource, step, job } = await insertStep(
+      req.user._id,
+      req.params.id,
+      req.body,
+      parseVersion(req.body.version)
+    );
+    res.status(201).json({ resource, step, jobId: job._id });
+  } catch (err) {
+    handleStepEditError(res, err);
+  }
+});
+
+/**
+ * DELETE /api/resources/:id/steps/:stepId?version=
+ * Remove a step from a roadmap
+ */
+router.delete("/:id/steps/:stepId", async (req, res) => {
+  try {
+    const resource = await deleteStep(
+      req.user._id,
+      req.params.id,
+      req.params.stepId,
+      parseVersion(req.body?.version ?? req.query.version)
+    );
+    res.json(resource);
+  } catch (err) {
+    handleStepEditError(res, err);
+  }
+});
+
 // POST retry resource gathering for a specific resource
 router.post("/:id/retry-resources", async (req, res) => {
   try {
-    const resource = await Resource.findById(req.params.id);
+    const resource = await Resource.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    });
     if (!resource) {
       return res.status(404).json({ message: "Resource not found" });
     }
@@ -673,12 +426,45 @@ router.post("/:id/retry-resources", async (req, res) => {
     });
     await resource.save();
 
-    // Start background gathering
-    gatherAndValidateResources(resource._id).catch((err) => {
-      console.error("Retry resource gathering failed:", err);
+    // Queue background gathering
+    const job = await enqueueResourceGathering(resource);
+
+    res.json({ message: "Resource gathering restarted", jobId: job._id });
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+// POST retry resource gathering for a single step
+router.post("/:id/steps/:stepId/retry-resources", async (req, res) => {
+  try {
+    const resource = await Resource.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
     });
+    if (!resource) {
+      return res.status(404).json({ message: "Resource not found" });
+    }
 
-    res.json({ message: "Resource gathering restarted" });
+    const step = resource.learningPath.id(req.params.stepId);
+    if (!step) {
+      return res.status(404).json({ message: "Step not found" });
+    }
+
+    // Reset only this step
+    step.resourcesStatus = "pending";
+    step.resources = [];
+    resource.resourcesStatus = "pending";
+    await resource.save();
+
+    const job = await enqueueResourceGathering(resource, {
+      stepIds: [step._id],
+    });
+
+    res.json({
+      message: `Resource gathering restarted for "${step.title}"`,
+      jobId: job._id,
+    });
   } catch (err) {
     res.status(400).json({ message: err.message });
   }
@@ -687,12 +473,15 @@ router.post("/:id/retry-resources", async (req, res) => {
 // DELETE a resource (roadmap)
 router.delete("/:id", async (req, res) => {
   try {
-    const resource = await Resource.findById(req.params.id);
+    const resource = await Resource.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    });
     if (!resource) {
       return res.status(404).json({ message: "Resource not found" });
     }
 
-    await Resource.findByIdAndDelete(req.params.id);
+    await Resource.findByIdAndDelete(resource._id);
     res.json({ message: "Roadmap deleted successfully" });
   } catch (err) {
     res.status(500).json({ message: err.message });
@@ -702,82 +491,22 @@ router.delete("/:id", async (req, res) => {
 // POST extend roadmap with additional steps
 router.post("/:id/extend", async (req, res) => {
   try {
-    const resource = await Resource.findById(req.params.id);
-    if (!resource) {
-      return res.status(404).json({ message: "Resource not found" });
-    }
-
     const { additionalSteps = 3 } = req.body;
-    const currentStepCount = resource.learningPath.length;
-
-    // Generate additional steps using AI
-    const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
-
-    const existingTopics = resource.learningPath.map((s) => s.title).join(", ");
-
-    const prompt = `You are an expert learning path designer. Extend this existing learning roadmap for "${
-      resource.title
-    }" with ${additionalSteps} MORE advanced steps.
-
-EXISTING STEPS (already covered):
-${existingTopics}
-
-USER CONTEXT:
-- Current Skill Level: ${resource.currentSkillLevel || "intermediate"}
-- Learning Goal: ${resource.learningGoal || "mastery"}
-- Target Level: ${resource.targetSkillLevel || "expert"}
-
-REQUIREMENTS:
-1. Generate exactly ${additionalSteps} NEW steps that build upon the existing knowledge
-2. Focus on advanced topics, real-world applications, and expert-level skills
-3. DO NOT repeat any existing topics
-4. Estimate realistic time for each step IN HOURS ONLY (e.g., "4-6 hours", "8-10 hours")
-
-IMPORTANT: Respond ONLY with a valid JSON array. No markdown, no code blocks.
-
-FORMAT:
-[
-  {
-    "title": "Advanced step title",
-    "description": "Detailed description of what to learn",
-    "estimatedTime": "X-Y hours"
-  }
-]`;
-
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    let text = response.text();
-
-    text = text
-      .replace(/```json\n?/g, "")
-      .replace(/```\n?/g, "")
-      .trim();
-
-    const newSteps = JSON.parse(text);
-    const formattedSteps = newSteps.map((step) => ({
-      title: step.title,
-      description: step.description || "",
-      estimatedTime: step.estimatedTime || "4-6 hours",
-      resources: [],
-      resourcesStatus: "pending",
-      completed: false,
-    }));
-
-    // Add new steps to the learning path
-    resource.learningPath.push(...formattedSteps);
-    resource.resourcesStatus = "pending";
-    await resource.save();
-
-    // Start background resource gathering for new steps
-    gatherAndValidateResources(resource._id).catch((err) => {
-      console.error("Resource gathering for extended steps failed:", err);
-    });
+    const { resource, steps, job } = await extendRoadmap(
+      req.user._id,
+      req.params.id,
+      additionalSteps
+    );
 
     res.json({
-      message: `Added ${formattedSteps.length} new steps`,
+      message: `Added ${steps.length} new steps`,
       resource,
+      jobId: job._id,
     });
   } catch (err) {
+    if (err instanceof RoadmapError) {
+      return res.status(err.status).json({ message: err.message });
+    }
     console.error("Error extending roadmap:", err);
     res.status(400).json({ message: err.message });
   }
@@ -799,7 +528,10 @@ router.post("/:id/steps/:stepId/notes", async (req, res) => {
       return res.status(400).json({ message: "Note content is required" });
     }
 
-    const resource = await Resource.findById(req.params.id);
+    const resource = await Resource.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    });
     if (!resource) {
       return res.status(404).json({ message: "Resource not found" });
     }
@@ -820,17 +552,14 @@ router.post("/:id/steps/:stepId/notes", async (req, res) => {
 
     // Track activity
     try {
-      let progress = await UserProgress.findOne({ oderId: "default" });
-      if (!progress) {
-        progress = new UserProgress({ oderId: "default" });
-      }
-      progress.addActivity(
+      const progress = await UserProgress.forUser(req.user._id);
+      await progress.addActivity(
         "note_added",
         resource._id,
         step._id,
         `Note added to "${step.title}"`
       );
-      progress.checkAchievements();
+      await progress.checkAchievements();
       await progress.save();
     } catch (e) {
       console.error("Failed to track note activity:", e);
@@ -858,7 +587,10 @@ router.put("/:id/steps/:stepId/notes/:noteId", async (req, res) => {
       return res.status(400).json({ message: "Note content is required" });
     }
 
-    const resource = await Resource.findById(req.params.id);
+    const resource = await Resource.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    });
     if (!resource) {
       return res.status(404).json({ message: "Resource not found" });
     }
@@ -893,7 +625,10 @@ router.put("/:id/steps/:stepId/notes/:noteId", async (req, res) => {
  */
 router.delete("/:id/steps/:stepId/notes/:noteId", async (req, res) => {
   try {
-    const resource = await Resource.findById(req.params.id);
+    const resource = await Resource.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    });
     if (!resource) {
       return res.status(404).json({ message: "Resource not found" });
     }
@@ -930,7 +665,10 @@ router.delete("/:id/steps/:stepId/notes/:noteId", async (req, res) => {
  */
 router.patch("/:id/steps/:stepId/bookmark", async (req, res) => {
   try {
-    const resource = await Resource.findById(req.params.id);
+    const resource = await Resource.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    });
     if (!resource) {
       return res.status(404).json({ message: "Resource not found" });
     }
@@ -960,6 +698,7 @@ router.patch("/:id/steps/:stepId/bookmark", async (req, res) => {
 router.get("/bookmarks", async (req, res) => {
   try {
     const resources = await Resource.find({
+      userId: req.user._id,
       "learningPath.bookmarked": true,
     });
 
@@ -996,7 +735,10 @@ router.get("/bookmarks", async (req, res) => {
  */
 router.post("/:id/share", async (req, res) => {
   try {
-    const resource = await Resource.findById(req.params.id);
+    const resource = await Resource.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    });
     if (!resource) {
       return res.status(404).json({ message: "Resource not found" });
     }
@@ -1029,7 +771,10 @@ router.post("/:id/share", async (req, res) => {
  */
 router.delete("/:id/share", async (req, res) => {
   try {
-    const resource = await Resource.findById(req.params.id);
+    const resource = await Resource.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    });
     if (!resource) {
       return res.status(404).json({ message: "Resource not found" });
     }
@@ -1044,51 +789,4 @@ router.delete("/:id/share", async (req, res) => {
   }
 });
 
-/**
- * GET /api/resources/shared/:shareId
- * Get a shared roadmap (public access)
- */
-router.get("/shared/:shareId", async (req, res) => {
-  try {
-    const resource = await Resource.findOne({
-      shareId: req.params.shareId,
-      isPublic: true,
-    });
-
-    if (!resource) {
-      return res
-        .status(404)
-        .json({ message: "Shared roadmap not found or no longer public" });
-    }
-
-    // Return sanitized version (no personal notes)
-    const publicRoadmap = {
-      title: resource.title,
-      category: resource.category,
-      description: resource.description,
-      currentSkillLevel: resource.currentSkillLevel,
-      learningGoal: resource.learningGoal,
-      targetSkillLevel: resource.targetSkillLevel,
-      learningPath: resource.learningPath.map((step) => ({
-        title: step.title,
-        description: step.description,
-        estimatedTime: step.estimatedTime,
-        resources: step.resources,
-        completed: step.completed,
-        // Exclude personal notes from shared view
-      })),
-      totalSteps: resource.learningPath.length,
-      completedSteps: resource.learningPath.filter((s) => s.completed).length,
-      createdAt: resource.createdAt,
-    };
-
-    res.json(publicRoadmap);
-  } catch (err) {
-    console.error("Error fetching shared roadmap:", err);
-    res.status(500).json({ message: err.message });
-  }
-});
-
-// Export both the router and the gatherAndValidateResources function
 module.exports = router;
-module.exports.gatherAndValidateResources = gatherAndValidateResources;
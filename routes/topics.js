@@ -5,7 +5,7 @@ const Topic = require('../models/Topic');
 // GET all topics
 router.get('/', async (req, res) => {
     try {
-        const topics = await Topic.find();
+        const topics = await Topic.find({ userId: req.user._id });
         res.json(topics);
     } catch (err) {
         res.status(500).json({ message: err.message });
@@ -15,6 +15,7 @@ router.get('/', async (req, res) => {
 // POST a new topic
 router.post('/', async (req, res) => {
     const topic = new Topic({
+        userId: req.user._id,
         title: req.body.title,
         category: req.body.category,
         progress: req.body.progress,
@@ -3,6 +3,12 @@ const mongoose = require("mongoose");
 const cors = require("cors");
 require("dotenv").config();
 
+// Access tokens can't be signed or verified without it
+if (!process.env.JWT_SECRET) {
+  console.error("JWT_SECRET must be set");
+  process.exit(1);
+}
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
@@ -11,30 +17,76 @@ app.use(cors());
 app.use(express.json());
 
 // Database Connection
+// Run a startup migration; a failed one is logged and retried at the next
+// start, so it doesn't keep the background workers from starting
+async function migrate(name, run) {
+  try {
+    await run();
+  } catch (err) {
+    console.error(`Migration "${name}" failed:`, err);
+  }
+}
+
 mongoose
   .connect(process.env.MONGODB_URI)
   .then(async () => {
     console.log("Connected to MongoDB");
-    // Initialize pending notifications on server start
-    const {
-      initializePendingNotifications,
-    } = require("./routes/notifications");
-    await initializePendingNotifications();
+    // Session IDs used to be unique across all users
+    await migrate("drop legacy AI session index", () =>
+      require("./models/AiMemory").dropLegacySessionIndex()
+    );
+    // Give data from before user accounts to the first registered user
+    await migrate("claim legacy data", () =>
+      require("./services/legacyData").claimLegacyData()
+    );
+    // Move any activity history still embedded in progress documents
+    await migrate("move embedded activities", () =>
+      require("./models/UserProgress").migrateEmbeddedActivities()
+    );
+    // Start the background job worker (resumes interrupted jobs)
+    require("./services/jobQueue").startWorker();
+    // Schedule daily reminders for users who have none pending
+    require("./services/reminders").startReminderScheduler();
+    // Give every active recurring schedule its next occurrence
+    require("./services/notificationSchedules").ensureSchedules();
+    // Schedule Monday digests of the past week's learning
+    require("./services/weeklyDigest").startWeeklyDigests();
+    // Warn learners in the evening when their streak is about to end
+    require("./services/streakRisk").startStreakRiskMonitor();
+    // Fire notifications as they come due (the only path that sends them)
+    require("./services/notificationDispatcher").startDispatcher();
+    // Archive old notifications out of the inbox
+    require("./services/notificationInbox").startInboxArchiver();
   })
   .catch((err) => console.error("Could not connect to MongoDB", err));
 
 // Routes
+const { requireAuth } = require("./middleware/auth");
+const authRouter = require("./routes/auth");
 const topicsRouter = require("./routes/topics");
 const resourcesRouter = require("./routes/resources");
 const aiAssistantRouter = require("./routes/ai-assistant");
 const progressRouter = require("./routes/progress");
 const notificationsRouter = require("./routes/notifications");
+const notificationChannelsRouter = require("./routes/notification-channels");
+const notificationSchedulesRouter = require("./routes/notification-schedules");
+const jobsRouter = require("./routes/jobs");
 
-app.use("/api/topics", topicsRouter);
+app.use("/api/auth", authRouter);
+app.use("/api/topics", requireAuth, topicsRouter);
+// Resources guards its own routes (shared roadmaps are public)
 app.use("/api/resources", resourcesRouter);
-app.use("/api/ai-assistant", aiAssistantRouter);
-app.use("/api/progress", progressRouter);
-app.use("/api/notifications", notificationsRouter);
+app.use("/api/ai-assistant", requireAuth, aiAssistantRouter);
+app.use("/api/progress", requireAuth, progressRouter);
+// Channels guards its own routes (email confirmation links are public)
+app.use("/api/notifications/channels", notificationChannelsRouter);
+app.use(
+  "/api/notifications/schedules",
+  requireAuth,
+  notificationSchedulesRouter
+);
+app.use("/api/notifications", requireAuth, notificationsRouter);
+app.use("/api/jobs", requireAuth, jobsRouter);
 
 app.get("/", (req, res) => {
   res.send("LearnStream API is running");
@@ -0,0 +1,199 @@
+const Resource = require("../../models/Resource");
+const definitions = require("./definitions.json");
+
+/**
+ * Achievements are data (./definitions.json): each one names a metric, the
+ * threshold that unlocks it, an icon and a tier. Achievements sharing a
+ * `type` form a ladder of tiers. This module computes the metrics and
+ * decides what a user has unlocked.
+ */
+
+/**
+ * Metrics an achievement can be based on.
+ * Those marked `resources` need the user's roadmaps loaded.
+ */
+const METRICS = {
+  currentStreak: { compute: ({ progress }) => progress.currentStreak },
+  longestStreak: { compute: ({ progress }) => progress.longestStreak },
+  totalStepsCompleted: {
+    compute: ({ progress }) => progress.totalStepsCompleted,
+  },
+  totalRoadmapsCreated: {
+    compute: ({ progress }) => progress.totalRoadmapsCreated,
+  },
+  totalNotesAdded: { compute: ({ progress }) => progress.totalNotesAdded },
+  quizStreak: { compute: ({ progress }) => progress.quizStreak },
+  roadmapsCompleted: {
+    resources: true,
+    compute: ({ resources }) => resources.filter(isRoadmapComplete).length,
+  },
+  // Categories in which every roadmap is complete
+  categoriesCompleted: {
+    resources: true,
+    compute: ({ resources }) => {
+      const byCategory = new Map();
+      for (const resource of resources) {
+        if (resource.learningPath.length === 0) {
+          continue;
+        }
+        const complete = byCategory.get(resource.category) ?? true;
+        byCategory.set(
+          resource.category,
+          complete && isRoadmapComplete(resource)
+        );
+      }
+      return [...byCategory.values()].filter(Boolean).length;
+    },
+  },
+  maxNotesPerRoadmap: {
+    resources: true,
+    compute: ({ resources }) =>
+      Math.max(
+        0,
+        ...resources.map((resource) =>
+          resource.learningPath.reduce((sum, s) => sum + s.notes.length, 0)
+        )
+      ),
+  },
+};
+
+function isRoadmapComplete(resource) {
+  return (
+    resource.learningPath.length > 0 &&
+    resource.learningPath.every((step) => step.completed)
+  );
+}
+
+// Fail fast on a bad definition rather than silently never unlocking it
+const TIERS = definitions.tiers;
+const ACHIEVEMENTS = definitions.achievements.map((achievement) => {
+  if (!METRICS[achievement.metric]) {
+    throw new Error(
+      `Achievement ${achievement.id} uses unknown metric ${achievement.metric}`
+    );
+  }
+  if (!TIERS.includes(achievement.tier)) {
+    throw new Error(
+      `Achievement ${achievement.id} uses unknown tier ${achievement.tier}`
+    );
+  }
+  return Object.freeze({ ...achievement });
+});
+
+/**
+ * Compute the metrics used by the given achievements
+ * @param {Object} progress - UserProgress document
+ * @param {Array} achievements - Definitions whose metrics are needed
+ * @returns {Promise<Object>} - { metricName: value }
+ */
+async function computeMetrics(progress, achievements = ACHIEVEMENTS) {
+  const names = [...new Set(achievements.map((a) => a.metric))];
+  const context = { progress, resources: [] };
+
+  if (names.some((name) => METRICS[name].resources)) {
+    context.resources = await Resource.find({ userId: progress.userId }).select(
+      "category learningPath.completed learningPath.notes"
+    );
+  }
+
+  return Object.fromEntries(
+    names.map((name) => [name, METRICS[name].compute(context) || 0])
+  );
+}
+
+/**
+ * Unlock every achievement whose threshold the user has reached
+ * @param {Object} progress - UserProgress document (caller saves it)
+ * @returns {Promise<Array<string>>} - IDs of newly unlocked achievements
+ */
+async function evaluateAchievements(progress) {
+  const locked = ACHIEVEMENTS.filter(
+    (a) => !progress.achievements.includes(a.id)
+  );
+  if (locked.length === 0) {
+    return [];
+  }
+
+  const metrics = await computeMetrics(progress, locked);
+  const unlockedAt = new Date();
+  const newAchievements = locked
+    .filter((a) => metrics[a.metric] >= a.threshold)
+    .map((a) => a.id);
+
+  for (const id of newAchievements) {
+    progress.achievements.push(id);
+    progress.achievementUnlocks.push({ id, unlockedAt });
+  }
+  return newAchievements;
+}
+
+/**
+ * Every achievement with its status, plus progress toward the next tier of
+ * each achievement type
+ * @param {Object} progress - UserProgress document
+ * @returns {Promise<Object>} - { achievements, nextTiers }
+ */
+async function describeAchievements(progress) {
+  const metrics = await computeMetrics(progress);
+  const unlockedIds = progress.achievements;
+  const unlockTimes = new Map(
+    progress.achievementUnlocks.map((u) => [u.id, u.unlockedAt])
+  );
+
+  const achievements = ACHIEVEMENTS.map((achievement) => {
+    const current = metrics[achievement.metric];
+    const unlocked = unlockedIds.includes(achievement.id);
+    return {
+      ...achievement,
+      requirement: achievement.threshold,
+      unlocked,
+      unlockedAt: unlocked ? unlockTimes.get(achievement.id) || null : null,
+      progress: {
+        current,
+        target: achievement.threshold,
+        percent: Math.min(
+          100,
+          Math.round((current / achievement.threshold) * 100)
+        ),
+      },
+    };
+  });
+
+  // The lowest locked threshold of each type is the next tier to reach
+  const nextTiers = {};
+  for (const achievement of achievements) {
+    const next = nextTiers[achievement.type];
+    if (
+      !achievement.unlocked &&
+      (!next || achievement.threshold < next.threshold)
+    ) {
+      nextTiers[achievement.type] = achievement;
+    }
+  }
+
+  return {
+    achievements,
+    nextTiers: Object.fromEntries(
+      Object.entries(nextTiers).map(([type, a]) => [
+        type,
+        {
+          id: a.id,
+          name: a.name,
+          tier: a.tier,
+          metric: a.metric,
+          ...a.progress,
+          remaining: Math.max(0, a.threshold - a.progress.current),
+        },
+      ])
+    ),
+  };
+}
+
+module.exports = {
+  TIERS,
+  METRICS,
+  ACHIEVEMENTS,
+  computeMetrics,
+  evaluateAchievements,
+  describeAchievements,
+};
@@ -0,0 +1,177 @@
+const Resource = require("../models/Resource");
+const { parseEstimatedHours } = require("../utils/estimatedTime");
+const { dayKey, addDays } = require("../utils/timezone");
+
+/**
+ * Learning analytics computed from the steps themselves: completedAt gives
+ * the timing and estimatedTime the effort. Steps completed before completedAt
+ * was recorded count toward totals but not toward weekly figures.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Weeks of recent history used to estimate velocity for forecasts
+const VELOCITY_WEEKS = 4;
+
+function roundTo(value, places = 1) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+function addHours(total, step) {
+  const range = parseEstimatedHours(step.estimatedTime);
+  if (range) {
+    total.min += range.min;
+    total.max += range.max;
+  }
+  return total;
+}
+
+function sumHours(steps) {
+  const total = steps.reduce(addHours, { min: 0, max: 0 });
+  return { min: roundTo(total.min), max: roundTo(total.max) };
+}
+
+/**
+ * Monday of the week a day belongs to
+ * @param {string} day - "YYYY-MM-DD"
+ * @returns {string} - "YYYY-MM-DD"
+ */
+function weekStart(day) {
+  const weekday = new Date(Date.parse(day)).getUTCDay();
+  return addDays(day, -((weekday + 6) % 7));
+}
+
+/**
+ * Steps and hours completed in each of the last `weeks` weeks
+ * @returns {Array} - [{ week, steps, hours: { min, max } }], oldest first
+ */
+function weeklySeries(completions, weeks, timezone, now) {
+  const currentWeek = weekStart(dayKey(now, timezone));
+  const series = [];
+  const byWeek = new Map();
+
+  for (let i = weeks - 1; i >= 0; i--) {
+    const entry = { week: addDays(currentWeek, -7 * i), steps: 0, hours: [] };
+    series.push(entry);
+    byWeek.set(entry.week, entry);
+  }
+
+  for (const step of completions) {
+    const entry = byWeek.get(weekStart(dayKey(step.completedAt, timezone)));
+    if (entry) {
+      entry.steps += 1;
+      entry.hours.push(step);
+    }
+  }
+
+  return series.map((entry) => ({ ...entry, hours: sumHours(entry.hours) }));
+}
+
+/**
+ * Mean days between consecutive completions
+ * @returns {number|null} - null with fewer than two completions
+ */
+function averageDaysBetween(completions) {
+  if (completions.length < 2) {
+    return null;
+  }
+  const first = completions[0].completedAt;
+  const last = completions[completions.length - 1].completedAt;
+  return roundTo((last - first) / DAY_MS / (completions.length - 1));
+}
+
+/**
+ * Steps per week over the recent velocity window
+ */
+function recentVelocity(completions, now) {
+  const since = now.getTime() - VELOCITY_WEEKS * 7 * DAY_MS;
+  const recent = completions.filter((s) => s.completedAt.getTime() >= since);
+  return roundTo(recent.length / VELOCITY_WEEKS, 2);
+}
+
+/**
+ * Summarize a set of steps: totals, hours, weekly series, pace and forecast
+ */
+function summarizeSteps(steps, { weeks, timezone, now }) {
+  const completed = steps.filter((s) => s.completed);
+  const remaining = steps.filter((s) => !s.completed);
+  const completions = completed
+    .filter((s) => s.completedAt)
+    .sort((a, b) => a.completedAt - b.completedAt);
+
+  const velocity = recentVelocity(completions, now);
+  let projectedFinishDate = null;
+  if (steps.length > 0 && remaining.length === 0) {
+    projectedFinishDate =
+      completions.length > 0
+        ? completions[completions.length - 1].completedAt
+        : null;
+  } else if (velocity > 0) {
+    const weeksLeft = remaining.length / velocity;
+    projectedFinishDate = new Date(now.getTime() + weeksLeft * 7 * DAY_MS);
+  }
+
+  return {
+    totalSteps: steps.length,
+    completedSteps: completed.length,
+    remainingSteps: remaining.length,
+    hoursCompleted: sumHours(completed),
+    hoursRemaining: sumHours(remaining),
+    stepsPerWeek: weeklySeries(completions, weeks, timezone, now),
+    averageDaysBetweenCompletions: averageDaysBetween(completions),
+    velocity: { stepsPerWeek: velocity, basedOnWeeks: VELOCITY_WEEKS },
+    projectedFinishDate,
+    lastCompletedAt:
+      completions.length > 0
+        ? completions[completions.length - 1].completedAt
+        : null,
+  };
+}
+
+/**
+ * Analytics for a user, overall and per roadmap
+ * @param {string} userId - User ID
+ * @param {Object} options - { weeks: length of the weekly series, timezone }
+ * @returns {Promise<Object>} - { overall, roadmaps }
+ */
+async function getLearningAnalytics(userId, { weeks = 12, timezone } = {}) {
+  const now = new Date();
+  const options = { weeks, timezone, now };
+  const resources = await Resource.find({ userId })
+    .select("title category learningPath createdAt")
+    .sort({ createdAt: -1 });
+
+  const roadmaps = resources.map((resource) => {
+    const summary = summarizeSteps(resource.learningPath, options);
+
+    return {
+      roadmapId: resource._id,
+      title: resource.title,
+      category: resource.category,
+      createdAt: resource.createdAt,
+      percentComplete:
+        summary.totalSteps > 0
+          ? Math.round((summary.completedSteps / summary.totalSteps) * 100)
+          : 0,
+      ...summary,
+    };
+  });
+
+  const overall = summarizeSteps(
+    resources.flatMap((resource) => resource.learningPath),
+    options
+  );
+
+  return {
+    timezone,
+    generatedAt: now,
+    overall,
+    roadmaps,
+  };
+}
+
+module.exports = {
+  VELOCITY_WEEKS,
+  weekStart,
+  getLearningAnalytics,
+};
@@ -0,0 +1,207 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const Resource = require("../models/Resource");
+const ActionToken = require("../models/ActionToken");
+const { validate } = require("./llm/structured");
+const { normalizeEstimatedTime } = require("../utils/estimatedTime");
+
+/**
+ * Validation and signing for the actions the assistant suggests in its
+ * :::ACTION::: blocks. Every suggested action is checked against the
+ * supported types, then handed to the client with a signed one-time token;
+ * /execute-action only runs what that token describes.
+ */
+
+const TOKEN_AUDIENCE = "assistant-action";
+const TOKEN_TTL_SECONDS = 60 * 60;
+
+const CATEGORIES = [
+  "frontend",
+  "backend",
+  "mobile",
+  "design",
+  "ai",
+  "devops",
+  "database",
+  "other",
+];
+const SKILL_LEVELS = ["beginner", "intermediate", "advanced"];
+
+const roadmapId = { type: "string", required: true };
+
+const actionDataSchemas = {
+  create_roadmap: {
+    type: "object",
+    properties: {
+      title: { type: "string", required: true, maxLength: 200 },
+      category: { type: "string", enum: CATEGORIES, enumFallback: "other" },
+      currentSkillLevel: {
+        type: "string",
+        enum: SKILL_LEVELS,
+        enumFallback: "beginner",
+        default: "beginner",
+      },
+      learningGoal: { type: "string", maxLength: 500 },
+      targetSkillLevel: {
+        type: "string",
+        enum: SKILL_LEVELS,
+        enumFallback: "intermediate",
+        default: "intermediate",
+      },
+    },
+  },
+  extend_roadmap: {
+    type: "object",
+    properties: {
+      roadmapId,
+      additionalSteps: {
+        type: "integer",
+        min: 1,
+        max: 10,
+        clamp: true,
+        default: 3,
+      },
+    },
+  },
+  add_step: {
+    type: "object",
+    properties: {
+      roadmapId,
+      stepTitle: { type: "string", required: true, maxLength: 200 },
+      stepDescription: { type: "string", default: "" },
+      estimatedTime: {
+        type: "string",
+        default: "1-2 hours",
+        coerce: (value) => normalizeEstimatedTime(value, null),
+      },
+    },
+  },
+};
+
+const ACTION_TYPES = Object.keys(actionDataSchemas);
+
+class ActionTokenError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "ActionTokenError";
+    this.status = status;
+  }
+}
+
+/**
+ * Validate an action parsed from an assistant reply and sign it
+ * @param {Object|null} rawAction - Parsed :::ACTION::: block
+ * @param {string} userId - User the action is offered to
+ * @returns {Promise<Object|null>} - { type, data, label, description, token, expiresAt }, or null if invalid
+ */
+async function prepareAction(rawAction, userId) {
+  if (!rawAction || !ACTION_TYPES.includes(rawAction.type)) {
+    if (rawAction) {
+      console.warn(`Ignoring unsupported assistant action: ${rawAction.type}`);
+    }
+    return null;
+  }
+
+  const { value: data, errors } = validate(
+    actionDataSchemas[rawAction.type],
+    rawAction.data
+  );
+  if (errors.length > 0) {
+    console.warn(`Ignoring invalid ${rawAction.type} action:`, errors);
+    return null;
+  }
+
+  // The model may only reference the user's own, existing roadmaps
+  if (data.roadmapId) {
+    const exists =
+      mongoose.isValidObjectId(data.roadmapId) &&
+      (await Resource.exists({ _id: data.roadmapId, userId }));
+    if (!exists) {
+      console.warn(`Ignoring action for unknown roadmap ${data.roadmapId}`);
+      return null;
+    }
+  }
+
+  const expiresAt = new Date(Date.now() + TOKEN_TTL_SECONDS * 1000);
+  const token = jwt.sign(
+    { sub: userId.toString(), type: rawAction.type, data },
+    process.env.JWT_SECRET,
+    {
+      audience: TOKEN_AUDIENCE,
+      expiresIn: TOKEN_TTL_SECONDS,
+      jwtid: crypto.randomBytes(16).toString("hex"),
+    }
+  );
+
+  return {
+    type: rawAction.type,
+    data,
+    label: typeof rawAction.label === "string" ? rawAction.label : undefined,
+    description:
+      typeof rawAction.description === "string"
+        ? rawAction.description
+        : undefined,
+    token,
+    expiresAt,
+  };
+}
+
+/**
+ * Verify an action token and claim it, so a concurrent request with the same
+ * token is rejected. If the action then fails, call release() so the user
+ * can try again.
+ * @param {string} token - Token from prepareAction()
+ * @param {string} userId - User executing the action
+ * @returns {Promise<{type: string, data: Object, release: Function}>} - The
+ *   signed action; release() un-marks the token as used
+ * @throws {ActionTokenError} - If the token is invalid, expired, for another user, or already used
+ */
+async function consumeActionToken(token, userId) {
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET, {
+      audience: TOKEN_AUDIENCE,
+    });
+  } catch (error) {
+    throw new ActionTokenError("Invalid or expired action token", 401);
+  }
+
+  if (payload.sub !== userId.toString()) {
+    throw new ActionTokenError("Action token belongs to another user", 403);
+  }
+
+  try {
+    await ActionToken.create({
+      jti: payload.jti,
+      userId,
+      type: payload.type,
+      expiresAt: new Date(payload.exp * 1000),
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ActionTokenError("Action has already been executed", 409);
+    }
+    throw error;
+  }
+
+  const release = async () => {
+    try {
+      await ActionToken.deleteOne({ jti: payload.jti });
+    } catch (error) {
+      console.error(
+        `Failed to release action token ${payload.jti}:`,
+        error.message
+      );
+    }
+  };
+
+  return { type: payload.type, data: payload.data, release };
+}
+
+module.exports = {
+  ACTION_TYPES,
+  ActionTokenError,
+  prepareAction,
+  consumeActionToken,
+};
@@ -0,0 +1,59 @@
+const nodemailer = require("nodemailer");
+const { DeliveryError } = require("./errors");
+
+/**
+ * Create an email channel that sends through an SMTP server
+ * @param {Object} config - { host, port, secure, user, pass, from, timeout }
+ * @returns {Object} - Delivery channel
+ */
+function createEmailChannel({
+  host,
+  port = 587,
+  secure = false,
+  user,
+  pass,
+  from,
+  timeout = 15000,
+} = {}) {
+  let transport = null;
+
+  // Connect lazily so an unused channel never opens a connection
+  function getTransport() {
+    if (!transport) {
+      transport = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined,
+        connectionTimeout: timeout,
+        greetingTimeout: timeout,
+        socketTimeout: timeout,
+      });
+    }
+    return transport;
+  }
+
+  return {
+    name: "email",
+    configured: Boolean(host && from),
+
+    async send(payload, subscription) {
+      try {
+        await getTransport().sendMail({
+          from,
+          to: subscription.email,
+          subject: payload.title,
+          text: payload.message,
+        });
+      } catch (error) {
+        // SMTP 4xx replies are temporary; 5xx (e.g. unknown mailbox) are not
+        const permanent = error.responseCode >= 500 || error.code === "EAUTH";
+        throw new DeliveryError(`Email failed: ${error.message}`, {
+          retryable: !permanent,
+        });
+      }
+    },
+  };
+}
+
+module.exports = { createEmailChannel };
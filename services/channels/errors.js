@@ -0,0 +1,31 @@
+/**
+ * A channel failed to deliver a notification
+ * - retryable: worth trying again later (network error, rate limit, 5xx)
+ * - gone: the destination no longer exists, so its subscription is disabled
+ */
+class DeliveryError extends Error {
+  constructor(message, { retryable = false, gone = false } = {}) {
+    super(message);
+    this.name = "DeliveryError";
+    this.retryable = retryable;
+    this.gone = gone;
+  }
+}
+
+/**
+ * Classify a failed HTTP response from a push service or webhook
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @returns {DeliveryError}
+ */
+function httpDeliveryError(status, message) {
+  return new DeliveryError(message, {
+    retryable: status === 408 || status === 429 || status >= 500,
+    gone: status === 404 || status === 410,
+  });
+}
+
+module.exports = {
+  DeliveryError,
+  httpDeliveryError,
+};
@@ -0,0 +1,211 @@
+const NotificationPreferences = require("../../models/NotificationPreferences");
+const NotificationSubscription = require("../../models/NotificationSubscription");
+const { createWebPushChannel } = require("./webpush");
+const { createEmailChannel } = require("./email");
+const { createWebhookChannel } = require("./webhook");
+const { createSinkChannel } = require("./sink");
+
+/**
+ * Delivery channels behind the notification dispatcher.
+ *
+ * - "web_push": VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY, VAPID_SUBJECT
+ * - "email":    SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS, SMTP_FROM
+ * - "webhook":  always available (NOTIFICATION_WEBHOOK_TIMEOUT_MS,
+ *               NOTIFICATION_WEBHOOK_ALLOW_PRIVATE)
+ * - "sink":     NOTIFICATION_SINK = "console" (default), "off", or a file
+ *               path to append JSON lines to
+ *
+ * A notification goes to each of the user's enabled subscriptions whose
+ * channel their preferences allow for its type, and to the sink.
+ */
+
+const channelFactories = {
+  web_push: () =>
+    createWebPushChannel({
+      publicKey: process.env.VAPID_PUBLIC_KEY,
+      privateKey: process.env.VAPID_PRIVATE_KEY,
+      subject: process.env.VAPID_SUBJECT,
+    }),
+  email: () =>
+    createEmailChannel({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || "587"),
+      secure: process.env.SMTP_SECURE === "true",
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+      from: process.env.SMTP_FROM,
+    }),
+  webhook: () =>
+    createWebhookChannel({
+      timeout: parseInt(process.env.NOTIFICATION_WEBHOOK_TIMEOUT_MS || "10000"),
+      allowPrivate: process.env.NOTIFICATION_WEBHOOK_ALLOW_PRIVATE === "true",
+    }),
+  sink: () => {
+    const sink = process.env.NOTIFICATION_SINK || "console";
+    if (sink === "off") {
+      return null;
+    }
+    return createSinkChannel({ file: sink === "console" ? null : sink });
+  },
+};
+
+const channels = new Map();
+
+/**
+ * Get a channel by name (created lazily on first use)
+ * @param {string} name - e.g. "web_push"
+ * @returns {Object|null} - Channel, or null if it is turned off
+ */
+function getChannel(name) {
+  if (!channels.has(name)) {
+    const factory = channelFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown notification channel: ${name}`);
+    }
+    channels.set(name, factory());
+  }
+  return channels.get(name);
+}
+
+/**
+ * Replace a channel (e.g. with a fake in scripts or tests)
+ * @param {string} name - Channel name
+ * @param {Object|null} channel - Channel instance, or null to turn it off
+ */
+function setChannel(name, channel) {
+  channels.set(name, channel);
+}
+
+/**
+ * Which channels this server can deliver on
+ * @returns {Array<Object>} - [{ name, configured }]
+ */
+function describeChannels() {
+  return NotificationSubscription.CHANNELS.map((name) => ({
+    name,
+    configured: Boolean(getChannel(name)?.configured),
+  }));
+}
+
+// What channels send: the notification without internal dispatcher state
+function buildPayload(notification) {
+  return {
+    id: notification._id.toString(),
+    type: notification.type,
+    title: notification.title,
+    message: notification.message,
+    metadata: notification.metadata?.toObject
+      ? notification.metadata.toObject()
+      : notification.metadata || {},
+    scheduledFor: notification.scheduledFor,
+  };
+}
+
+async function recordOutcome(subscription, error) {
+  if (!error) {
+    await NotificationSubscription.updateOne(
+      { _id: subscription._id },
+      {
+        $set: { lastDeliveredAt: new Date(), failureCount: 0 },
+        $unset: { lastError: "" },
+      }
+    );
+    return;
+  }
+
+  const update = {
+    $set: { lastError: error.message },
+    $inc: { failureCount: 1 },
+  };
+  if (error.gone) {
+    update.$set.enabled = false;
+    update.$set.disabledReason = error.message;
+  }
+  await NotificationSubscription.updateOne({ _id: subscription._id }, update);
+}
+
+async function deliverTo(channelName, payload, subscription = null) {
+  const delivery = {
+    channel: channelName,
+    subscriptionId: subscription?._id,
+    attemptedAt: new Date(),
+  };
+  const channel = getChannel(channelName);
+
+  if (!channel?.configured) {
+    return { ...delivery, status: "skipped", error: "Channel not configured" };
+  }
+
+  let failure = null;
+  try {
+    await channel.send(payload, subscription);
+  } catch (error) {
+    failure = error;
+  }
+
+  if (subscription) {
+    try {
+      await recordOutcome(subscription, failure);
+    } catch (error) {
+      console.error(
+        `Failed to update subscription ${subscription._id}:`,
+        error.message
+      );
+    }
+  }
+
+  return failure
+    ? {
+        ...delivery,
+        status: "failed",
+        error: failure.message,
+        retryable: Boolean(failure.retryable),
+      }
+    : { ...delivery, status: "sent" };
+}
+
+/**
+ * Deliver a notification on every channel the user wants it on
+ * @param {Object} notification - ScheduledNotification document
+ * @returns {Promise<Object>} - { deliveries, retry }
+ *   retry: no subscription received it but at least one failure was temporary
+ */
+async function deliverNotification(notification) {
+  const [preferences, subscriptions] = await Promise.all([
+    NotificationPreferences.findOne({ userId: notification.userId }),
+    NotificationSubscription.find({
+      userId: notification.userId,
+      enabled: true,
+      // Email addresses wait until they are confirmed
+      $or: [{ channel: { $ne: "email" } }, { confirmedAt: { $exists: true } }],
+    }),
+  ]);
+  const payload = buildPayload(notification);
+
+  const deliveries = await Promise.all(
+    subscriptions
+      .filter(
+        (subscription) =>
+          !preferences ||
+          preferences.allows(subscription.channel, notification.type)
+      )
+      .map((subscription) =>
+        deliverTo(subscription.channel, payload, subscription)
+      )
+  );
+  // The sink sees everything, so it doesn't count towards a retry decision
+  const delivered = deliveries.some((d) => d.status === "sent");
+  const retry = !delivered && deliveries.some((d) => d.retryable);
+
+  if (getChannel("sink")) {
+    deliveries.push(await deliverTo("sink", payload));
+  }
+  return { deliveries, retry };
+}
+
+module.exports = {
+  getChannel,
+  setChannel,
+  describeChannels,
+  deliverNotification,
+};
@@ -0,0 +1,36 @@
+const fs = require("fs");
+
+/**
+ * Create a local stand-in channel that receives every notification, for
+ * development and testing. Prints a banner to the console, or appends one
+ * JSON line per notification to a file.
+ * @param {Object} config - { file }
+ * @returns {Object} - Delivery channel
+ */
+function createSinkChannel({ file } = {}) {
+  return {
+    name: "sink",
+    configured: true,
+    // Not tied to user subscriptions
+    global: true,
+
+    async send(payload) {
+      if (file) {
+        const line = JSON.stringify({ ...payload, deliveredAt: new Date() });
+        await fs.promises.appendFile(file, `${line}\n`);
+        return;
+      }
+
+      console.log(`\n🔔 ========================================`);
+      console.log(`🔔 NOTIFICATION (${payload.type})`);
+      console.log(`🔔 Title: ${payload.title}`);
+      console.log(`🔔 Message: ${payload.message}`);
+      if (payload.metadata?.roadmapTitle) {
+        console.log(`🔔 Roadmap: ${payload.metadata.roadmapTitle}`);
+      }
+      console.log(`🔔 ========================================\n`);
+    },
+  };
+}
+
+module.exports = { createSinkChannel };
@@ -0,0 +1,173 @@
+const crypto = require("crypto");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const { DeliveryError, httpDeliveryError } = require("./errors");
+
+// Addresses a webhook may not reach: the server's own host and network,
+// and ranges that translate to IPv4 addresses. BlockList checks
+// IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) against the IPv4 rules.
+const blockedAddresses = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+]) {
+  blockedAddresses.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 127], // Unspecified and loopback
+  ["64:ff9b::", 96], // NAT64
+  ["64:ff9b:1::", 48],
+  ["100::", 64],
+  ["2002::", 16], // 6to4
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["fec0::", 10],
+  ["ff00::", 8],
+]) {
+  blockedAddresses.addSubnet(network, prefix, "ipv6");
+}
+
+/**
+ * Whether an IP address is private, loopback, link-local or otherwise
+ * not on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (!family) {
+    return true;
+  }
+  return blockedAddresses.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+class PrivateAddressError extends Error {
+  constructor(hostname, address) {
+    super(`${hostname} resolves to a private address (${address})`);
+    this.name = "PrivateAddressError";
+  }
+}
+
+// dns.lookup for sockets that refuses private addresses. The connection
+// uses the addresses checked here, so a DNS answer that changes between
+// a check and the request (rebinding) can't slip through.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    const blocked = addresses.find((a) => isPrivateAddress(a.address));
+    if (blocked) {
+      return callback(new PrivateAddressError(hostname, blocked.address));
+    }
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// POST a body and resolve with the response status. Redirects aren't
+// followed, since they could send the payload somewhere unvetted.
+function post(url, { headers, body, timeout, allowPrivate }) {
+  const client = url.protocol === "https:" ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = client.request(
+      url,
+      {
+        method: "POST",
+        headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+        lookup: allowPrivate ? undefined : publicLookup,
+        signal: AbortSignal.timeout(timeout),
+      },
+      (response) => {
+        response.resume();
+        resolve(response.statusCode);
+      }
+    );
+    request.on("error", reject);
+    request.end(body);
+  });
+}
+
+/**
+ * Create a channel that POSTs each notification as JSON to a user's URL.
+ *
+ * Requests carry X-LearnStream-Timestamp and X-LearnStream-Signature
+ * ("sha256=" + hex HMAC of "<timestamp>.<body>" keyed with the subscription
+ * secret) so receivers can verify them and reject replays.
+ *
+ * The host is resolved when each notification is sent, and requests to
+ * private addresses are refused unless allowPrivate is set (e.g. to receive
+ * webhooks locally during development).
+ * @param {Object} config - { timeout, allowPrivate }
+ * @returns {Object} - Delivery channel
+ */
+function createWebhookChannel({ timeout = 10000, allowPrivate = false } = {}) {
+  return {
+    name: "webhook",
+    configured: true,
+
+    async send(payload, subscription) {
+      const { secret } = subscription.webhook;
+      const url = new URL(subscription.webhook.url);
+      const body = JSON.stringify(payload);
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      const signature = crypto
+        .createHmac("sha256", secret)
+        .update(`${timestamp}.${body}`)
+        .digest("hex");
+
+      // Sockets skip the lookup for IP literals, so check those here
+      const literal = url.hostname.replace(/^\[|\]$/g, "");
+      if (!allowPrivate && net.isIP(literal) && isPrivateAddress(literal)) {
+        throw new DeliveryError(
+          `Webhook refused: ${literal} is a private address`,
+          { gone: true }
+        );
+      }
+
+      let status;
+      try {
+        status = await post(url, {
+          headers: {
+            "Content-Type": "application/json",
+            "User-Agent": "LearnStream-Webhooks",
+            "X-LearnStream-Event": payload.type,
+            "X-LearnStream-Timestamp": timestamp,
+            "X-LearnStream-Signature": `sha256=${signature}`,
+          },
+          body,
+          timeout,
+          allowPrivate,
+        });
+      } catch (error) {
+        if (error instanceof PrivateAddressError) {
+          throw new DeliveryError(`Webhook refused: ${error.message}`, {
+            gone: true,
+          });
+        }
+        throw new DeliveryError(`Webhook request failed: ${error.message}`, {
+          retryable: true,
+        });
+      }
+
+      if (status < 200 || status >= 300) {
+        throw httpDeliveryError(status, `Webhook responded ${status}`);
+      }
+    },
+  };
+}
+
+module.exports = { createWebhookChannel, isPrivateAddress };
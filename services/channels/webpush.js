@@ -0,0 +1,50 @@
+const webpush = require("web-push");
+const { DeliveryError, httpDeliveryError } = require("./errors");
+
+/**
+ * Create a Web Push channel (VAPID). Browsers subscribe with the public key
+ * and the resulting PushSubscription is stored per user.
+ * @param {Object} config - { publicKey, privateKey, subject, ttl, timeout }
+ *   subject: "mailto:" address or https URL the push service can contact
+ * @returns {Object} - Delivery channel
+ */
+function createWebPushChannel({
+  publicKey,
+  privateKey,
+  subject,
+  ttl = 24 * 60 * 60,
+  timeout = 10000,
+} = {}) {
+  const vapidDetails = { subject, publicKey, privateKey };
+
+  return {
+    name: "web_push",
+    configured: Boolean(publicKey && privateKey && subject),
+    publicKey: publicKey || null,
+
+    async send(payload, subscription) {
+      const { endpoint, keys } = subscription.webPush;
+      try {
+        await webpush.sendNotification(
+          { endpoint, keys: { p256dh: keys.p256dh, auth: keys.auth } },
+          JSON.stringify(payload),
+          { vapidDetails, TTL: ttl, timeout }
+        );
+      } catch (error) {
+        if (error instanceof webpush.WebPushError) {
+          throw httpDeliveryError(
+            error.statusCode,
+            `Push service responded ${error.statusCode}: ${String(
+              error.body || ""
+            ).slice(0, 200)}`
+          );
+        }
+        throw new DeliveryError(`Push request failed: ${error.message}`, {
+          retryable: true,
+        });
+      }
+    },
+  };
+}
+
+module.exports = { createWebPushChannel };
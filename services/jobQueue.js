@@ -0,0 +1,285 @@
+const os = require("os");
+const crypto = require("crypto");
+const Job = require("../models/Job");
+
+/**
+ * MongoDB-backed background job queue.
+ *
+ * - Jobs are claimed atomically and held with a lease that the running worker
+ *   renews with a heartbeat. A job whose lease expires (e.g. the process
+ *   restarted mid-run) is put back on the queue and resumed.
+ * - At most one job runs per roadmap at a time, across all server instances.
+ * - Failed jobs are retried with exponential backoff up to maxAttempts.
+ */
+
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto
+  .randomBytes(4)
+  .toString("hex")}`;
+
+const POLL_INTERVAL_MS = 2000;
+const LEASE_MS = 60 * 1000;
+const HEARTBEAT_MS = 15 * 1000;
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+const CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY || "2");
+
+const handlers = new Map();
+let started = false;
+let polling = false;
+let pollTimer = null;
+let activeJobs = 0;
+
+/**
+ * Register the function that runs jobs of a given type
+ * @param {string} type - Job type
+ * @param {Function} run - async (job, { reportProgress }) => void
+ * @param {Object} options - { onFailed: async (job, error) => void } called once retries are exhausted
+ */
+function registerHandler(type, run, { onFailed } = {}) {
+  handlers.set(type, { run, onFailed });
+}
+
+/**
+ * Add a job to the queue
+ * @param {string} type - Job type
+ * @param {Object} fields - { userId, roadmapId, payload, maxAttempts }
+ * @param {Object} options - { dedupe: reuse a job of the same type that is still queued for this roadmap;
+ *   pass an object to further restrict which queued jobs count as duplicates }
+ * @returns {Promise<Object>} - The job document
+ */
+async function enqueue(type, fields, { dedupe = false } = {}) {
+  if (dedupe && fields.roadmapId) {
+    const existing = await Job.findOne({
+      ...(typeof dedupe === "object" ? dedupe : {}),
+      type,
+      roadmapId: fields.roadmapId,
+      state: "queued",
+    });
+    if (existing) {
+      return existing;
+    }
+  }
+
+  const job = await Job.create({ type, ...fields });
+  wake();
+  return job;
+}
+
+/**
+ * Put jobs whose worker stopped heartbeating back on the queue
+ */
+async function recoverExpiredLeases() {
+  const now = new Date();
+  const expired = { state: "running", leaseExpiresAt: { $lt: now } };
+  const released = { lockedBy: null, leaseExpiresAt: null };
+
+  const exhausted = await Job.find({
+    ...expired,
+    $expr: { $gte: ["$attempts", "$maxAttempts"] },
+  });
+  for (const job of exhausted) {
+    await failJob(job, new Error("Worker stopped before the job finished"));
+  }
+
+  const { modifiedCount } = await Job.updateMany(expired, {
+    $set: {
+      ...released,
+      state: "queued",
+      runAfter: now,
+      lastError: "Worker stopped before the job finished",
+    },
+  });
+  if (modifiedCount > 0) {
+    console.log(`♻️  Re-queued ${modifiedCount} interrupted job(s)`);
+  }
+}
+
+/**
+ * Atomically claim the next runnable job
+ * @returns {Promise<Object|null>} - Claimed job, or null if none is runnable
+ */
+async function claimNextJob() {
+  const now = new Date();
+  const busyRoadmaps = await Job.distinct("roadmapId", {
+    state: "running",
+    roadmapId: { $exists: true },
+  });
+
+  try {
+    return await Job.findOneAndUpdate(
+      {
+        state: "queued",
+        type: { $in: [...handlers.keys()] },
+        runAfter: { $lte: now },
+        roadmapId: { $nin: busyRoadmaps },
+      },
+      {
+        $set: {
+          state: "running",
+          lockedBy: WORKER_ID,
+          leaseExpiresAt: new Date(now.getTime() + LEASE_MS),
+          heartbeatAt: now,
+          startedAt: now,
+        },
+        $inc: { attempts: 1 },
+      },
+      { sort: { runAfter: 1, createdAt: 1 }, new: true }
+    );
+  } catch (error) {
+    // Another instance started a job for the same roadmap first
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Update a job we still hold the lease on
+ */
+function updateOwnedJob(job, update) {
+  return Job.updateOne({ _id: job._id, lockedBy: WORKER_ID }, update);
+}
+
+async function failJob(job, error) {
+  await Job.updateOne(
+    { _id: job._id },
+    {
+      $set: {
+        state: "failed",
+        lastError: error.message,
+        finishedAt: new Date(),
+        lockedBy: null,
+        leaseExpiresAt: null,
+      },
+    }
+  );
+
+  const handler = handlers.get(job.type);
+  if (handler?.onFailed) {
+    try {
+      await handler.onFailed(job, error);
+    } catch (hookError) {
+      console.error(`onFailed hook for job ${job._id} failed:`, hookError);
+    }
+  }
+}
+
+async function runJob(job) {
+  const handler = handlers.get(job.type);
+
+  const heartbeat = setInterval(() => {
+    const now = new Date();
+    updateOwnedJob(job, {
+      $set: {
+        heartbeatAt: now,
+        leaseExpiresAt: new Date(now.getTime() + LEASE_MS),
+      },
+    }).catch((error) => console.error("Job heartbeat failed:", error));
+  }, HEARTBEAT_MS);
+
+  const reportProgress = ({ completed, total, message }) =>
+    updateOwnedJob(job, {
+      $set: {
+        "progress.completed": completed,
+        "progress.total": total,
+        "progress.message": message,
+      },
+    });
+
+  try {
+    await handler.run(job, { reportProgress });
+
+    await updateOwnedJob(job, {
+      $set: {
+        state: "completed",
+        finishedAt: new Date(),
+        lockedBy: null,
+        leaseExpiresAt: null,
+      },
+    });
+  } catch (error) {
+    console.error(
+      `Job ${job._id} (${job.type}) failed on attempt ${job.attempts}:`,
+      error
+    );
+
+    if (job.attempts >= job.maxAttempts) {
+      await failJob(job, error);
+    } else {
+      const delay = RETRY_BASE_DELAY_MS * Math.pow(2, job.attempts - 1);
+      await updateOwnedJob(job, {
+        $set: {
+          state: "queued",
+          lastError: error.message,
+          runAfter: new Date(Date.now() + delay),
+          lockedBy: null,
+          leaseExpiresAt: null,
+        },
+      });
+    }
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+async function poll() {
+  if (polling) return;
+  polling = true;
+  clearTimeout(pollTimer);
+
+  try {
+    await recoverExpiredLeases();
+
+    while (activeJobs < CONCURRENCY) {
+      const job = await claimNextJob();
+      if (!job) break;
+
+      activeJobs++;
+      runJob(job)
+        .catch((error) => console.error("Job runner error:", error))
+        .finally(() => {
+          activeJobs--;
+          wake();
+        });
+    }
+  } catch (error) {
+    console.error("Job queue poll failed:", error);
+  } finally {
+    polling = false;
+    if (started) {
+      pollTimer = setTimeout(poll, POLL_INTERVAL_MS);
+    }
+  }
+}
+
+/**
+ * Check for work now instead of waiting for the next poll
+ */
+function wake() {
+  if (started && !polling) {
+    clearTimeout(pollTimer);
+    pollTimer = setTimeout(poll, 0);
+  }
+}
+
+/**
+ * Start processing jobs (resumes any interrupted jobs from earlier runs)
+ */
+function startWorker() {
+  if (started) return;
+  started = true;
+  console.log(`⚙️  Job worker ${WORKER_ID} started`);
+  poll();
+}
+
+function stopWorker() {
+  started = false;
+  clearTimeout(pollTimer);
+}
+
+module.exports = {
+  registerHandler,
+  enqueue,
+  startWorker,
+  stopWorker,
+};
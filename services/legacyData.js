@@ -0,0 +1,70 @@
+const User = require("../models/User");
+const Resource = require("../models/Resource");
+const Topic = require("../models/Topic");
+const ScheduledNotification = require("../models/ScheduledNotification");
+const AiMemory = require("../models/AiMemory");
+const UserProgress = require("../models/UserProgress");
+
+/**
+ * Data from before user accounts has no userId (progress was keyed by
+ * oderId: "default"). It belonged to the app's single user, so it is given
+ * to the first account registered. Safe to run repeatedly: only documents
+ * still without an owner are touched.
+ */
+
+// Collections whose legacy documents simply gain an owner
+const OWNED_MODELS = [Resource, Topic, ScheduledNotification, AiMemory];
+
+/**
+ * Assign ownerless documents to the first registered user, if there is one
+ * @param {Object} forUser - Only claim if this user is the first one (so a
+ *   later registration never takes over the data)
+ * @returns {Promise<Object|null>} - The user who received them
+ */
+async function claimLegacyData(forUser = null) {
+  const owner = await User.findOne().sort({ createdAt: 1, _id: 1 });
+  if (!owner || (forUser && !owner._id.equals(forUser._id))) {
+    return null;
+  }
+
+  const ownerless = { userId: { $exists: false } };
+  let claimed = 0;
+
+  for (const Model of OWNED_MODELS) {
+    try {
+      // Raw collection: the documents don't pass validation until claimed
+      const result = await Model.collection.updateMany(ownerless, {
+        $set: { userId: owner._id },
+      });
+      claimed += result.modifiedCount;
+    } catch (error) {
+      console.error(
+        `Failed to claim legacy ${Model.modelName} documents:`,
+        error.message
+      );
+    }
+  }
+
+  // Progress is one document per user; keep the owner's if they have one
+  const legacyProgress = await UserProgress.collection.findOne(ownerless);
+  if (legacyProgress) {
+    if (await UserProgress.exists({ userId: owner._id })) {
+      console.warn(
+        `Legacy progress ${legacyProgress._id} left unclaimed: ${owner.email} already has progress`
+      );
+    } else {
+      await UserProgress.collection.updateOne(
+        { _id: legacyProgress._id },
+        { $set: { userId: owner._id }, $unset: { oderId: "" } }
+      );
+      claimed++;
+    }
+  }
+
+  if (claimed > 0) {
+    console.log(`📦 Assigned ${claimed} legacy documents to ${owner.email}`);
+  }
+  return owner;
+}
+
+module.exports = { claimLegacyData };
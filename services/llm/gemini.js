@@ -0,0 +1,71 @@
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+
+const DEFAULT_MODELS = {
+  standard: "gemini-2.0-flash",
+  advanced: "gemini-2.5-flash",
+};
+
+/**
+ * Convert provider-neutral history entries to Gemini content objects
+ * @param {Array} history - [{ role: "user" | "model", text }]
+ * @returns {Array} - Gemini chat history
+ */
+function toGeminiHistory(history = []) {
+  return history.map((entry) => ({
+    role: entry.role === "user" ? "user" : "model",
+    parts: [{ text: entry.text }],
+  }));
+}
+
+/**
+ * Create a Google Gemini provider
+ * @param {Object} config - { apiKey, models }
+ * @returns {Object} - LLM provider
+ */
+function createGeminiProvider({ apiKey, models = {} } = {}) {
+  const genAI = new GoogleGenerativeAI(apiKey);
+  const modelNames = { ...DEFAULT_MODELS, ...models };
+
+  function getModel(tier = "standard") {
+    return genAI.getGenerativeModel({
+      model: modelNames[tier] || modelNames.standard,
+    });
+  }
+
+  return {
+    name: "gemini",
+
+    async generateText(prompt, options = {}) {
+      const result = await getModel(options.model).generateContent(prompt);
+      const response = await result.response;
+      return response.text();
+    },
+
+    startChat({ history = [], model, temperature, maxOutputTokens } = {}) {
+      const chat = getModel(model).startChat({
+        history: toGeminiHistory(history),
+        generationConfig: { maxOutputTokens, temperature },
+      });
+
+      return {
+        async sendMessage(text) {
+          const result = await chat.sendMessage(text);
+          const response = await result.response;
+          return response.text();
+        },
+
+        async *sendMessageStream(text) {
+          const result = await chat.sendMessageStream(text);
+          for await (const chunk of result.stream) {
+            const piece = chunk.text();
+            if (piece) {
+              yield piece;
+            }
+          }
+        },
+      };
+    },
+  };
+}
+
+module.exports = { createGeminiProvider };
@@ -0,0 +1,185 @@
+const { createGeminiProvider } = require("./gemini");
+const { createOpenAIProvider } = require("./openai");
+const { createMockProvider } = require("./mock");
+const {
+  StructuredOutputError,
+  parseJsonLoosely,
+  validate,
+} = require("./structured");
+const schemas = require("./schemas");
+
+/**
+ * Single entry point for every LLM call in the app.
+ *
+ * Selected with LLM_PROVIDER:
+ * - "gemini" (default): GEMINI_API_KEY
+ * - "openai": OPENAI_BASE_URL, OPENAI_API_KEY (any OpenAI-compatible server)
+ * - "mock":   LLM_MOCK_FIXTURES (optional path to a fixture file)
+ *
+ * Callers ask for a model tier ("standard" or "advanced") rather than a model
+ * name; LLM_MODEL_STANDARD / LLM_MODEL_ADVANCED override the provider defaults.
+ */
+
+const providerFactories = {
+  gemini: () =>
+    createGeminiProvider({
+      apiKey: process.env.GEMINI_API_KEY,
+      models: modelOverrides(),
+    }),
+  openai: () =>
+    createOpenAIProvider({
+      baseUrl: process.env.OPENAI_BASE_URL,
+      apiKey: process.env.OPENAI_API_KEY,
+      models: modelOverrides(),
+    }),
+  mock: () =>
+    createMockProvider({
+      fixturesPath: process.env.LLM_MOCK_FIXTURES || undefined,
+    }),
+};
+
+// How many times a model is re-prompted after returning invalid JSON
+const STRUCTURED_RETRIES = parseInt(process.env.LLM_STRUCTURED_RETRIES || "2");
+
+let provider = null;
+
+function modelOverrides() {
+  const models = {};
+  if (process.env.LLM_MODEL_STANDARD) {
+    models.standard = process.env.LLM_MODEL_STANDARD;
+  }
+  if (process.env.LLM_MODEL_ADVANCED) {
+    models.advanced = process.env.LLM_MODEL_ADVANCED;
+  }
+  return models;
+}
+
+/**
+ * Get the configured provider (created lazily on first use)
+ * @returns {Object} - LLM provider
+ */
+function getProvider() {
+  if (!provider) {
+    const name = (process.env.LLM_PROVIDER || "gemini").toLowerCase();
+    const factory = providerFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown LLM_PROVIDER: ${name}`);
+    }
+    provider = factory();
+    console.log(`🤖 Using LLM provider: ${provider.name}`);
+  }
+  return provider;
+}
+
+/**
+ * Replace the active provider (e.g. with a mock in scripts or tests)
+ * @param {Object|null} nextProvider - Provider instance, or null to reset
+ */
+function setProvider(nextProvider) {
+  provider = nextProvider;
+}
+
+/**
+ * Generate a single completion for a prompt
+ * @param {string} prompt - Prompt text
+ * @param {Object} options - { model: "standard" | "advanced", temperature, maxOutputTokens }
+ * @returns {Promise<string>} - Model output text
+ */
+function generateText(prompt, options = {}) {
+  return getProvider().generateText(prompt, options);
+}
+
+/**
+ * Start a multi-turn chat
+ * @param {Object} options - { history: [{ role: "user" | "model", text }], model, temperature, maxOutputTokens }
+ * @returns {Object} - Chat with sendMessage(text) => Promise<string>
+ *   and sendMessageStream(text) => AsyncIterable<string> of text chunks
+ */
+function startChat(options = {}) {
+  return getProvider().startChat(options);
+}
+
+/**
+ * Ask the model again, showing it what was wrong with its last answer
+ */
+function buildRepairPrompt(prompt, previousText, errors) {
+  return `${prompt}
+
+YOUR PREVIOUS RESPONSE:
+${String(previousText || "").slice(0, 4000)}
+
+It was rejected because:
+${errors
+  .slice(0, 10)
+  .map((e) => `- ${e}`)
+  .join("\n")}
+
+Respond again with ONLY the corrected JSON. No markdown, no code blocks, no explanations.`;
+}
+
+/**
+ * Generate a JSON response and validate it against a schema.
+ * Common JSON defects are repaired; if the result still fails validation the
+ * model is re-prompted with the errors up to `retries` times.
+ * @param {string} prompt - Prompt text
+ * @param {Object} schema - Schema from ./schemas
+ * @param {Object} options - { model, retries, fallback }
+ *   fallback: value (or function of the last errors) returned instead of throwing
+ * @returns {Promise<*>} - Validated, coerced value
+ * @throws {StructuredOutputError} - If every attempt fails and no fallback is given
+ */
+async function generateStructured(prompt, schema, options = {}) {
+  const { model, retries = STRUCTURED_RETRIES, fallback } = options;
+
+  let currentPrompt = prompt;
+  let lastErrors = [];
+  let lastText = "";
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    try {
+      lastText = await generateText(currentPrompt, { model });
+    } catch (error) {
+      // Provider failures (network, quota, safety) aren't worth re-prompting
+      if (fallback === undefined) throw error;
+      console.error("LLM request failed, using fallback:", error.message);
+      return typeof fallback === "function"
+        ? fallback([error.message])
+        : fallback;
+    }
+
+    try {
+      const result = validate(schema, parseJsonLoosely(lastText));
+      if (result.errors.length === 0) {
+        return result.value;
+      }
+      lastErrors = result.errors;
+    } catch (parseError) {
+      lastErrors = [`Response was not valid JSON: ${parseError.message}`];
+    }
+
+    console.warn(
+      `Structured output attempt ${attempt + 1}/${retries + 1} invalid:`,
+      lastErrors.slice(0, 3).join("; ")
+    );
+    currentPrompt = buildRepairPrompt(prompt, lastText, lastErrors);
+  }
+
+  if (fallback !== undefined) {
+    return typeof fallback === "function" ? fallback(lastErrors) : fallback;
+  }
+
+  throw new StructuredOutputError("Model returned invalid structured output", {
+    errors: lastErrors,
+    rawText: lastText,
+  });
+}
+
+module.exports = {
+  getProvider,
+  setProvider,
+  generateText,
+  generateStructured,
+  startChat,
+  schemas,
+  StructuredOutputError,
+};
@@ -0,0 +1,71 @@
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_FIXTURES = path.join(__dirname, "fixtures", "default.json");
+
+/**
+ * Load and compile a fixture file
+ * Format: { rules: [{ name, pattern, response }], fallback }
+ * - pattern is a case-insensitive regular expression matched against the prompt
+ * - response may be a string or any JSON value (serialized before returning)
+ * @param {string} fixturePath - Path to the fixture JSON file
+ * @returns {Object} - { rules, fallback }
+ */
+function loadFixtures(fixturePath) {
+  const raw = JSON.parse(fs.readFileSync(fixturePath, "utf8"));
+
+  return {
+    rules: (raw.rules || []).map((rule) => ({
+      name: rule.name,
+      pattern: new RegExp(rule.pattern, "i"),
+      response: rule.response,
+    })),
+    fallback: raw.fallback || "",
+  };
+}
+
+function serialize(response) {
+  return typeof response === "string"
+    ? response
+    : JSON.stringify(response, null, 2);
+}
+
+/**
+ * Create a deterministic, offline provider that answers from fixtures.
+ * The first rule whose pattern matches the prompt wins.
+ * @param {Object} config - { fixturesPath }
+ * @returns {Object} - LLM provider
+ */
+function createMockProvider({ fixturesPath = DEFAULT_FIXTURES } = {}) {
+  const fixtures = loadFixtures(fixturesPath);
+
+  function respond(prompt) {
+    const rule = fixtures.rules.find((r) => r.pattern.test(prompt));
+    return serialize(rule ? rule.response : fixtures.fallback);
+  }
+
+  return {
+    name: "mock",
+
+    async generateText(prompt) {
+      return respond(prompt);
+    },
+
+    startChat() {
+      return {
+        async sendMessage(text) {
+          return respond(text);
+        },
+
+        // Streams the fixture response a word at a time
+        async *sendMessageStream(text) {
+          for (const piece of respond(text).match(/\S+\s*|\s+/g) || []) {
+            yield piece;
+          }
+        },
+      };
+    },
+  };
+}
+
+module.exports = { createMockProvider };
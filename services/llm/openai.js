@@ -0,0 +1,122 @@
+const DEFAULT_MODELS = {
+  standard: "gpt-4o-mini",
+  advanced: "gpt-4o",
+};
+
+/**
+ * Create a provider for any OpenAI-compatible chat completions API
+ * (OpenAI, Ollama, llama.cpp server, vLLM, LM Studio, ...)
+ * @param {Object} config - { baseUrl, apiKey, models, timeout }
+ * @returns {Object} - LLM provider
+ */
+function createOpenAIProvider({
+  baseUrl = "https://api.openai.com/v1",
+  apiKey,
+  models = {},
+  timeout = 120000,
+} = {}) {
+  const modelNames = { ...DEFAULT_MODELS, ...models };
+  const endpoint = `${baseUrl.replace(/\/+$/, "")}/chat/completions`;
+
+  async function request(
+    messages,
+    { model, temperature, maxOutputTokens },
+    stream = false
+  ) {
+    const headers = { "Content-Type": "application/json" };
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    const response = await fetch(endpoint, {
+      method: "POST",
+      headers,
+      signal: AbortSignal.timeout(timeout),
+      body: JSON.stringify({
+        model: modelNames[model] || modelNames.standard,
+        messages,
+        temperature,
+        max_tokens: maxOutputTokens,
+        stream,
+      }),
+    });
+
+    if (!response.ok) {
+      const body = await response.text();
+      throw new Error(
+        `LLM request failed (${response.status}): ${body.slice(0, 500)}`
+      );
+    }
+
+    return response;
+  }
+
+  async function complete(messages, options) {
+    const response = await request(messages, options);
+    const data = await response.json();
+    return data.choices?.[0]?.message?.content || "";
+  }
+
+  // Yields content deltas from a streamed (SSE) chat completion
+  async function* completeStream(messages, options) {
+    const response = await request(messages, options, true);
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    for await (const bytes of response.body) {
+      buffer += decoder.decode(bytes, { stream: true });
+      const lines = buffer.split("\n");
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const data = line.replace(/^data:\s*/, "").trim();
+        if (!line.startsWith("data:") || !data || data === "[DONE]") {
+          continue;
+        }
+        const delta = JSON.parse(data).choices?.[0]?.delta?.content;
+        if (delta) {
+          yield delta;
+        }
+      }
+    }
+  }
+
+  return {
+    name: "openai",
+
+    generateText(prompt, options = {}) {
+      return complete([{ role: "user", content: prompt }], options);
+    },
+
+    startChat({ history = [], ...options } = {}) {
+      const messages = history.map((entry) => ({
+        role: entry.role === "user" ? "user" : "assistant",
+        content: entry.text,
+      }));
+
+      return {
+        async sendMessage(text) {
+          const userMessage = { role: "user", content: text };
+          const reply = await complete([...messages, userMessage], options);
+          messages.push(userMessage, { role: "assistant", content: reply });
+          return reply;
+        },
+
+        async *sendMessageStream(text) {
+          const userMessage = { role: "user", content: text };
+          let reply = "";
+          for await (const delta of completeStream(
+            [...messages, userMessage],
+            options
+          )) {
+            reply += delta;
+            yield delta;
+          }
+          messages.push(userMessage, { role: "assistant", content: reply });
+        },
+      };
+    },
+  };
+}
+
+module.exports = { createOpenAIProvider };
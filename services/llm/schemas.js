@@ -0,0 +1,123 @@
+const { normalizeEstimatedTime } = require("../../utils/estimatedTime");
+
+/**
+ * Schemas for every JSON response we ask a model for.
+ * See ./structured.js for the schema format.
+ */
+
+const learningStep = {
+  type: "object",
+  properties: {
+    title: { type: "string", required: true, maxLength: 200 },
+    description: { type: "string", default: "" },
+    estimatedTime: {
+      type: "string",
+      default: "2-3 hours",
+      coerce: (value) => normalizeEstimatedTime(value, null),
+    },
+  },
+};
+
+// Steps for a new roadmap, /extend and the assistant's roadmap actions
+const learningSteps = {
+  type: "array",
+  items: learningStep,
+  minItems: 1,
+  maxItems: 30,
+};
+
+const RESOURCE_TYPES = [
+  "documentation",
+  "tutorial",
+  "video",
+  "course",
+  "article",
+  "github",
+  "tool",
+  "other",
+];
+
+// Resources suggested for a single step (invalid links are dropped)
+const stepResources = {
+  type: "array",
+  items: {
+    type: "object",
+    properties: {
+      title: { type: "string", required: true, maxLength: 300 },
+      url: { type: "string", required: true, format: "url" },
+      type: { type: "string", enum: RESOURCE_TYPES, enumFallback: "other" },
+    },
+  },
+  dropInvalidItems: true,
+  minItems: 1,
+  maxItems: 10,
+};
+
+// Accept "B", "B) ...", or a numeric index for the correct answer
+function letterToIndex(value) {
+  if (typeof value === "string") {
+    const letter = value.trim().match(/^([A-Fa-f])(?:\)|\.|$)/);
+    if (letter) {
+      return letter[1].toUpperCase().charCodeAt(0) - 65;
+    }
+  }
+  return value;
+}
+
+const quizQuestion = {
+  type: "object",
+  properties: {
+    question: { type: "string", required: true },
+    options: {
+      type: "array",
+      required: true,
+      items: { type: "string", required: true },
+      minItems: 2,
+      maxItems: 6,
+    },
+    correct: {
+      type: "integer",
+      required: true,
+      coerce: letterToIndex,
+      min: 0,
+      clamp: true,
+    },
+    explanation: { type: "string", default: "" },
+  },
+  refine: (question) => {
+    const optionCount = question.options?.length || 0;
+    if (optionCount > 0 && question.correct >= optionCount) {
+      question.correct = optionCount - 1;
+    }
+  },
+};
+
+const quiz = {
+  type: "array",
+  items: quizQuestion,
+  minItems: 1,
+  maxItems: 20,
+};
+
+// Suggestions are plain strings; unwrap { suggestion: "..." } style objects
+const suggestions = {
+  type: "array",
+  items: {
+    type: "string",
+    required: true,
+    coerce: (value) =>
+      value && typeof value === "object"
+        ? value.suggestion || value.text || value.title
+        : value,
+  },
+  dropInvalidItems: true,
+  minItems: 1,
+  maxItems: 10,
+};
+
+module.exports = {
+  learningSteps,
+  stepResources,
+  quiz,
+  suggestions,
+};
@@ -0,0 +1,338 @@
+/**
+ * Helpers for turning free-form model output into validated JSON.
+ *
+ * Schemas are plain objects:
+ * - { type: "string", required, default, enum, enumFallback, maxLength, format: "url" }
+ * - { type: "number" | "integer", required, default, min, max, clamp }
+ * - { type: "array", items, minItems, maxItems, dropInvalidItems }
+ * - { type: "object", properties, refine(value, errors, path) }
+ * Any node may declare coerce(value) to normalize input before validation.
+ */
+
+class StructuredOutputError extends Error {
+  constructor(message, { errors = [], rawText = "" } = {}) {
+    super(message);
+    this.name = "StructuredOutputError";
+    this.errors = errors;
+    this.rawText = rawText;
+  }
+}
+
+function tryParse(text) {
+  try {
+    return { ok: true, value: JSON.parse(text) };
+  } catch (error) {
+    return { ok: false, error };
+  }
+}
+
+/**
+ * Strips markdown fences and any prose around the first JSON value
+ */
+function extractJsonBlock(text) {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const body = fenced ? fenced[1] : text;
+
+  const start = body.search(/[[{]/);
+  if (start === -1) {
+    return body.trim();
+  }
+
+  // Find the bracket that closes the opening one; brackets in strings and
+  // in any prose after the value don't count
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  for (let i = start; i < body.length; i++) {
+    const char = body[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === "\\") escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+    if (char === '"') inString = true;
+    else if (char === "{" || char === "[") depth++;
+    else if ((char === "}" || char === "]") && --depth === 0) {
+      return body.slice(start, i + 1).trim();
+    }
+  }
+
+  // Never closed: truncated, left for closeTruncatedJson
+  return body.slice(start).trim();
+}
+
+/**
+ * Closes brackets and strings left open by a truncated response. Output cut
+ * off inside an object member or array item (e.g. {"a": 1, "de) loses that
+ * member.
+ */
+function closeTruncatedJson(text) {
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+  // Where the last complete member ended, and the brackets open there
+  let lastComplete = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === "\\") escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+    if (char === '"') inString = true;
+    else if (char === "{") stack.push("}");
+    else if (char === "[") stack.push("]");
+    else if (char === "}" || char === "]") stack.pop();
+    else if (char === ",") lastComplete = { end: i, closers: [...stack] };
+  }
+
+  const close = (body, closers) => body + closers.reverse().join("");
+  let repaired = inString ? `${text}"` : text;
+  repaired = close(repaired.replace(/[,:]\s*$/, ""), stack);
+  if (tryParse(repaired).ok || !lastComplete) {
+    return repaired;
+  }
+  return close(text.slice(0, lastComplete.end), lastComplete.closers);
+}
+
+// A string literal, or an unterminated one running to the end of the text
+const STRING_LITERAL = /"(?:[^"\\]|\\.)*(?:"|$)/g;
+const BARE_KEY = /([{,]\s*)([A-Za-z_][\w-]*)\s*:/g;
+
+/**
+ * Quotes bare object keys ({title: "x"}), leaving string values alone so
+ * text such as "Note: ..." isn't rewritten
+ */
+function quoteBareKeys(text) {
+  const quote = (part) => part.replace(BARE_KEY, '$1"$2":');
+  let result = "";
+  let last = 0;
+  for (const literal of text.matchAll(STRING_LITERAL)) {
+    result += quote(text.slice(last, literal.index)) + literal[0];
+    last = literal.index + literal[0].length;
+  }
+  return result + quote(text.slice(last));
+}
+
+/**
+ * Parses model output as JSON, repairing common defects along the way:
+ * code fences, surrounding prose, smart quotes, trailing commas,
+ * unquoted keys and truncated output.
+ * @param {string} text - Raw model output
+ * @returns {*} - Parsed JSON value
+ * @throws {SyntaxError} - If the text can't be repaired
+ */
+function parseJsonLoosely(text) {
+  if (typeof text !== "string") {
+    throw new SyntaxError("Model response is empty");
+  }
+
+  const repairs = [
+    (t) => t.trim(),
+    extractJsonBlock,
+    (t) => t.replace(/[“”]/g, '"').replace(/[‘’]/g, "'"),
+    (t) => t.replace(/,\s*([\]}])/g, "$1"),
+    quoteBareKeys,
+    closeTruncatedJson,
+  ];
+
+  let candidate = text;
+  let lastError = null;
+  for (const repair of repairs) {
+    candidate = repair(candidate);
+    const result = tryParse(candidate);
+    if (result.ok) {
+      return result.value;
+    }
+    lastError = result.error;
+  }
+
+  throw lastError;
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === "";
+}
+
+function validateNode(schema, input, path, errors) {
+  const value = schema.coerce ? schema.coerce(input) : input;
+
+  if (isEmpty(value)) {
+    if (schema.default !== undefined) {
+      return typeof schema.default === "function"
+        ? schema.default()
+        : schema.default;
+    }
+    if (schema.required) {
+      errors.push(`${path} is required`);
+    }
+    return undefined;
+  }
+
+  switch (schema.type) {
+    case "string":
+      return validateString(schema, value, path, errors);
+    case "number":
+    case "integer":
+      return validateNumber(schema, value, path, errors);
+    case "array":
+      return validateArray(schema, value, path, errors);
+    case "object":
+      return validateObject(schema, value, path, errors);
+    default:
+      return value;
+  }
+}
+
+function validateString(schema, value, path, errors) {
+  if (typeof value === "number" || typeof value === "boolean") {
+    value = String(value);
+  }
+  if (typeof value !== "string") {
+    errors.push(`${path} must be a string`);
+    return undefined;
+  }
+
+  let result = value.trim();
+
+  if (schema.enum) {
+    const match = schema.enum.find((v) => v === result.toLowerCase());
+    if (match) {
+      result = match;
+    } else if (schema.enumFallback !== undefined) {
+      result = schema.enumFallback;
+    } else {
+      errors.push(`${path} must be one of: ${schema.enum.join(", ")}`);
+      return undefined;
+    }
+  }
+
+  if (schema.format === "url") {
+    try {
+      const url = new URL(result);
+      if (url.protocol !== "http:" && url.protocol !== "https:") {
+        throw new Error("Unsupported protocol");
+      }
+    } catch {
+      errors.push(`${path} must be a full http(s) URL`);
+      return undefined;
+    }
+  }
+
+  if (schema.maxLength && result.length > schema.maxLength) {
+    result = result.slice(0, schema.maxLength);
+  }
+
+  return result;
+}
+
+function validateNumber(schema, value, path, errors) {
+  let result = typeof value === "string" ? Number(value.trim()) : value;
+
+  if (typeof result !== "number" || Number.isNaN(result)) {
+    errors.push(`${path} must be a number`);
+    return undefined;
+  }
+  if (schema.type === "integer") {
+    result = Math.round(result);
+  }
+
+  const outOfRange =
+    (schema.min !== undefined && result < schema.min) ||
+    (schema.max !== undefined && result > schema.max);
+  if (outOfRange) {
+    if (!schema.clamp) {
+      errors.push(`${path} must be between ${schema.min} and ${schema.max}`);
+      return undefined;
+    }
+    if (schema.min !== undefined) result = Math.max(schema.min, result);
+    if (schema.max !== undefined) result = Math.min(schema.max, result);
+  }
+
+  return result;
+}
+
+function validateArray(schema, value, path, errors) {
+  // Models sometimes wrap the list, e.g. { "steps": [...] }
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    const wrapped = Object.values(value).find(Array.isArray);
+    if (wrapped) {
+      value = wrapped;
+    }
+  }
+  if (!Array.isArray(value)) {
+    errors.push(`${path} must be an array`);
+    return undefined;
+  }
+
+  const result = [];
+  value.forEach((item, index) => {
+    const itemPath = `${path}[${index}]`;
+    if (schema.dropInvalidItems) {
+      const itemErrors = [];
+      const validated = validateNode(schema.items, item, itemPath, itemErrors);
+      if (itemErrors.length === 0) {
+        result.push(validated);
+      }
+    } else {
+      result.push(validateNode(schema.items, item, itemPath, errors));
+    }
+  });
+
+  if (schema.minItems !== undefined && result.length < schema.minItems) {
+    errors.push(
+      `${path} must contain at least ${schema.minItems} valid item(s), got ${result.length}`
+    );
+  }
+
+  return schema.maxItems !== undefined
+    ? result.slice(0, schema.maxItems)
+    : result;
+}
+
+function validateObject(schema, value, path, errors) {
+  if (typeof value !== "object" || Array.isArray(value)) {
+    errors.push(`${path} must be an object`);
+    return undefined;
+  }
+
+  const result = {};
+  for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+    const validated = validateNode(
+      propertySchema,
+      value[key],
+      `${path}.${key}`,
+      errors
+    );
+    if (validated !== undefined) {
+      result[key] = validated;
+    }
+  }
+
+  if (schema.refine) {
+    schema.refine(result, errors, path);
+  }
+
+  return result;
+}
+
+/**
+ * Validates and coerces a parsed value against a schema
+ * @param {Object} schema - Schema declaration
+ * @param {*} value - Parsed JSON value
+ * @returns {{value: *, errors: string[]}} - Coerced value and validation errors
+ */
+function validate(schema, value) {
+  const errors = [];
+  const result = validateNode(schema, value, "$", errors);
+  return { value: result, errors };
+}
+
+module.exports = {
+  StructuredOutputError,
+  parseJsonLoosely,
+  validate,
+};
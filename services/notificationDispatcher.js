@@ -0,0 +1,379 @@
+const os = require("os");
+const crypto = require("crypto");
+const ScheduledNotification = require("../models/ScheduledNotification");
+const { deliverNotification } = require("./channels");
+const { scheduleNextOccurrence } = require("./notificationSchedules");
+const { holdUntil } = require("./notificationPolicy");
+
+/**
+ * The one place notifications are fired.
+ *
+ * - Polls MongoDB for due notifications and claims each one atomically with
+ *   a lease, so several server instances never send the same notification.
+ * - A notification whose claim lease runs out (the process died mid-send, or
+ *   every channel failed temporarily) is claimed again, up to MAX_ATTEMPTS.
+ * - Delivery itself goes through ./channels (push, email, webhooks, sink).
+ * - Finishing an occurrence of a recurring series queues the next one.
+ * - A notification that is already too late when it is claimed is marked
+ *   "expired" instead of being sent.
+ * - Notification types can register hooks to skip a send (e.g. the user was
+ *   already active today) and to react after one (e.g. schedule the next).
+ * - A notification held by the user's quiet hours or daily limit (see
+ *   ./notificationPolicy) is deferred, with the reason recorded on it.
+ * - Types can fold several notifications due close together into one digest.
+ */
+
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto
+  .randomBytes(4)
+  .toString("hex")}`;
+
+const POLL_INTERVAL_MS = parseInt(process.env.NOTIFICATION_POLL_MS || "5000");
+const LEASE_MS = 60 * 1000;
+const MAX_ATTEMPTS = 3;
+const BATCH_SIZE = 50;
+// How late a notification may still be sent, unless its type says otherwise
+const DEFAULT_MAX_DELAY_MS =
+  parseInt(process.env.NOTIFICATION_MAX_DELAY_MINUTES || "60") * 60 * 1000;
+
+const typeHooks = new Map();
+let started = false;
+let polling = false;
+let pollTimer = null;
+
+/**
+ * Register behaviour for a notification type
+ * @param {string} type - ScheduledNotification type
+ * @param {Object} hooks
+ *   - maxDelayMs: how late it may still be sent
+ *   - beforeSend: async (notification) => reason string to skip it, or null to send
+ *   - afterSend: async (notification) => void, after it was sent
+ *   - afterSkip: async (notification) => void, after it was skipped or expired
+ *   - deferrable: false to drop it, instead of deferring it, when quiet hours
+ *     or the daily limit hold it (for notifications only useful on time)
+ *   - digestWindowMs, digest: other pending notifications of the type due
+ *     within digestWindowMs are cancelled and folded into this one;
+ *     async (notification, others) => { title, message, metadata } for it
+ *   - render: async (notification) => { title, message, metadata } to write
+ *     its content just before it is sent (e.g. a summary of the past week)
+ */
+function registerNotificationType(type, hooks) {
+  typeHooks.set(type, hooks);
+}
+
+/**
+ * Claim the next due notification (or one whose lease expired)
+ * @param {Object} filter - Extra conditions, e.g. a specific _id
+ * @returns {Promise<Object|null>} - The claimed notification
+ */
+function claimNext(filter = {}) {
+  const now = new Date();
+  return ScheduledNotification.findOneAndUpdate(
+    {
+      ...filter,
+      $or: [
+        { status: "pending", scheduledFor: { $lte: now } },
+        { status: "sending", leaseExpiresAt: { $lt: now } },
+      ],
+    },
+    {
+      $set: {
+        status: "sending",
+        lockedBy: WORKER_ID,
+        leaseExpiresAt: new Date(now.getTime() + LEASE_MS),
+      },
+      $inc: { attempts: 1 },
+    },
+    { sort: { scheduledFor: 1 }, new: true }
+  );
+}
+
+// Update a notification only while this worker still holds its claim
+function finish(notification, status, fields = {}) {
+  return ScheduledNotification.findOneAndUpdate(
+    { _id: notification._id, status: "sending", lockedBy: WORKER_ID },
+    {
+      $set: { status, ...fields },
+      $unset: { lockedBy: "", leaseExpiresAt: "" },
+    },
+    { new: true }
+  );
+}
+
+async function runHook(notification, name) {
+  const hook = typeHooks.get(notification.type)?.[name];
+  if (!hook) {
+    return null;
+  }
+  try {
+    return await hook(notification);
+  } catch (error) {
+    console.error(
+      `Notification ${name} hook failed for ${notification._id}:`,
+      error.message
+    );
+    return null;
+  }
+}
+
+/**
+ * Record a claimed notification's final state, then run its type's hook and
+ * queue the next occurrence of its recurring series, if any
+ */
+async function settle(notification, status, fields, hookName) {
+  const settled = await finish(notification, status, fields);
+  if (!settled) {
+    // Another dispatcher took it over
+    return null;
+  }
+
+  await runHook(settled, hookName);
+  if (settled.scheduleId) {
+    try {
+      await scheduleNextOccurrence(settled);
+    } catch (error) {
+      console.error(
+        `Failed to schedule the next occurrence of ${settled.scheduleId}:`,
+        error.message
+      );
+    }
+  }
+  return settled;
+}
+
+// Put a claimed notification back to wait until `until`. Being held isn't a
+// delivery attempt, and lateness counts from the new time.
+function defer(notification, { until, reason }) {
+  return ScheduledNotification.findOneAndUpdate(
+    { _id: notification._id, status: "sending", lockedBy: WORKER_ID },
+    {
+      $set: { status: "pending", scheduledFor: until },
+      $unset: { lockedBy: "", leaseExpiresAt: "" },
+      $inc: { attempts: -1 },
+      $push: {
+        deferrals: { reason, from: notification.scheduledFor, until },
+      },
+    },
+    { new: true }
+  );
+}
+
+/**
+ * Fold other pending notifications of the same type, due soon, into a
+ * claimed one, if its type makes digests
+ * @returns {Promise<Object|null>} - The notification to send, or null if
+ *   this worker lost its claim
+ */
+async function collapse(notification, now) {
+  const { digest, digestWindowMs } = typeHooks.get(notification.type) || {};
+  if (!digest) {
+    return notification;
+  }
+
+  const candidates = await ScheduledNotification.find({
+    _id: { $ne: notification._id },
+    userId: notification.userId,
+    type: notification.type,
+    status: "pending",
+    scheduleId: null,
+    scheduledFor: { $lte: new Date(now.getTime() + digestWindowMs) },
+  }).sort({ scheduledFor: 1 });
+
+  // Only those still pending by the time we get to them
+  const others = [];
+  for (const candidate of candidates) {
+    const collapsed = await ScheduledNotification.findOneAndUpdate(
+      { _id: candidate._id, status: "pending" },
+      {
+        $set: {
+          status: "cancelled",
+          statusReason: "Collapsed into a digest",
+          collapsedInto: notification._id,
+        },
+      },
+      { new: true }
+    );
+    if (collapsed) others.push(collapsed);
+  }
+  if (others.length === 0) {
+    return notification;
+  }
+
+  const { title, message, metadata } = await digest(notification, others);
+  return ScheduledNotification.findOneAndUpdate(
+    { _id: notification._id, status: "sending", lockedBy: WORKER_ID },
+    { $set: { title, message, metadata } },
+    { new: true }
+  );
+}
+
+/**
+ * Send, skip, defer or expire one claimed notification
+ * @param {Object} notification - Claimed ScheduledNotification
+ * @param {Object} options - { manual: true when the user fired it
+ *   themselves, which ignores quiet hours and the daily limit }
+ * @returns {Promise<Object|null>} - The notification in its final state
+ */
+async function dispatch(notification, { manual = false } = {}) {
+  const now = new Date();
+  const maxDelayMs =
+    typeHooks.get(notification.type)?.maxDelayMs ?? DEFAULT_MAX_DELAY_MS;
+
+  if (notification.attempts > MAX_ATTEMPTS) {
+    return settle(
+      notification,
+      "expired",
+      { statusReason: "Gave up after repeated delivery attempts" },
+      "afterSkip"
+    );
+  }
+
+  if (now - notification.scheduledFor > maxDelayMs) {
+    return settle(
+      notification,
+      "expired",
+      {
+        statusReason: `Missed: ${Math.round(
+          (now - notification.scheduledFor) / 60000
+        )} minutes late`,
+      },
+      "afterSkip"
+    );
+  }
+
+  const skipReason = await runHook(notification, "beforeSend");
+  if (skipReason) {
+    return settle(
+      notification,
+      "cancelled",
+      { statusReason: skipReason },
+      "afterSkip"
+    );
+  }
+
+  const hold = manual ? null : await holdUntil(notification, now);
+  if (hold) {
+    if (typeHooks.get(notification.type)?.deferrable === false) {
+      return settle(
+        notification,
+        "cancelled",
+        { statusReason: hold.reason },
+        "afterSkip"
+      );
+    }
+    await defer(notification, hold);
+    return null;
+  }
+
+  try {
+    notification = await collapse(notification, now);
+  } catch (error) {
+    console.error(
+      `Failed to collapse notifications into ${notification._id}:`,
+      error.message
+    );
+  }
+  if (!notification) {
+    return null;
+  }
+
+  const content = await runHook(notification, "render");
+  if (content) {
+    notification = await ScheduledNotification.findOneAndUpdate(
+      { _id: notification._id, status: "sending", lockedBy: WORKER_ID },
+      { $set: content },
+      { new: true }
+    );
+    if (!notification) {
+      return null;
+    }
+  }
+
+  let result;
+  try {
+    result = await deliverNotification(notification);
+  } catch (error) {
+    // Leave it claimed; it is retried once the lease runs out
+    await ScheduledNotification.updateOne(
+      { _id: notification._id, lockedBy: WORKER_ID },
+      { $set: { lastError: error.message } }
+    );
+    console.error(`Failed to deliver notification ${notification._id}:`, error);
+    return null;
+  }
+
+  if (result.retry) {
+    await ScheduledNotification.updateOne(
+      { _id: notification._id, lockedBy: WORKER_ID },
+      {
+        $set: {
+          deliveries: result.deliveries,
+          lastError: "No channel delivered it; retrying",
+        },
+      }
+    );
+    return null;
+  }
+
+  return settle(
+    notification,
+    "sent",
+    { sentAt: new Date(), deliveries: result.deliveries },
+    "afterSend"
+  );
+}
+
+/**
+ * Fire a pending notification now instead of at its scheduled time
+ * @param {Object} filter - Must identify one notification, e.g. { _id, userId }
+ * @returns {Promise<Object|null>} - The notification in its final state, or null if it wasn't pending
+ */
+async function dispatchNow(filter) {
+  const due = await ScheduledNotification.findOneAndUpdate(
+    { ...filter, status: "pending" },
+    { $set: { scheduledFor: new Date() } }
+  );
+  if (!due) {
+    return null;
+  }
+  const claimed = await claimNext({ _id: due._id });
+  return claimed ? dispatch(claimed, { manual: true }) : null;
+}
+
+async function poll() {
+  if (!started || polling) return;
+  polling = true;
+
+  try {
+    for (let i = 0; i < BATCH_SIZE; i++) {
+      const notification = await claimNext();
+      if (!notification) break;
+      await dispatch(notification);
+    }
+  } catch (error) {
+    console.error("Notification dispatcher poll failed:", error.message);
+  } finally {
+    polling = false;
+    if (started) {
+      pollTimer = setTimeout(poll, POLL_INTERVAL_MS);
+    }
+  }
+}
+
+function startDispatcher() {
+  if (started) return;
+  started = true;
+  console.log(`🔔 Notification dispatcher ${WORKER_ID} started`);
+  poll();
+}
+
+function stopDispatcher() {
+  started = false;
+  clearTimeout(pollTimer);
+}
+
+module.exports = {
+  registerNotificationType,
+  dispatchNow,
+  startDispatcher,
+  stopDispatcher,
+};
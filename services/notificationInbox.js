@@ -0,0 +1,153 @@
+const mongoose = require("mongoose");
+const ScheduledNotification = require("../models/ScheduledNotification");
+
+/**
+ * The in-app inbox: notifications that have been sent, until the user
+ * dismisses them or they are archived for age (NOTIFICATION_ARCHIVE_DAYS).
+ */
+
+const ARCHIVE_AFTER_DAYS = parseInt(
+  process.env.NOTIFICATION_ARCHIVE_DAYS || "30"
+);
+const ARCHIVE_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let started = false;
+let archiveTimer = null;
+
+/**
+ * Query for a user's inbox
+ * @param {string} userId - User ID
+ * @param {Object} filters - { type, roadmapId, unread, archived }
+ * @returns {Object} - MongoDB filter
+ */
+function inboxQuery(userId, { type, roadmapId, unread, archived } = {}) {
+  const query = {
+    userId,
+    status: "sent",
+    dismissedAt: null,
+    archivedAt: archived ? { $ne: null } : null,
+  };
+  if (type) query.type = type;
+  if (roadmapId) {
+    // Digests name their roadmaps in roadmapIds; $and leaves $or free for
+    // the page cursor
+    query.$and = [
+      {
+        $or: [
+          { "metadata.roadmapId": roadmapId },
+          { "metadata.roadmapIds": roadmapId },
+        ],
+      },
+    ];
+  }
+  // Notifications from before read tracking have no `read` field
+  if (unread) query.read = { $ne: true };
+  return query;
+}
+
+/**
+ * Opaque cursor for the position after a notification in an inbox page
+ * (pages are sorted newest first by scheduledFor, then _id)
+ * @param {Object} notification - Last notification on the page
+ * @returns {string}
+ */
+function encodeCursor(notification) {
+  return Buffer.from(
+    `${notification.scheduledFor.toISOString()}|${notification._id}`
+  ).toString("base64url");
+}
+
+/**
+ * Filter for the notifications after a cursor
+ * @param {string} cursor - From encodeCursor
+ * @returns {Object|null} - MongoDB filter, or null if the cursor is invalid
+ */
+function afterCursor(cursor) {
+  const [time, id] = Buffer.from(String(cursor), "base64url")
+    .toString()
+    .split("|");
+  const scheduledFor = new Date(time);
+  if (isNaN(scheduledFor) || !mongoose.isValidObjectId(id)) {
+    return null;
+  }
+  return {
+    $or: [
+      { scheduledFor: { $lt: scheduledFor } },
+      { scheduledFor, _id: { $lt: new mongoose.Types.ObjectId(id) } },
+    ],
+  };
+}
+
+/**
+ * Unread inbox notifications, in total and per type
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - { unread, byType: { type: count } }
+ */
+async function countUnread(userId) {
+  const counts = await ScheduledNotification.aggregate([
+    {
+      $match: inboxQuery(new mongoose.Types.ObjectId(userId), {
+        unread: true,
+      }),
+    },
+    { $group: { _id: "$type", count: { $sum: 1 } } },
+  ]);
+
+  const byType = Object.fromEntries(counts.map((c) => [c._id, c.count]));
+  return {
+    unread: counts.reduce((sum, c) => sum + c.count, 0),
+    byType,
+  };
+}
+
+/**
+ * Archive sent notifications older than ARCHIVE_AFTER_DAYS
+ * @returns {Promise<number>} - How many were archived
+ */
+async function archiveOldNotifications() {
+  const result = await ScheduledNotification.updateMany(
+    {
+      status: "sent",
+      archivedAt: null,
+      sentAt: { $lt: new Date(Date.now() - ARCHIVE_AFTER_DAYS * DAY_MS) },
+    },
+    { $set: { archivedAt: new Date() } }
+  );
+  return result.modifiedCount;
+}
+
+async function sweep() {
+  try {
+    const archived = await archiveOldNotifications();
+    if (archived > 0) {
+      console.log(`🗄️ Archived ${archived} old notifications`);
+    }
+  } catch (error) {
+    console.error("Notification archive sweep failed:", error.message);
+  }
+  if (started) {
+    archiveTimer = setTimeout(sweep, ARCHIVE_INTERVAL_MS);
+  }
+}
+
+function startInboxArchiver() {
+  if (started) return;
+  started = true;
+  sweep();
+}
+
+function stopInboxArchiver() {
+  started = false;
+  clearTimeout(archiveTimer);
+}
+
+module.exports = {
+  inboxQuery,
+  encodeCursor,
+  afterCursor,
+  countUnread,
+  archiveOldNotifications,
+  startInboxArchiver,
+  stopInboxArchiver,
+};
@@ -0,0 +1,123 @@
+const NotificationPreferences = require("../models/NotificationPreferences");
+const ScheduledNotification = require("../models/ScheduledNotification");
+const UserProgress = require("../models/UserProgress");
+const {
+  DEFAULT_TIMEZONE,
+  dayKey,
+  addDays,
+  zonedTimeToUtc,
+  timeOfDay,
+} = require("../utils/timezone");
+
+/**
+ * Per-user limits on when notifications go out.
+ *
+ * - Quiet hours: nothing is sent between the user's start and end times
+ *   (local to their progress timezone).
+ * - Daily limit: at most so many notifications are sent per local day.
+ * - Pending limit: clients can only have so many notifications waiting.
+ *
+ * The dispatcher asks holdUntil() before sending and defers (or, for types
+ * that only make sense on time, drops) a notification that is held.
+ */
+
+const DEFAULT_DAILY_LIMIT = parseInt(
+  process.env.NOTIFICATION_DAILY_LIMIT || "10"
+);
+const MAX_PENDING = parseInt(process.env.NOTIFICATION_MAX_PENDING || "100");
+
+// Whether a local "HH:MM" time falls within quiet hours
+function inQuietHours(time, { start, end }) {
+  if (start === end) {
+    return false;
+  }
+  return start < end
+    ? time >= start && time < end
+    : time >= start || time < end;
+}
+
+/**
+ * Earliest instant at or after `at` outside the user's quiet hours
+ * @param {Date} at - Candidate time
+ * @param {Object} preferences - NotificationPreferences document
+ * @param {string} timezone - IANA time zone
+ * @returns {Date}
+ */
+function outsideQuietHours(at, preferences, timezone) {
+  const quietHours = preferences.quietHours;
+  const time = timeOfDay(at, timezone);
+  if (!quietHours?.enabled || !inQuietHours(time, quietHours)) {
+    return at;
+  }
+
+  // Quiet hours that wrap past midnight end tomorrow if they began today
+  const today = dayKey(at, timezone);
+  const endDay =
+    quietHours.start > quietHours.end && time >= quietHours.start
+      ? addDays(today, 1)
+      : today;
+  return zonedTimeToUtc(endDay, quietHours.end, timezone);
+}
+
+/**
+ * Whether a notification must wait before it is sent, and until when
+ * @param {Object} notification - Claimed ScheduledNotification
+ * @param {Date} now - Current time
+ * @returns {Promise<Object|null>} - { until, reason }, or null to send it now
+ */
+async function holdUntil(notification, now = new Date()) {
+  const [saved, progress] = await Promise.all([
+    NotificationPreferences.findOne({ userId: notification.userId }),
+    UserProgress.findOne({ userId: notification.userId }).select("timezone"),
+  ]);
+  const preferences = saved || {};
+  const timezone = progress?.timezone || DEFAULT_TIMEZONE;
+
+  const quietEnd = outsideQuietHours(now, preferences, timezone);
+  if (quietEnd > now) {
+    return {
+      until: quietEnd,
+      reason: `Quiet hours (${preferences.quietHours.start}-${preferences.quietHours.end})`,
+    };
+  }
+  return holdForDailyLimit(notification, preferences, timezone, now);
+}
+
+async function holdForDailyLimit(notification, preferences, timezone, now) {
+  const limit = preferences.dailyLimit || DEFAULT_DAILY_LIMIT;
+  const today = dayKey(now, timezone);
+  const sentToday = await ScheduledNotification.countDocuments({
+    userId: notification.userId,
+    status: "sent",
+    sentAt: { $gte: zonedTimeToUtc(today, "00:00", timezone) },
+  });
+  if (sentToday < limit) {
+    return null;
+  }
+
+  const tomorrow = zonedTimeToUtc(addDays(today, 1), "00:00", timezone);
+  return {
+    until: outsideQuietHours(tomorrow, preferences, timezone),
+    reason: `Daily limit of ${limit} notifications reached`,
+  };
+}
+
+/**
+ * Whether a user already has as many notifications waiting as they may
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>}
+ */
+async function atPendingLimit(userId) {
+  const pending = await ScheduledNotification.countDocuments({
+    userId,
+    status: "pending",
+  });
+  return pending >= MAX_PENDING;
+}
+
+module.exports = {
+  DEFAULT_DAILY_LIMIT,
+  MAX_PENDING,
+  holdUntil,
+  atPendingLimit,
+};
@@ -0,0 +1,342 @@
+const NotificationSchedule = require("../models/NotificationSchedule");
+const ScheduledNotification = require("../models/ScheduledNotification");
+const {
+  RecurrenceError,
+  parseRecurrence,
+  nextOccurrence,
+} = require("../utils/recurrence");
+
+/**
+ * Recurring notification series.
+ *
+ * An active series always has one pending ScheduledNotification: its next
+ * occurrence. When the dispatcher finishes that one (sent, skipped or
+ * expired) it calls scheduleNextOccurrence, which creates the following one
+ * until the series reaches its end date or occurrence limit.
+ */
+
+// Fields a client may set on a series
+const EDITABLE_FIELDS = [
+  "type",
+  "title",
+  "message",
+  "metadata",
+  "cron",
+  "rrule",
+  "timezone",
+  "startAt",
+  "endAt",
+  "maxOccurrences",
+];
+
+// Types clients may schedule; the rest are sent by the server itself
+const CLIENT_TYPES = ["custom"];
+
+class ScheduleError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "ScheduleError";
+    this.status = status;
+  }
+}
+
+/**
+ * Next occurrence of a series, within its end date and occurrence limit
+ * @param {Object} schedule - NotificationSchedule document
+ * @param {Date} after - Only consider times after this instant
+ * @returns {Date|null}
+ */
+function nextRunFor(schedule, after = new Date()) {
+  if (
+    schedule.maxOccurrences &&
+    schedule.occurrences >= schedule.maxOccurrences
+  ) {
+    return null;
+  }
+  const at = nextOccurrence(schedule, { start: schedule.startAt, after });
+  if (!at || (schedule.endAt && at > schedule.endAt)) {
+    return null;
+  }
+  return at;
+}
+
+/**
+ * Upcoming occurrence times of a series (for previews)
+ * @param {Object} schedule - NotificationSchedule document
+ * @param {number} limit - How many to list
+ * @returns {Array<Date>}
+ */
+function upcomingRuns(schedule, limit = 5) {
+  const preview = schedule.toObject();
+  const runs = [];
+  let after = new Date();
+  while (runs.length < limit) {
+    const at = nextRunFor(preview, after);
+    if (!at) break;
+    runs.push(at);
+    preview.occurrences++;
+    after = at;
+  }
+  return runs;
+}
+
+/**
+ * Move a series on to its next occurrence and create the notification for it.
+ * Guarded by the occurrence count read from `schedule`, so two callers
+ * racing on the same series create at most one occurrence.
+ * @param {Object} schedule - NotificationSchedule document
+ * @param {Date} after - The occurrence must be later than this
+ * @returns {Promise<Object|null>} - The new occurrence, if any
+ */
+async function advance(schedule, after) {
+  const next = nextRunFor(schedule, after);
+  const updated = await NotificationSchedule.findOneAndUpdate(
+    {
+      _id: schedule._id,
+      status: "active",
+      occurrences: schedule.occurrences,
+    },
+    next
+      ? {
+          $set: { nextRunAt: next, updatedAt: new Date() },
+          $inc: { occurrences: 1 },
+        }
+      : { $set: { status: "ended", nextRunAt: null, updatedAt: new Date() } },
+    { new: true }
+  );
+  if (!updated || !next) {
+    return null;
+  }
+
+  return ScheduledNotification.create({
+    userId: updated.userId,
+    type: updated.type,
+    title: updated.title,
+    message: updated.message,
+    metadata: updated.metadata,
+    scheduledFor: next,
+    scheduleId: updated._id,
+  });
+}
+
+// Cancel a series' pending occurrence; it no longer counts towards the limit
+async function cancelPending(scheduleId, reason) {
+  const result = await ScheduledNotification.updateMany(
+    { scheduleId, status: "pending" },
+    { $set: { status: "cancelled", statusReason: reason } }
+  );
+  if (result.modifiedCount > 0) {
+    await NotificationSchedule.updateOne(
+      { _id: scheduleId },
+      { $inc: { occurrences: -result.modifiedCount } }
+    );
+  }
+}
+
+// Advance a series unless it already has an occurrence waiting or being sent
+async function ensureOccurrence(scheduleId) {
+  const schedule = await NotificationSchedule.findById(scheduleId);
+  const waiting = await ScheduledNotification.exists({
+    scheduleId,
+    status: { $in: ["pending", "sending"] },
+  });
+  if (schedule?.status === "active" && !waiting) {
+    await advance(schedule, new Date());
+  }
+}
+
+// Apply client fields to a series and check they describe a valid recurrence
+async function applyFields(schedule, fields) {
+  if (fields.type !== undefined && !CLIENT_TYPES.includes(fields.type)) {
+    throw new ScheduleError(`type must be one of: ${CLIENT_TYPES.join(", ")}`);
+  }
+  for (const field of EDITABLE_FIELDS) {
+    if (fields[field] !== undefined) {
+      schedule[field] = fields[field];
+    }
+  }
+  // Switching between cron and rrule replaces the other
+  if (fields.cron) schedule.rrule = undefined;
+  if (fields.rrule) schedule.cron = undefined;
+
+  try {
+    const recurrence = parseRecurrence(schedule);
+    // An RRULE's COUNT and UNTIL apply unless given separately
+    if (fields.rrule) {
+      if (fields.maxOccurrences === undefined && recurrence.count) {
+        schedule.maxOccurrences = recurrence.count;
+      }
+      if (fields.endAt === undefined && recurrence.until) {
+        schedule.endAt = recurrence.until;
+      }
+    }
+    await schedule.validate();
+  } catch (error) {
+    if (error instanceof RecurrenceError || error.name === "ValidationError") {
+      throw new ScheduleError(error.message);
+    }
+    throw error;
+  }
+
+  if (schedule.endAt && schedule.startAt && schedule.endAt < schedule.startAt) {
+    throw new ScheduleError("endAt must be after startAt");
+  }
+}
+
+/**
+ * Create a recurring series and its first occurrence
+ * @param {string} userId - Owner
+ * @param {Object} fields - { type, title, message, metadata, cron | rrule,
+ *   timezone, startAt, endAt, maxOccurrences }
+ * @returns {Promise<Object>} - { schedule, notification }
+ * @throws {ScheduleError}
+ */
+async function createSchedule(userId, fields) {
+  const schedule = new NotificationSchedule({ userId });
+  await applyFields(schedule, fields);
+  if (!nextRunFor(schedule)) {
+    throw new ScheduleError("The schedule has no upcoming occurrences");
+  }
+  await schedule.save();
+
+  const notification = await advance(schedule, new Date());
+  return {
+    schedule: await NotificationSchedule.findById(schedule._id),
+    notification,
+  };
+}
+
+async function findOwnSchedule(userId, scheduleId) {
+  const schedule = await NotificationSchedule.findOne({
+    _id: scheduleId,
+    userId,
+  });
+  if (!schedule) {
+    throw new ScheduleError("Schedule not found", 404);
+  }
+  return schedule;
+}
+
+// Change a series' status if it is currently in one of `from`
+async function transition(userId, scheduleId, from, update) {
+  const schedule = await NotificationSchedule.findOneAndUpdate(
+    { _id: scheduleId, userId, status: { $in: from } },
+    { $set: { ...update, updatedAt: new Date() } },
+    { new: true }
+  );
+  if (!schedule) {
+    const existing = await findOwnSchedule(userId, scheduleId);
+    throw new ScheduleError(`Schedule is ${existing.status}`, 409);
+  }
+  return schedule;
+}
+
+/**
+ * Change a series. An active series is rescheduled from now.
+ * @returns {Promise<Object>} - Updated NotificationSchedule
+ * @throws {ScheduleError}
+ */
+async function updateSchedule(userId, scheduleId, fields) {
+  const schedule = await findOwnSchedule(userId, scheduleId);
+  if (schedule.status === "ended") {
+    throw new ScheduleError("Schedule is ended", 409);
+  }
+
+  await applyFields(schedule, fields);
+  schedule.updatedAt = new Date();
+  await schedule.save();
+
+  if (schedule.status === "active") {
+    await cancelPending(schedule._id, "Schedule changed");
+    await ensureOccurrence(schedule._id);
+  }
+  return NotificationSchedule.findById(schedule._id);
+}
+
+/**
+ * Stop sending occurrences until resumed
+ * @throws {ScheduleError}
+ */
+async function pauseSchedule(userId, scheduleId) {
+  // Paused first so an occurrence being sent right now doesn't create another
+  const schedule = await transition(userId, scheduleId, ["active"], {
+    status: "paused",
+    nextRunAt: null,
+  });
+  await cancelPending(schedule._id, "Schedule paused");
+  return NotificationSchedule.findById(schedule._id);
+}
+
+/**
+ * Start sending occurrences again, from now on
+ * @throws {ScheduleError}
+ */
+async function resumeSchedule(userId, scheduleId) {
+  const schedule = await transition(userId, scheduleId, ["paused"], {
+    status: "active",
+  });
+  await ensureOccurrence(schedule._id);
+  return NotificationSchedule.findById(schedule._id);
+}
+
+/**
+ * End a series for good
+ * @throws {ScheduleError}
+ */
+async function endSchedule(userId, scheduleId) {
+  const schedule = await transition(userId, scheduleId, ["active", "paused"], {
+    status: "ended",
+    nextRunAt: null,
+  });
+  await cancelPending(schedule._id, "Schedule ended");
+  return NotificationSchedule.findById(schedule._id);
+}
+
+/**
+ * Create the occurrence after one the dispatcher has finished with
+ * @param {Object} notification - Finished ScheduledNotification
+ */
+async function scheduleNextOccurrence(notification) {
+  const schedule = await NotificationSchedule.findById(notification.scheduleId);
+  if (!schedule || schedule.status !== "active") {
+    return;
+  }
+
+  // Measured from the occurrence's planned time, so triggering it early
+  // doesn't repeat it
+  const now = new Date();
+  const planned = schedule.nextRunAt || notification.scheduledFor;
+  await NotificationSchedule.updateOne(
+    { _id: schedule._id },
+    { $set: { lastRunAt: notification.sentAt || now } }
+  );
+  await advance(schedule, planned > now ? planned : now);
+}
+
+/**
+ * Give every active series a pending occurrence (e.g. after a crash between
+ * advancing a series and creating its notification)
+ */
+async function ensureSchedules() {
+  try {
+    const active = NotificationSchedule.find({ status: "active" }).cursor();
+    for await (const schedule of active) {
+      await ensureOccurrence(schedule._id);
+    }
+  } catch (error) {
+    console.error("Failed to restore recurring schedules:", error.message);
+  }
+}
+
+module.exports = {
+  CLIENT_TYPES,
+  ScheduleError,
+  upcomingRuns,
+  createSchedule,
+  updateSchedule,
+  pauseSchedule,
+  resumeSchedule,
+  endSchedule,
+  scheduleNextOccurrence,
+  ensureSchedules,
+};
@@ -0,0 +1,247 @@
+const fs = require("fs");
+const path = require("path");
+const NotificationPreferences = require("../../models/NotificationPreferences");
+
+/**
+ * Notification titles and messages, by locale.
+ *
+ * Each ./locales/<locale>.json maps a template key (a notification type,
+ * optionally with a variant, e.g. "streak_reminder.next_step") to entries
+ * per streak tier, plus "default" for tiers without their own:
+ *
+ *   { "skill_added": { "new": { "title": "...", "message": "..." }, ... } }
+ *
+ * Text may use {variable} and ICU-style plurals such as
+ * "{stepCount, plural, one {# step} other {# steps}}". A list variable
+ * renders as a list in the locale, e.g. "A, B and C". Adding a translation
+ * is adding a file; missing keys fall back to the default locale.
+ */
+
+const DEFAULT_LOCALE = "en";
+const LOCALES_DIR = path.join(__dirname, "locales");
+
+// Lowest streak of each tier, highest first
+const STREAK_TIERS = [
+  { id: "champion", minStreak: 7 },
+  { id: "hot", minStreak: 3 },
+  { id: "warm", minStreak: 1 },
+  { id: "new", minStreak: 0 },
+];
+
+// Variables templates may use
+const VARIABLES = [
+  "roadmapTitle",
+  "roadmapTitles",
+  "roadmapCount",
+  "stepTitle",
+  "stepCount",
+  "streak",
+  "category",
+  "freezesLeft",
+  "noteCount",
+  "achievementCount",
+  "email",
+  "link",
+];
+
+const PLURAL_CATEGORIES = "=\\d+|zero|one|two|few|many|other";
+const PLURAL_OPTION = new RegExp(
+  `(${PLURAL_CATEGORIES})\\s*\\{((?:[^{}]|\\{\\w+\\})*)\\}`,
+  "g"
+);
+const PLURAL = new RegExp(
+  `\\{(\\w+),\\s*plural,((?:\\s*(?:${PLURAL_CATEGORIES})\\s*\\{(?:[^{}]|\\{\\w+\\})*\\})+)\\s*\\}`,
+  "g"
+);
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+// Variables a template uses, including those inside plural options
+function placeholdersIn(text) {
+  const names = [];
+  const rest = text.replace(PLURAL, (match, name, options) => {
+    names.push(name);
+    return [...options.matchAll(PLURAL_OPTION)].map((m) => m[2]).join(" ");
+  });
+  return [...names, ...[...rest.matchAll(PLACEHOLDER)].map((m) => m[1])];
+}
+
+/**
+ * Load every locale file, failing fast on unknown keys or variables
+ * rather than sending broken text
+ */
+function loadLocales() {
+  const locales = {};
+  for (const file of fs.readdirSync(LOCALES_DIR)) {
+    if (path.extname(file) !== ".json") continue;
+    const locale = path.basename(file, ".json");
+    locales[locale] = JSON.parse(
+      fs.readFileSync(path.join(LOCALES_DIR, file), "utf8")
+    );
+  }
+
+  const defaults = locales[DEFAULT_LOCALE];
+  if (!defaults) {
+    throw new Error(`Missing notification templates for ${DEFAULT_LOCALE}`);
+  }
+
+  for (const [locale, templates] of Object.entries(locales)) {
+    for (const [key, entries] of Object.entries(templates)) {
+      if (!defaults[key]) {
+        throw new Error(`Unknown notification template ${locale}:${key}`);
+      }
+      for (const [tier, entry] of Object.entries(entries)) {
+        if (tier !== "default" && !STREAK_TIERS.some((t) => t.id === tier)) {
+          throw new Error(`Unknown streak tier in ${locale}:${key}: ${tier}`);
+        }
+        for (const text of [entry.title, entry.message]) {
+          if (typeof text !== "string") {
+            throw new Error(`Incomplete template ${locale}:${key}.${tier}`);
+          }
+          const unknown = placeholdersIn(text).find(
+            (name) => !VARIABLES.includes(name)
+          );
+          if (unknown) {
+            throw new Error(
+              `Unknown variable {${unknown}} in ${locale}:${key}.${tier}`
+            );
+          }
+        }
+      }
+    }
+  }
+  return locales;
+}
+
+const LOCALES = loadLocales();
+
+/**
+ * Streak tier for a streak length
+ * @param {number} streak - Current streak in days
+ * @returns {string} - Tier ID
+ */
+function streakTier(streak = 0) {
+  return STREAK_TIERS.find((tier) => streak >= tier.minStreak).id;
+}
+
+/**
+ * Locales to try for a requested one, most specific first,
+ * e.g. "es-MX" -> ["es-MX", "es", "en"]
+ */
+function localeChain(locale) {
+  const chain = [];
+  if (locale) {
+    const parts = locale.split("-");
+    for (let i = parts.length; i > 0; i--) {
+      chain.push(parts.slice(0, i).join("-"));
+    }
+  }
+  chain.push(DEFAULT_LOCALE);
+  return chain.filter((l) => LOCALES[l]);
+}
+
+/**
+ * Fill in variables and plurals
+ * @param {string} text - Template text
+ * @param {Object} vars - Variable values
+ * @param {string} locale - Locale for plural rules
+ * @returns {string}
+ */
+function interpolate(text, vars, locale) {
+  const pluralRules = new Intl.PluralRules(locale);
+
+  return (
+    text
+      .replace(PLURAL, (match, name, options) => {
+        const count = Number(vars[name]) || 0;
+        const forms = Object.fromEntries(
+          [...options.matchAll(PLURAL_OPTION)].map((m) => [m[1], m[2]])
+        );
+        const form =
+          forms[`=${count}`] ?? forms[pluralRules.select(count)] ?? forms.other;
+        return form.replace(/#/g, String(count));
+      })
+      .replace(PLACEHOLDER, (match, name) => {
+        const value = vars[name];
+        if (Array.isArray(value)) {
+          return new Intl.ListFormat(locale).format(value.map(String));
+        }
+        return value === undefined || value === null ? "" : String(value);
+      })
+      // Empty plural forms (e.g. "=0 {}") leave no stray spaces
+      .replace(/ {2,}/g, " ")
+      .trim()
+  );
+}
+
+/**
+ * Render a notification's title and message
+ * @param {string} key - Template key, e.g. "skill_added"
+ * @param {Object} vars - { roadmapTitle, stepTitle, stepCount, streak, ... }
+ *   streak also selects the streak tier
+ * @param {Object} options - { locale }
+ * @returns {Object} - { title, message, locale }
+ */
+function renderTemplate(key, vars = {}, { locale } = {}) {
+  if (!LOCALES[DEFAULT_LOCALE][key]) {
+    throw new Error(`Unknown notification template: ${key}`);
+  }
+  const tier = streakTier(vars.streak);
+
+  for (const candidate of localeChain(locale)) {
+    const entries = LOCALES[candidate][key];
+    const entry = entries?.[tier] || entries?.default;
+    if (entry) {
+      return {
+        title: interpolate(entry.title, vars, candidate),
+        message: interpolate(entry.message, vars, candidate),
+        locale: candidate,
+      };
+    }
+  }
+  throw new Error(`No ${tier} or default entry for template ${key}`);
+}
+
+/**
+ * Render a notification in a user's chosen locale
+ * @param {string} userId - User ID
+ * @param {string} key - Template key
+ * @param {Object} vars - Variable values
+ * @returns {Promise<Object>} - { title, message, locale }
+ */
+async function renderForUser(userId, key, vars = {}) {
+  const preferences = await NotificationPreferences.findOne({ userId }).select(
+    "locale"
+  );
+  return renderTemplate(key, vars, { locale: preferences?.locale });
+}
+
+/**
+ * Locales with templates
+ * @returns {Array<string>}
+ */
+function availableLocales() {
+  return Object.keys(LOCALES).sort();
+}
+
+/**
+ * Canonical form of a BCP 47 locale tag, e.g. "es-mx" -> "es-MX"
+ * @param {string} locale - Locale tag
+ * @returns {string|null} - null if the tag is invalid
+ */
+function canonicalLocale(locale) {
+  try {
+    return Intl.getCanonicalLocales(locale)[0] || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  STREAK_TIERS,
+  streakTier,
+  renderTemplate,
+  renderForUser,
+  availableLocales,
+  canonicalLocale,
+};
@@ -0,0 +1,211 @@
+const ScheduledNotification = require("../models/ScheduledNotification");
+const UserProgress = require("../models/UserProgress");
+const { registerNotificationType } = require("./notificationDispatcher");
+const { renderForUser } = require("./notificationTemplates");
+const {
+  dayKey,
+  addDays,
+  weekdayOf,
+  zonedTimeToUtc,
+} = require("../utils/timezone");
+
+/**
+ * Daily reminders from each user's reminder settings.
+ *
+ * Every user with reminders enabled has exactly one pending daily_reminder:
+ * the next configured weekday at the configured local time. When it comes
+ * due the dispatcher sends it, or cancels it if the user has already been
+ * active that day, and the following one is scheduled.
+ */
+
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+let started = false;
+let sweepTimer = null;
+
+/**
+ * Next time a reminder should fire
+ * @param {Object} progress - UserProgress document
+ * @param {Date} after - Only consider times after this instant
+ * @returns {Date|null} - null if no weekday is configured
+ */
+function nextReminderTime(progress, after = new Date()) {
+  const { time, days } = progress.reminder;
+  const today = dayKey(after, progress.timezone);
+  const activeToday =
+    progress.lastActivityDate &&
+    dayKey(progress.lastActivityDate, progress.timezone) === today;
+
+  // Look a week ahead plus today, so every weekday is considered once
+  for (let i = 0; i <= 7; i++) {
+    const day = addDays(today, i);
+    if (!days.includes(weekdayOf(day)) || (i === 0 && activeToday)) {
+      continue;
+    }
+    const at = zonedTimeToUtc(day, time, progress.timezone);
+    if (at > after) {
+      return at;
+    }
+  }
+  return null;
+}
+
+/**
+ * Move a user's pending daily reminder to the next configured time, or
+ * cancel it if reminders are off. Call whenever the reminder settings or
+ * time zone change.
+ * @param {Object} progress - UserProgress document
+ * @returns {Promise<Object|null>} - The scheduled notification, if reminders are on
+ */
+async function scheduleNextReminder(progress) {
+  const pending = {
+    userId: progress.userId,
+    type: "daily_reminder",
+    status: "pending",
+  };
+
+  const scheduledFor = progress.reminder.enabled
+    ? nextReminderTime(progress)
+    : null;
+  if (!scheduledFor) {
+    await ScheduledNotification.updateMany(pending, {
+      $set: { status: "cancelled" },
+    });
+    return null;
+  }
+
+  const streakCount = progress.currentStreak || 0;
+  const { title, message } = await renderForUser(
+    progress.userId,
+    "daily_reminder",
+    { streak: streakCount }
+  );
+  // Moves the pending reminder if there is one, starting its delivery
+  // attempts over; the unique index keeps concurrent calls from leaving two
+  const update = {
+    $set: {
+      title,
+      message,
+      scheduledFor,
+      attempts: 0,
+      "metadata.streakCount": streakCount,
+    },
+    $unset: { lastError: 1 },
+  };
+  try {
+    return await ScheduledNotification.findOneAndUpdate(pending, update, {
+      upsert: true,
+      new: true,
+      setDefaultsOnInsert: true,
+    });
+  } catch (error) {
+    // A concurrent call inserted it first; apply this call's time to it
+    if (error.code === 11000) {
+      return ScheduledNotification.findOneAndUpdate(pending, update, {
+        new: true,
+      });
+    }
+    throw error;
+  }
+}
+
+// The dispatcher sends due reminders; these hooks decide whether one is
+// still wanted and schedule the following one
+registerNotificationType("daily_reminder", {
+  // A reminder is only useful on its own day, which beforeSend checks
+  maxDelayMs: 24 * 60 * 60 * 1000,
+  // Pushed past quiet hours it would land on another day
+  deferrable: false,
+
+  async beforeSend(notification) {
+    const progress = await UserProgress.findOne({
+      userId: notification.userId,
+    });
+    if (!progress || !progress.reminder.enabled) {
+      return "Reminders are turned off";
+    }
+
+    const reminderDay = dayKey(notification.scheduledFor, progress.timezone);
+    if (dayKey(new Date(), progress.timezone) !== reminderDay) {
+      return "Missed: the reminder's day has passed";
+    }
+    if (
+      progress.lastActivityDate &&
+      dayKey(progress.lastActivityDate, progress.timezone) === reminderDay
+    ) {
+      return "Already active that day";
+    }
+    return null;
+  },
+
+  async afterSend(notification) {
+    const progress = await UserProgress.findOneAndUpdate(
+      { userId: notification.userId },
+      { $set: { "reminder.lastSent": notification.sentAt } },
+      { new: true }
+    );
+    if (progress) {
+      await scheduleNextReminder(progress);
+    }
+  },
+
+  async afterSkip(notification) {
+    const progress = await UserProgress.findOne({
+      userId: notification.userId,
+    });
+    if (progress) {
+      await scheduleNextReminder(progress);
+    }
+  },
+});
+
+/**
+ * Make sure every user with reminders enabled has one scheduled
+ */
+async function ensureReminders() {
+  const enabled = UserProgress.find({ "reminder.enabled": true }).cursor();
+  for await (const progress of enabled) {
+    const pending = await ScheduledNotification.exists({
+      userId: progress.userId,
+      type: "daily_reminder",
+      status: "pending",
+    });
+    if (!pending) {
+      await scheduleNextReminder(progress);
+    }
+  }
+}
+
+// New learners and reminders lost to a restart that interrupted
+// rescheduling are picked up here, so this runs periodically
+async function sweep() {
+  try {
+    await ensureReminders();
+  } catch (error) {
+    console.error("Failed to schedule reminders:", error.message);
+  }
+  if (started) {
+    sweepTimer = setTimeout(sweep, SWEEP_INTERVAL_MS);
+  }
+}
+
+/**
+ * Schedule reminders for users who have none pending, now and every hour
+ */
+function startReminderScheduler() {
+  if (started) return;
+  started = true;
+  sweep();
+}
+
+function stopReminderScheduler() {
+  started = false;
+  clearTimeout(sweepTimer);
+}
+
+module.exports = {
+  nextReminderTime,
+  scheduleNextReminder,
+  startReminderScheduler,
+  stopReminderScheduler,
+};
@@ -0,0 +1,417 @@
+const Resource = require("../models/Resource");
+const { validateResourcesInParallel } = require("../utils/urlValidation");
+const llm = require("./llm");
+const jobQueue = require("./jobQueue");
+const roadmapEvents = require("./roadmapEvents");
+
+// fallback resources (if AI fails to find resources)
+const curatedResources = {
+  mobile: [
+    {
+      title: "React Native Documentation",
+      url: "https://reactnative.dev/docs/getting-started",
+      type: "documentation",
+    },
+    {
+      title: "Flutter Documentation",
+      url: "https://docs.flutter.dev",
+      type: "documentation",
+    },
+    {
+      title: "Ionic Framework Docs",
+      url: "https://ionicframework.com/docs",
+      type: "documentation",
+    },
+    {
+      title: "Android Developers",
+      url: "https://developer.android.com",
+      type: "documentation",
+    },
+    {
+      title: "Apple Developer",
+      url: "https://developer.apple.com/documentation",
+      type: "documentation",
+    },
+  ],
+  frontend: [
+    {
+      title: "MDN Web Docs",
+      url: "https://developer.mozilla.org",
+      type: "documentation",
+    },
+    {
+      title: "React Documentation",
+      url: "https://react.dev",
+      type: "documentation",
+    },
+    {
+      title: "Vue.js Guide",
+      url: "https://vuejs.org/guide/introduction.html",
+      type: "documentation",
+    },
+    {
+      title: "Angular Documentation",
+      url: "https://angular.io/docs",
+      type: "documentation",
+    },
+    {
+      title: "freeCodeCamp",
+      url: "https://www.freecodecamp.org",
+      type: "course",
+    },
+    {
+      title: "CSS-Tricks",
+      url: "https://css-tricks.com",
+      type: "article",
+    },
+  ],
+  backend: [
+    {
+      title: "Node.js Documentation",
+      url: "https://nodejs.org/docs/latest/api/",
+      type: "documentation",
+    },
+    {
+      title: "Express.js Guide",
+      url: "https://expressjs.com/en/guide/routing.html",
+      type: "documentation",
+    },
+    {
+      title: "Django Documentation",
+      url: "https://docs.djangoproject.com",
+      type: "documentation",
+    },
+    {
+      title: "PostgreSQL Tutorial",
+      url: "https://www.postgresqltutorial.com",
+      type: "tutorial",
+    },
+    {
+      title: "MongoDB University",
+      url: "https://learn.mongodb.com",
+      type: "course",
+    },
+  ],
+  design: [
+    {
+      title: "Figma Learn",
+      url: "https://help.figma.com",
+      type: "documentation",
+    },
+    {
+      title: "Material Design",
+      url: "https://m3.material.io",
+      type: "documentation",
+    },
+    {
+      title: "Tailwind CSS Docs",
+      url: "https://tailwindcss.com/docs",
+      type: "documentation",
+    },
+    {
+      title: "Dribbble",
+      url: "https://dribbble.com",
+      type: "tool",
+    },
+    {
+      title: "Smashing Magazine",
+      url: "https://www.smashingmagazine.com",
+      type: "article",
+    },
+  ],
+  ai: [
+    {
+      title: "TensorFlow Tutorials",
+      url: "https://www.tensorflow.org/tutorials",
+      type: "tutorial",
+    },
+    {
+      title: "PyTorch Documentation",
+      url: "https://pytorch.org/docs/stable/index.html",
+      type: "documentation",
+    },
+    {
+      title: "Hugging Face",
+      url: "https://huggingface.co/docs",
+      type: "documentation",
+    },
+    {
+      title: "OpenAI Documentation",
+      url: "https://platform.openai.com/docs",
+      type: "documentation",
+    },
+    {
+      title: "Fast.ai",
+      url: "https://www.fast.ai",
+      type: "course",
+    },
+    {
+      title: "Kaggle Learn",
+      url: "https://www.kaggle.com/learn",
+      type: "course",
+    },
+  ],
+};
+//  Find and Validate (in bBackground)
+async function generateResourcesForStep(stepTitle, stepDescription, skillData) {
+  const prompt = `You are a resource curator. Find 5-7 REAL learning resources for this specific learning step.
+
+STEP: "${stepTitle}"
+DESCRIPTION: "${stepDescription}"
+SKILL: "${skillData.title}" (${skillData.category})
+
+REQUIREMENTS:
+1. Suggest resources from WELL-KNOWN sources:
+   - Official documentation sites (react.dev, angular.io, nodejs.org, developer.mozilla.org, etc.)
+   - freeCodeCamp (freecodecamp.org)
+   - W3Schools (w3schools.com)
+   - GeeksforGeeks (geeksforgeeks.org)
+   - DigitalOcean tutorials
+   - GitHub repos and awesome lists
+   - Dev.to, Medium articles
+
+2. FOR YOUTUBE VIDEOS:
+   - Include 2-3 actual YouTube video links (not channel links)
+   - Search for popular, well-viewed tutorial videos on this topic
+   - Use the full YouTube video URL format: https://www.youtube.com/watch?v=VIDEO_ID
+   - Look for videos from ANY educational channel - not limited to specific channels
+   - Prefer videos with high view counts and good ratings
+   - Include the actual video title in the resource title
+
+3. Mix different resource types: documentation, YouTube videos, tutorials, GitHub repos, articles
+4. Prioritize free resources
+5. Make sure URLs are real and complete
+
+IMPORTANT: Respond ONLY with a valid JSON array. No markdown, no code blocks.
+
+FORMAT:
+[
+  {
+    "title": "Resource title",
+    "url": "https://exact-working-url.com/path",
+    "type": "documentation|tutorial|video|course|article|github|tool"
+  }
+]`;
+
+  try {
+    const resources = await llm.generateStructured(
+      prompt,
+      llm.schemas.stepResources
+    );
+    return resources.map((r) => ({
+      title: r.title,
+      url: r.url,
+      type: r.type || "other",
+    }));
+  } catch (error) {
+    console.error("Error generating resources for step:", error);
+    return [];
+  }
+}
+
+/**
+ * Atomically update fields of a single step, leaving the rest of the roadmap
+ * untouched so concurrent edits aren't overwritten, and publish the change
+ */
+async function updateStep(resourceId, step, fields) {
+  const $set = {};
+  for (const [key, value] of Object.entries(fields)) {
+    $set[`learningPath.$.${key}`] = value;
+  }
+  await Resource.updateOne(
+    { _id: resourceId, "learningPath._id": step._id },
+    { $set }
+  );
+
+  roadmapEvents.publish(resourceId, "step", {
+    stepId: step._id,
+    title: step.title,
+    resourcesStatus: fields.resourcesStatus,
+    resourceCount: (fields.resources || step.resources).length,
+  });
+}
+
+/**
+ * Summarize a roadmap's resource gathering state
+ */
+function summarizeResourcesStatus(resource) {
+  const steps = resource.learningPath;
+  return {
+    resourcesStatus: resource.resourcesStatus,
+    totalSteps: steps.length,
+    readySteps: steps.filter((s) => s.resourcesStatus === "ready").length,
+    failedSteps: steps.filter((s) => s.resourcesStatus === "failed").length,
+    resourceCount: steps.reduce((sum, s) => sum + s.resources.length, 0),
+  };
+}
+
+/**
+ * Set a roadmap's overall resources status and publish it
+ */
+async function setRoadmapStatus(resourceId, resourcesStatus) {
+  const resource = await Resource.findByIdAndUpdate(
+    resourceId,
+    { resourcesStatus },
+    { new: true }
+  );
+  if (resource) {
+    roadmapEvents.publish(
+      resourceId,
+      "status",
+      summarizeResourcesStatus(resource)
+    );
+  }
+}
+
+/**
+ * Pick the steps a gathering run should process: the given step IDs, or
+ * every step that isn't ready yet. No other run can be active for this
+ * roadmap, so a step still marked "loading" was interrupted and is retried.
+ */
+function selectStepsToGather(resource, stepIds) {
+  if (stepIds && stepIds.length > 0) {
+    const wanted = new Set(stepIds.map((id) => id.toString()));
+    return resource.learningPath.filter((s) => wanted.has(s._id.toString()));
+  }
+  return resource.learningPath.filter((s) => s.resourcesStatus !== "ready");
+}
+
+async function gatherAndValidateResources(
+  resourceId,
+  { stepIds, reportProgress } = {}
+) {
+  const resource = await Resource.findById(resourceId);
+  if (!resource) {
+    console.error("Resource not found:", resourceId);
+    return;
+  }
+
+  // Update overall status to loading
+  await setRoadmapStatus(resourceId, "loading");
+
+  const skillData = {
+    title: resource.title,
+    category: resource.category,
+    description: resource.description,
+  };
+  const steps = selectStepsToGather(resource, stepIds);
+
+  // Process each step
+  for (let i = 0; i < steps.length; i++) {
+    const step = steps[i];
+
+    if (reportProgress) {
+      await reportProgress({
+        completed: i,
+        total: steps.length,
+        message: `Gathering resources for "${step.title}"`,
+      });
+    }
+
+    try {
+      // Update step status to loading
+      await updateStep(resourceId, step, { resourcesStatus: "loading" });
+
+      // Generate resources for this step
+      let generatedResources = await generateResourcesForStep(
+        step.title,
+        step.description,
+        skillData
+      );
+
+      // Validate URLs
+      let validatedResources = await validateResourcesInParallel(
+        generatedResources,
+        5
+      );
+
+      // If we don't have enough valid resources, add curated fallbacks
+      if (validatedResources.length < 3) {
+        const fallbacks = curatedResources[resource.category] || [];
+        const additionalResources = fallbacks.slice(
+          0,
+          5 - validatedResources.length
+        );
+
+        // Validate fallbacks too
+        const validatedFallbacks = await validateResourcesInParallel(
+          additionalResources
+        );
+        validatedResources = [...validatedResources, ...validatedFallbacks];
+      }
+
+      // Update step with validated resources
+      await updateStep(resourceId, step, {
+        resources: validatedResources.slice(0, 5), // Max 5 resources per step
+        resourcesStatus: validatedResources.length > 0 ? "ready" : "failed",
+      });
+
+      console.log(
+        `Step ${i + 1}/${steps.length}: ${
+          validatedResources.length
+        } valid resources`
+      );
+    } catch (stepError) {
+      console.error(`Error processing step ${i}:`, stepError);
+
+      // Add fallback resources
+      const fallbacks = curatedResources[resource.category] || [];
+      await updateStep(resourceId, step, {
+        resourcesStatus: "failed",
+        resources: fallbacks.slice(0, 3),
+      });
+    }
+  }
+
+  if (reportProgress) {
+    await reportProgress({
+      completed: steps.length,
+      total: steps.length,
+      message: "Resource gathering complete",
+    });
+  }
+
+  // Failed steps keep fallback resources, so the roadmap is usable either way
+  await setRoadmapStatus(resourceId, "ready");
+
+  console.log(`Resource gathering complete for: ${resource.title}`);
+}
+
+// Resource gathering runs on the durable job queue
+jobQueue.registerHandler(
+  "gather_resources",
+  (job, { reportProgress }) =>
+    gatherAndValidateResources(job.roadmapId, {
+      stepIds: job.payload?.stepIds,
+      reportProgress,
+    }),
+  {
+    onFailed: (job) => setRoadmapStatus(job.roadmapId, "failed"),
+  }
+);
+
+/**
+ * Queue background resource gathering for a roadmap
+ * @param {Object} resource - Roadmap document
+ * @param {Object} options - { stepIds: only gather these steps (default: every step not yet ready) }
+ * @returns {Promise<Object>} - The job document
+ */
+function enqueueResourceGathering(resource, { stepIds } = {}) {
+  const payload = stepIds && stepIds.length > 0 ? { stepIds } : {};
+
+  // A queued job without stepIds picks up every unfinished step when it
+  // runs, so it already covers any new request for this roadmap
+  return jobQueue.enqueue(
+    "gather_resources",
+    { userId: resource.userId, roadmapId: resource._id, payload },
+    { dedupe: { "payload.stepIds": { $exists: false } } }
+  );
+}
+
+module.exports = {
+  curatedResources,
+  generateResourcesForStep,
+  gatherAndValidateResources,
+  enqueueResourceGathering,
+  summarizeResourcesStatus,
+};
@@ -0,0 +1,172 @@
+const { EventEmitter } = require("events");
+
+/**
+ * In-process event bus for roadmap generation progress.
+ *
+ * Each roadmap keeps a short history of recent events so a reconnecting
+ * Server-Sent Events client can replay what it missed via Last-Event-ID.
+ * Event IDs are "<epoch>-<sequence>", where the epoch changes whenever the
+ * server restarts; IDs from an earlier epoch can't be replayed.
+ *
+ * Events are only seen by subscribers in the process that published them.
+ * While a roadmap has subscribers, its stored state is also polled, so
+ * progress made by a worker in another process still reaches them as
+ * "snapshot" events.
+ */
+
+const HISTORY_LIMIT = 200;
+const HISTORY_TTL_MS = 15 * 60 * 1000;
+const EPOCH = Date.now().toString(36);
+const POLL_INTERVAL_MS = parseInt(process.env.ROADMAP_EVENTS_POLL_MS || "3000");
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// roadmapId -> { nextSeq, events: [{ seq, id, type, data }], updatedAt }
+const histories = new Map();
+
+// roadmapId -> { timer, watchers, state, checkedAt }
+const pollers = new Map();
+
+function getHistory(roadmapId) {
+  const key = roadmapId.toString();
+  let history = histories.get(key);
+  if (!history) {
+    history = { nextSeq: 1, events: [], updatedAt: Date.now() };
+    histories.set(key, history);
+  }
+  return history;
+}
+
+/**
+ * Publish an event for a roadmap
+ * @param {string} roadmapId - Roadmap ID
+ * @param {string} type - Event name (e.g. "step", "status")
+ * @param {Object} data - Event payload
+ * @returns {Object} - { id, type, data }
+ */
+function publish(roadmapId, type, data) {
+  const history = getHistory(roadmapId);
+  const seq = history.nextSeq++;
+  const event = { seq, id: `${EPOCH}-${seq}`, type, data };
+
+  history.events.push(event);
+  if (history.events.length > HISTORY_LIMIT) {
+    history.events.shift();
+  }
+  history.updatedAt = Date.now();
+
+  emitter.emit(roadmapId.toString(), event);
+  return event;
+}
+
+/**
+ * Listen for a roadmap's events
+ * @returns {Function} - Call to unsubscribe
+ */
+function subscribe(roadmapId, listener) {
+  const key = roadmapId.toString();
+  emitter.on(key, listener);
+  return () => emitter.off(key, listener);
+}
+
+/**
+ * Poll a roadmap's stored state while anyone is watching it, and publish a
+ * "snapshot" event when it changes. Changes already announced by an event
+ * published here aren't repeated. Watchers of a roadmap share one poller.
+ * @param {string} roadmapId - Roadmap ID
+ * @param {Function} load - async () => current snapshot data, or null if
+ *   the roadmap is gone
+ * @param {Object} current - Snapshot the watcher already has
+ * @returns {Function} - Call to stop watching
+ */
+function poll(roadmapId, load, current) {
+  const key = roadmapId.toString();
+  let poller = pollers.get(key);
+
+  if (!poller) {
+    poller = {
+      watchers: 0,
+      state: JSON.stringify(current),
+      checkedAt: Date.now(),
+      timer: setInterval(async () => {
+        const checkedAt = Date.now();
+        try {
+          const data = await load();
+          const state = JSON.stringify(data);
+          const announced = getHistory(key).updatedAt > poller.checkedAt;
+          if (data && state !== poller.state && !announced) {
+            publish(key, "snapshot", data);
+          }
+          poller.state = state;
+          poller.checkedAt = checkedAt;
+        } catch (error) {
+          console.error(`Failed to poll roadmap ${key}:`, error.message);
+        }
+      }, POLL_INTERVAL_MS),
+    };
+    poller.timer.unref();
+    pollers.set(key, poller);
+  }
+
+  poller.watchers++;
+  return () => {
+    if (--poller.watchers === 0) {
+      clearInterval(poller.timer);
+      pollers.delete(key);
+    }
+  };
+}
+
+/**
+ * Get the events published after a given event ID
+ * @param {string} roadmapId - Roadmap ID
+ * @param {string} lastEventId - Last event ID the client received
+ * @returns {Array|null} - Missed events, or null if they can't be replayed
+ */
+function eventsSince(roadmapId, lastEventId) {
+  const [epoch, seqText] = String(lastEventId || "").split("-");
+  const seq = parseInt(seqText);
+  if (epoch !== EPOCH || Number.isNaN(seq)) {
+    return null;
+  }
+
+  const history = histories.get(roadmapId.toString());
+  if (!history) {
+    return null;
+  }
+
+  // Events were dropped from the history since the client disconnected
+  const oldest = history.events[0];
+  if (oldest && oldest.seq > seq + 1) {
+    return null;
+  }
+
+  return history.events.filter((e) => e.seq > seq);
+}
+
+/**
+ * ID of the most recent event for a roadmap (used to tag snapshots)
+ */
+function latestEventId(roadmapId) {
+  const history = getHistory(roadmapId);
+  return `${EPOCH}-${history.nextSeq - 1}`;
+}
+
+// Forget roadmaps that have been quiet for a while
+setInterval(() => {
+  const cutoff = Date.now() - HISTORY_TTL_MS;
+  for (const [key, history] of histories) {
+    if (history.updatedAt < cutoff && emitter.listenerCount(key) === 0) {
+      histories.delete(key);
+    }
+  }
+}, 60 * 1000).unref();
+
+module.exports = {
+  publish,
+  subscribe,
+  poll,
+  eventsSince,
+  latestEventId,
+};
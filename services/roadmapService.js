@@ -0,0 +1,371 @@
+const mongoose = require("mongoose");
+const Resource = require("../models/Resource");
+const UserProgress = require("../models/UserProgress");
+const ScheduledNotification = require("../models/ScheduledNotification");
+const llm = require("./llm");
+const { renderForUser } = require("./notificationTemplates");
+const { registerNotificationType } = require("./notificationDispatcher");
+const { enqueueResourceGathering } = require("./resourceGathering");
+
+// Most steps one extension may add
+const MAX_ADDITIONAL_STEPS = 10;
+
+class RoadmapError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "RoadmapError";
+    this.status = status;
+  }
+}
+
+// Generate Learning path (exlucing resources)
+async function generateLearningPath(skillData) {
+  const levelSteps = {
+    beginner: { min: 12, max: 15 },
+    intermediate: { min: 10, max: 12 },
+    advanced: { min: 8, max: 10 },
+  };
+
+  const goalContext = {
+    fundamentals: "Focus on core concepts, theory, and foundational knowledge",
+    "hands-on":
+      "Emphasize practical projects, coding exercises, and real-world applications",
+    career:
+      "Include industry best practices, interview prep, and professional skills",
+    hobby:
+      "Keep it fun, project-based, and engaging without overwhelming depth",
+  };
+
+  const currentLevel = skillData.currentSkillLevel || "beginner";
+  const stepRange = levelSteps[currentLevel] || levelSteps.beginner;
+  const goalFocus =
+    goalContext[skillData.learningGoal] || goalContext.fundamentals;
+
+  const prompt = `You are an expert learning path designer like roadmap.sh. Create a comprehensive, structured learning roadmap for "${
+    skillData.title
+  }" in the "${skillData.category}" category.
+
+USER CONTEXT:
+- Current Skill Level: ${currentLevel}
+- Learning Goal: ${skillData.learningGoal || "fundamentals"} - ${goalFocus}
+- Target Level: ${skillData.targetSkillLevel || "proficient"}
+- Additional Notes: ${skillData.description || "None"}
+
+REQUIREMENTS:
+1. Generate ${stepRange.min}-${stepRange.max} progressive learning steps
+2. Each step should build upon previous knowledge
+3. DO NOT include any resources or URLs - resources will be added separately
+4. Estimate realistic time for each step IN HOURS ONLY (e.g., "2-3 hours", "4-6 hours", "8-10 hours")
+5. NEVER use "days" or "weeks" - always convert to hours
+
+IMPORTANT: Respond ONLY with a valid JSON array. No markdown, no code blocks, no explanations.
+
+FORMAT:
+[
+  {
+    "title": "Step title - clear and specific",
+    "description": "Detailed description of what to learn, key concepts to understand, and why this step matters",
+    "estimatedTime": "X-Y hours (ALWAYS in hours, e.g., '2-3 hours', '6-8 hours', '10-12 hours')"
+  }
+]`;
+
+  try {
+    const learningPath = await llm.generateStructured(
+      prompt,
+      llm.schemas.learningSteps,
+      { model: "advanced" }
+    );
+    return learningPath.map((step) => ({
+      title: step.title,
+      description: step.description || "",
+      estimatedTime: step.estimatedTime || "2-3 hours",
+      resources: [],
+      resourcesStatus: "pending",
+      completed: false,
+    }));
+  } catch (error) {
+    console.error("Error generating learning path:", error);
+    // Return a default learning path if AI fails
+    return [
+      {
+        title: `Introduction to ${skillData.title}`,
+        description:
+          "Start with the basics and understand core concepts. This foundation is essential for everything that follows.",
+        estimatedTime: "2-3 hours",
+        resources: [],
+        resourcesStatus: "pending",
+        completed: false,
+      },
+      {
+        title: "Core Concepts Deep Dive",
+        description:
+          "Explore the fundamental concepts in depth and understand how they work together.",
+        estimatedTime: "4-6 hours",
+        resources: [],
+        resourcesStatus: "pending",
+        completed: false,
+      },
+      {
+        title: "Hands-on Practice",
+        description:
+          "Apply what you learned with practical exercises and small projects.",
+        estimatedTime: "6-8 hours",
+        resources: [],
+        resourcesStatus: "pending",
+        completed: false,
+      },
+      {
+        title: "Build a Project",
+        description: "Create a real project to solidify your understanding.",
+        estimatedTime: "10-15 hours",
+        resources: [],
+        resourcesStatus: "pending",
+        completed: false,
+      },
+    ];
+  }
+}
+
+/**
+ * Schedule a notification reminder after adding a skill
+ */
+async function scheduleSkillNotification(resource) {
+  try {
+    // Get current streak info
+    const progress = await UserProgress.findOne({ userId: resource.userId });
+    const streakCount = progress?.currentStreak || 0;
+
+    const { title, message } = await renderForUser(
+      resource.userId,
+      "skill_added",
+      {
+        roadmapTitle: resource.title,
+        stepCount: resource.learningPath.length,
+        streak: streakCount,
+        category: resource.category,
+      }
+    );
+
+    // Schedule for 2 minutes from now (for demo purposes)
+    const DELAY_MINUTES = 2;
+    const scheduledFor = new Date(Date.now() + DELAY_MINUTES * 60 * 1000);
+
+    const notification = new ScheduledNotification({
+      userId: resource.userId,
+      type: "skill_added",
+      title,
+      message,
+      scheduledFor,
+      metadata: {
+        roadmapId: resource._id,
+        roadmapTitle: resource.title,
+        category: resource.category,
+        streakCount,
+      },
+    });
+
+    await notification.save();
+
+    // Sent by the notification dispatcher when it comes due
+    console.log(
+      `📅 Notification scheduled for ${scheduledFor.toLocaleTimeString()} (in ${DELAY_MINUTES} minutes)`
+    );
+  } catch (error) {
+    console.error("Error scheduling skill notification:", error);
+  }
+}
+
+// Roadmaps created within this long of each other share one notification
+const SKILL_DIGEST_WINDOW_MS =
+  parseInt(process.env.SKILL_DIGEST_WINDOW_MINUTES || "10") * 60 * 1000;
+
+registerNotificationType("skill_added", {
+  digestWindowMs: SKILL_DIGEST_WINDOW_MS,
+
+  // One notification naming every new roadmap
+  async digest(notification, others) {
+    const roadmapIds = [notification, ...others].flatMap(({ metadata }) =>
+      metadata?.roadmapIds?.length ? metadata.roadmapIds : [metadata?.roadmapId]
+    );
+    const roadmaps = await Resource.find({
+      _id: { $in: roadmapIds.filter(Boolean) },
+    })
+      .select("title")
+      .sort({ createdAt: 1 });
+
+    const { title, message } = await renderForUser(
+      notification.userId,
+      "skill_added.digest",
+      {
+        roadmapCount: roadmaps.length,
+        roadmapTitles: roadmaps.map((roadmap) => roadmap.title),
+        streak: notification.metadata?.streakCount,
+      }
+    );
+    return {
+      title,
+      message,
+      metadata: {
+        streakCount: notification.metadata?.streakCount,
+        roadmapIds: roadmaps.map((roadmap) => roadmap._id),
+      },
+    };
+  },
+});
+
+/**
+ * Record a roadmap_created activity and check achievements
+ * @returns {Promise<Array>} - Newly unlocked achievement IDs
+ */
+async function trackRoadmapCreated(resource) {
+  try {
+    const progress = await UserProgress.forUser(resource.userId);
+    await progress.addActivity(
+      "roadmap_created",
+      resource._id,
+      null,
+      `Created roadmap: ${resource.title}`
+    );
+    const newAchievements = await progress.checkAchievements();
+    await progress.save();
+    return newAchievements;
+  } catch (e) {
+    console.error("Failed to track roadmap creation activity:", e);
+    return [];
+  }
+}
+
+/**
+ * Create a roadmap for a user. Every entry point (the resources API and the
+ * assistant's create_roadmap action) goes through here.
+ * @param {string} userId - Owner of the roadmap
+ * @param {Object} skillData - { title, category, description, currentSkillLevel, learningGoal, targetSkillLevel }
+ * @returns {Promise<Object>} - { resource, job, newAchievements }
+ */
+async function createRoadmap(userId, skillData) {
+  const fields = {
+    title: skillData.title,
+    category: skillData.category,
+    description: skillData.description,
+    currentSkillLevel: skillData.currentSkillLevel,
+    learningGoal: skillData.learningGoal,
+    targetSkillLevel: skillData.targetSkillLevel,
+  };
+
+  // Phase 1: Generate learning path (steps only, no resources)
+  const learningPath = await generateLearningPath(fields);
+
+  const resource = await Resource.create({
+    ...fields,
+    userId,
+    learningPath,
+    resourcesStatus: "pending",
+  });
+
+  // Phase 2: Queue background resource gathering
+  const job = await enqueueResourceGathering(resource);
+
+  // Phase 3: Schedule a notification reminder (2 minutes after skill creation)
+  scheduleSkillNotification(resource).catch((err) => {
+    console.error("Failed to schedule notification:", err);
+  });
+
+  // Track activity for roadmap creation
+  const newAchievements = await trackRoadmapCreated(resource);
+
+  return { resource, job, newAchievements };
+}
+
+/**
+ * Add AI-generated steps to the end of a roadmap and queue resource
+ * gathering for them. Both the resources API and the assistant's
+ * extend_roadmap action go through here.
+ * @param {string} userId - Owner of the roadmap
+ * @param {string} resourceId - Roadmap to extend
+ * @param {number} additionalSteps - How many steps to add (1-10)
+ * @returns {Promise<Object>} - { resource, steps, job }
+ * @throws {RoadmapError} - 400 for a bad step count, 404 if the roadmap is missing
+ */
+async function extendRoadmap(userId, resourceId, additionalSteps = 3) {
+  if (
+    !Number.isInteger(additionalSteps) ||
+    additionalSteps < 1 ||
+    additionalSteps > MAX_ADDITIONAL_STEPS
+  ) {
+    throw new RoadmapError(
+      `additionalSteps must be a whole number from 1 to ${MAX_ADDITIONAL_STEPS}`
+    );
+  }
+
+  const resource =
+    mongoose.isValidObjectId(resourceId) &&
+    (await Resource.findOne({ _id: resourceId, userId }));
+  if (!resource) {
+    throw new RoadmapError("Resource not found", 404);
+  }
+
+  // Generate additional steps using AI
+  const existingTopics = resource.learningPath.map((s) => s.title).join(", ");
+
+  const prompt = `You are an expert learning path designer. Extend this existing learning roadmap for "${
+    resource.title
+  }" with ${additionalSteps} MORE advanced steps.
+
+EXISTING STEPS (already covered):
+${existingTopics}
+
+USER CONTEXT:
+- Current Skill Level: ${resource.currentSkillLevel || "intermediate"}
+- Learning Goal: ${resource.learningGoal || "mastery"}
+- Target Level: ${resource.targetSkillLevel || "expert"}
+
+REQUIREMENTS:
+1. Generate exactly ${additionalSteps} NEW steps that build upon the existing knowledge
+2. Focus on advanced topics, real-world applications, and expert-level skills
+3. DO NOT repeat any existing topics
+4. Estimate realistic time for each step IN HOURS ONLY (e.g., "4-6 hours", "8-10 hours")
+
+IMPORTANT: Respond ONLY with a valid JSON array. No markdown, no code blocks.
+
+FORMAT:
+[
+  {
+    "title": "Advanced step title",
+    "description": "Detailed description of what to learn",
+    "estimatedTime": "X-Y hours"
+  }
+]`;
+
+  const newSteps = await llm.generateStructured(
+    prompt,
+    { ...llm.schemas.learningSteps, maxItems: additionalSteps },
+    { model: "advanced" }
+  );
+  const steps = newSteps.map((step) => ({
+    title: step.title,
+    description: step.description || "",
+    estimatedTime: step.estimatedTime || "4-6 hours",
+    resources: [],
+    resourcesStatus: "pending",
+    completed: false,
+  }));
+
+  // Add new steps to the learning path
+  resource.learningPath.push(...steps);
+  resource.resourcesStatus = "pending";
+  await resource.save();
+
+  // Queue background resource gathering for new steps
+  const job = await enqueueResourceGathering(resource);
+
+  return { resource, steps, job };
+}
+
+module.exports = {
+  MAX_ADDITIONAL_STEPS,
+  RoadmapError,
+  generateLearningPath,
+  scheduleSkillNotification,
+  createRoadmap,
+  extendRoadmap,
+};
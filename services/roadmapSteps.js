@@ -0,0 +1,307 @@
+const mongoose = require("mongoose");
+const Resource = require("../models/Resource");
+const Activity = require("../models/Activity");
+const UserProgress = require("../models/UserProgress");
+const roadmapEvents = require("./roadmapEvents");
+const { enqueueResourceGathering } = require("./resourceGathering");
+const { normalizeEstimatedTime } = require("../utils/estimatedTime");
+
+/**
+ * Structural edits to a roadmap's learningPath. Every edit is a single
+ * atomic update conditioned on the roadmap's version (its __v), so a client
+ * holding a stale copy gets a 409 instead of overwriting someone else's
+ * change. Updates never rewrite steps they don't touch, which keeps them
+ * from clobbering resources the gathering worker writes in the meantime.
+ */
+
+const EDITABLE_FIELDS = ["title", "description", "estimatedTime"];
+const MAX_TITLE_LENGTH = 200;
+
+class StepEditError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = "StepEditError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Read the expected roadmap version from a request body or query string
+ * @returns {number} - Version the client last saw
+ * @throws {StepEditError} - If no valid version was sent
+ */
+function parseVersion(value) {
+  const version = Number(value);
+  if (value === undefined || value === null || !Number.isInteger(version)) {
+    throw new StepEditError("version is required", 400);
+  }
+  return version;
+}
+
+function toObjectId(id, label = "Step") {
+  if (!mongoose.isValidObjectId(id)) {
+    throw new StepEditError(`${label} not found`, 404);
+  }
+  return new mongoose.Types.ObjectId(id);
+}
+
+/**
+ * Validate and normalize the editable fields of a step
+ * @param {Object} input - Request body
+ * @param {boolean} requireTitle - Whether a title must be present
+ * @returns {Object} - Only the fields that were provided
+ */
+function pickStepFields(input = {}, requireTitle = false) {
+  const fields = {};
+
+  if (input.title !== undefined || requireTitle) {
+    const title = typeof input.title === "string" ? input.title.trim() : "";
+    if (!title) {
+      throw new StepEditError("Step title is required", 400);
+    }
+    if (title.length > MAX_TITLE_LENGTH) {
+      throw new StepEditError(
+        `Step title must be at most ${MAX_TITLE_LENGTH} characters`,
+        400
+      );
+    }
+    fields.title = title;
+  }
+
+  if (input.description !== undefined) {
+    fields.description = String(input.description || "").trim();
+  }
+
+  if (input.estimatedTime !== undefined) {
+    const estimatedTime = normalizeEstimatedTime(input.estimatedTime, null);
+    if (!estimatedTime) {
+      throw new StepEditError(
+        'estimatedTime must be a duration such as "2-3 hours"',
+        400
+      );
+    }
+    fields.estimatedTime = estimatedTime;
+  }
+
+  return fields;
+}
+
+/**
+ * Apply an update to a roadmap only if it is still at the expected version,
+ * bumping the version on success
+ * @param {Object} params - { userId, resourceId, version, filter, update, unmatched }
+ *   unmatched: { message, status } to report when the filter doesn't match
+ * @returns {Promise<Object>} - The updated roadmap
+ * @throws {StepEditError} - 404 if the roadmap or step is missing, 409 on a version mismatch
+ */
+async function versionedUpdate({
+  userId,
+  resourceId,
+  version,
+  filter = {},
+  update,
+  unmatched = { message: "Step not found", status: 404 },
+}) {
+  const _id = toObjectId(resourceId, "Resource");
+
+  // Pipeline updates ($map/$filter) can't use update operators
+  const pipeline = Array.isArray(update);
+  const resource = await Resource.findOneAndUpdate(
+    { _id, userId, __v: version, ...filter },
+    pipeline
+      ? [...update, { $set: { __v: { $add: ["$__v", 1] } } }]
+      : { ...update, $inc: { __v: 1 } },
+    { new: true, runValidators: !pipeline }
+  );
+
+  if (resource) {
+    roadmapEvents.publish(resource._id, "roadmap", {
+      version: resource.__v,
+      stepCount: resource.learningPath.length,
+    });
+    return resource;
+  }
+
+  // Work out why nothing matched
+  const current = await Resource.findOne({ _id, userId }).select("__v");
+  if (!current) {
+    throw new StepEditError("Resource not found", 404);
+  }
+  if (current.__v !== version) {
+    throw new StepEditError(
+      "Roadmap was changed by another request. Reload and try again.",
+      409,
+      { version: current.__v }
+    );
+  }
+  throw new StepEditError(unmatched.message, unmatched.status);
+}
+
+/**
+ * Edit a step's title, description and/or estimatedTime
+ * @returns {Promise<Object>} - The updated roadmap
+ */
+async function updateStepFields(userId, resourceId, stepId, input, version) {
+  const fields = pickStepFields(input);
+  if (Object.keys(fields).length === 0) {
+    throw new StepEditError(
+      `Nothing to update. Editable fields: ${EDITABLE_FIELDS.join(", ")}`,
+      400
+    );
+  }
+
+  const $set = {};
+  for (const [key, value] of Object.entries(fields)) {
+    $set[`learningPath.$.${key}`] = value;
+  }
+
+  return versionedUpdate({
+    userId,
+    resourceId,
+    version,
+    filter: { "learningPath._id": toObjectId(stepId) },
+    update: { $set },
+  });
+}
+
+/**
+ * Insert a new step and queue resource gathering for it
+ * @param {Object} input - { title, description, estimatedTime, position }
+ * @returns {Promise<Object>} - { resource, step, job }
+ */
+async function insertStep(userId, resourceId, input, version) {
+  const fields = pickStepFields(input, true);
+  const step = {
+    _id: new mongoose.Types.ObjectId(),
+    description: "",
+    estimatedTime: "1-2 hours",
+    ...fields,
+    completed: false,
+    resources: [],
+    resourcesStatus: "pending",
+  };
+
+  const $push = { $each: [step] };
+  if (input.position !== undefined) {
+    const position = Number(input.position);
+    if (!Number.isInteger(position) || position < 0) {
+      throw new StepEditError("position must be a non-negative integer", 400);
+    }
+    $push.$position = position;
+  }
+
+  const resource = await versionedUpdate({
+    userId,
+    resourceId,
+    version,
+    update: {
+      $push: { learningPath: $push },
+      $set: { resourcesStatus: "pending" },
+    },
+  });
+
+  const job = await enqueueResourceGathering(resource, {
+    stepIds: [step._id],
+  });
+
+  return { resource, step: resource.learningPath.id(step._id), job };
+}
+
+/**
+ * Remove a step from a roadmap, retracting its completion if it counted
+ * towards the user's progress
+ * @returns {Promise<Object>} - The updated roadmap
+ */
+async function deleteStep(userId, resourceId, stepId, version) {
+  const _id = toObjectId(stepId);
+
+  const resource = await versionedUpdate({
+    userId,
+    resourceId,
+    version,
+    filter: { "learningPath._id": _id },
+    update: { $pull: { learningPath: { _id } } },
+  });
+
+  try {
+    const counted = await Activity.exists({
+      userId,
+      type: "step_completed",
+      roadmapId: resource._id,
+      stepId: _id,
+    });
+    if (counted) {
+      const progress = await UserProgress.forUser(userId);
+      await progress.retractActivity("step_completed", resource._id, _id);
+      await progress.save();
+    }
+  } catch (error) {
+    console.error("Failed to retract deleted step's completion:", error);
+  }
+
+  return resource;
+}
+
+/**
+ * Reorder a roadmap's steps. The order must list every step exactly once.
+ * @param {Array<string>} order - Step IDs in their new order
+ * @returns {Promise<Object>} - The updated roadmap
+ */
+async function reorderSteps(userId, resourceId, order, version) {
+  if (!Array.isArray(order) || order.length === 0) {
+    throw new StepEditError("order must be an array of step IDs", 400);
+  }
+  if (new Set(order.map(String)).size !== order.length) {
+    throw new StepEditError("order must not contain duplicate steps", 400);
+  }
+  const ids = order.map((id) => toObjectId(id));
+
+  // Matching the size and every ID guarantees the order is a permutation;
+  // the steps themselves are taken from the stored document, not the client
+  return versionedUpdate({
+    userId,
+    resourceId,
+    version,
+    filter: {
+      learningPath: { $size: ids.length },
+      "learningPath._id": { $all: ids },
+    },
+    update: [
+      {
+        $set: {
+          learningPath: {
+            $map: {
+              input: ids,
+              as: "stepId",
+              in: {
+                $arrayElemAt: [
+                  {
+                    $filter: {
+                      input: "$learningPath",
+                      cond: { $eq: ["$$this._id", "$$stepId"] },
+                    },
+                  },
+                  0,
+                ],
+              },
+            },
+          },
+        },
+      },
+    ],
+    unmatched: {
+      message: "order must list every step of the roadmap exactly once",
+      status: 400,
+    },
+  });
+}
+
+module.exports = {
+  StepEditError,
+  parseVersion,
+  updateStepFields,
+  insertStep,
+  deleteStep,
+  reorderSteps,
+};
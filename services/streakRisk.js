@@ -0,0 +1,203 @@
+const Activity = require("../models/Activity");
+const Resource = require("../models/Resource");
+const ScheduledNotification = require("../models/ScheduledNotification");
+const UserProgress = require("../models/UserProgress");
+const { registerNotificationType } = require("./notificationDispatcher");
+const { renderForUser } = require("./notificationTemplates");
+const { dayKey, daysBetween, zonedTimeToUtc } = require("../utils/timezone");
+
+/**
+ * Streak-at-risk reminders.
+ *
+ * From the evening check time (local to each user), a learner whose streak
+ * was extended yesterday but who has no activity yet today gets a
+ * streak_reminder at the send time, pointing at their next step. Logging any
+ * activity cancels it (see the UserProgress post-save hook).
+ */
+
+const CHECK_TIME = process.env.STREAK_RISK_CHECK_TIME || "18:00";
+const SEND_TIME = process.env.STREAK_RISK_SEND_TIME || "20:00";
+// No point warning about a streak that ends in less than this
+const MIN_NOTICE_MS = 30 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let started = false;
+let sweepTimer = null;
+
+/**
+ * Next incomplete step of the user's most recently active roadmap
+ * (falling back to their newest roadmap)
+ * @returns {Promise<Object|null>} - { roadmap, step }
+ */
+async function findNextStep(userId) {
+  const lastActivity = await Activity.findOne({
+    userId,
+    roadmapId: { $exists: true, $ne: null },
+  })
+    .sort({ date: -1 })
+    .select("roadmapId");
+
+  let roadmap = lastActivity
+    ? await Resource.findOne({ _id: lastActivity.roadmapId, userId })
+    : null;
+  let step = roadmap?.learningPath.find((s) => !s.completed);
+
+  if (!step) {
+    const roadmaps = await Resource.find({ userId }).sort({ createdAt: -1 });
+    roadmap = roadmaps.find((r) => r.learningPath.some((s) => !s.completed));
+    step = roadmap?.learningPath.find((s) => !s.completed);
+  }
+
+  return step ? { roadmap, step } : null;
+}
+
+/**
+ * Schedule a streak reminder for a user if their streak is at risk today
+ * @param {Object} progress - UserProgress document
+ * @param {Date} now - Current time
+ * @returns {Promise<Object|null>} - The scheduled notification, if any
+ */
+async function checkStreakAtRisk(progress, now = new Date()) {
+  const { timezone } = progress;
+  const today = dayKey(now, timezone);
+
+  // Streak alive, but not yet extended today
+  if (
+    !progress.currentStreak ||
+    !progress.lastActivityDate ||
+    daysBetween(dayKey(progress.lastActivityDate, timezone), today) !== 1
+  ) {
+    return null;
+  }
+
+  const checkAt = zonedTimeToUtc(today, CHECK_TIME, timezone);
+  const dayStart = zonedTimeToUtc(today, "00:00", timezone);
+  const dayEnd = new Date(dayStart.getTime() + DAY_MS);
+  if (now < checkAt || dayEnd - now < MIN_NOTICE_MS) {
+    return null;
+  }
+
+  // One per day, whether it is still pending, was sent or was cancelled.
+  // Checked here to skip the work below; the unique index on metadata.day
+  // settles concurrent checks.
+  const existing = await ScheduledNotification.exists({
+    userId: progress.userId,
+    type: "streak_reminder",
+    createdAt: { $gte: dayStart },
+  });
+  if (existing) {
+    return null;
+  }
+
+  const sendAt = zonedTimeToUtc(today, SEND_TIME, timezone);
+  const next = await findNextStep(progress.userId);
+  const streakCount = progress.currentStreak;
+  const { title, message } = await renderForUser(
+    progress.userId,
+    next ? "streak_reminder.next_step" : "streak_reminder",
+    {
+      streak: streakCount,
+      stepTitle: next?.step.title,
+      roadmapTitle: next?.roadmap.title,
+    }
+  );
+
+  try {
+    return await ScheduledNotification.create({
+      userId: progress.userId,
+      type: "streak_reminder",
+      title,
+      message,
+      scheduledFor: sendAt > now ? sendAt : now,
+      metadata: {
+        day: today,
+        streakCount,
+        roadmapId: next?.roadmap._id,
+        roadmapTitle: next?.roadmap.title,
+        category: next?.roadmap.category,
+        stepId: next?.step._id,
+        stepTitle: next?.step.title,
+      },
+    });
+  } catch (error) {
+    // Another check scheduled today's reminder first
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Check every learner whose streak could end today
+ */
+async function checkStreaksAtRisk() {
+  const now = new Date();
+  // Last active within the past two days covers yesterday in every time zone
+  const candidates = UserProgress.find({
+    currentStreak: { $gt: 0 },
+    lastActivityDate: { $gte: new Date(now.getTime() - 2 * DAY_MS) },
+  }).cursor();
+
+  for await (const progress of candidates) {
+    try {
+      await checkStreakAtRisk(progress, now);
+    } catch (error) {
+      console.error(
+        `Streak check failed for user ${progress.userId}:`,
+        error.message
+      );
+    }
+  }
+}
+
+// Activity normally cancels the reminder straight away; this catches
+// anything logged while it was being claimed
+registerNotificationType("streak_reminder", {
+  // After quiet hours the streak would already be lost
+  deferrable: false,
+
+  async beforeSend(notification) {
+    const progress = await UserProgress.findOne({
+      userId: notification.userId,
+    });
+    if (
+      progress?.lastActivityDate &&
+      dayKey(progress.lastActivityDate, progress.timezone) ===
+        dayKey(notification.scheduledFor, progress.timezone)
+    ) {
+      return "Already active that day";
+    }
+    return null;
+  },
+});
+
+async function sweep() {
+  try {
+    await checkStreaksAtRisk();
+  } catch (error) {
+    console.error("Streak risk sweep failed:", error.message);
+  }
+  if (started) {
+    sweepTimer = setTimeout(sweep, SWEEP_INTERVAL_MS);
+  }
+}
+
+function startStreakRiskMonitor() {
+  if (started) return;
+  started = true;
+  sweep();
+}
+
+function stopStreakRiskMonitor() {
+  started = false;
+  clearTimeout(sweepTimer);
+}
+
+module.exports = {
+  checkStreakAtRisk,
+  findNextStep,
+  startStreakRiskMonitor,
+  stopStreakRiskMonitor,
+};
@@ -0,0 +1,468 @@
+const mongoose = require("mongoose");
+const Activity = require("../models/Activity");
+const NotificationPreferences = require("../models/NotificationPreferences");
+const Resource = require("../models/Resource");
+const ScheduledNotification = require("../models/ScheduledNotification");
+const UserProgress = require("../models/UserProgress");
+const llm = require("./llm");
+const { ACHIEVEMENTS } = require("./achievements");
+const { weekStart } = require("./analytics");
+const { registerNotificationType } = require("./notificationDispatcher");
+const { renderForUser } = require("./notificationTemplates");
+const {
+  dayKey,
+  daysBetween,
+  addDays,
+  zonedTimeToUtc,
+} = require("../utils/timezone");
+
+/**
+ * Weekly learning digests.
+ *
+ * A digest summarises one Monday-to-Sunday week (in the user's time zone)
+ * from the activity log. It can be fetched on demand, and every user who
+ * hasn't turned it off gets one as a weekly_digest notification on Monday
+ * morning, written when it is sent.
+ */
+
+const DIGEST_TIME = process.env.WEEKLY_DIGEST_TIME || "09:00";
+// Add an AI-written paragraph to digest notifications
+const AI_ENCOURAGEMENT = process.env.WEEKLY_DIGEST_AI === "true";
+const SWEEP_INTERVAL_MS = 6 * 60 * 60 * 1000;
+const MAX_ENCOURAGEMENT_LENGTH = 600;
+const ENCOURAGEMENT_CACHE_LIMIT = 1000;
+
+let started = false;
+let sweepTimer = null;
+
+// "<userId>:<week>" -> { signature, text: Promise<string|null> }, oldest
+// first. A paragraph is reused until the week's summary changes.
+const encouragements = new Map();
+
+/**
+ * Monday of the week before the one an instant falls in
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA time zone
+ * @returns {string} - "YYYY-MM-DD"
+ */
+function previousWeek(date, timezone) {
+  return addDays(weekStart(dayKey(date, timezone)), -7);
+}
+
+/**
+ * Next incomplete step of every unfinished roadmap, most recently active
+ * roadmap first
+ */
+async function findNextSteps(userId) {
+  const roadmaps = await Resource.find({ userId })
+    .select("title category learningPath")
+    .sort({ createdAt: -1 });
+  const unfinished = roadmaps.filter((roadmap) =>
+    roadmap.learningPath.some((step) => !step.completed)
+  );
+
+  const lastActive = new Map(
+    (
+      await Activity.aggregate([
+        {
+          $match: {
+            userId: new mongoose.Types.ObjectId(userId),
+            roadmapId: { $in: unfinished.map((roadmap) => roadmap._id) },
+          },
+        },
+        { $group: { _id: "$roadmapId", last: { $max: "$date" } } },
+      ])
+    ).map((entry) => [String(entry._id), entry.last])
+  );
+  unfinished.sort(
+    (a, b) =>
+      (lastActive.get(String(b._id)) || 0) -
+      (lastActive.get(String(a._id)) || 0)
+  );
+
+  return unfinished.map((roadmap) => {
+    const step = roadmap.learningPath.find((s) => !s.completed);
+    return {
+      roadmapId: roadmap._id,
+      roadmapTitle: roadmap.title,
+      stepId: step._id,
+      stepTitle: step.title,
+      estimatedTime: step.estimatedTime,
+    };
+  });
+}
+
+// What the encouragement paragraph is written from
+function encouragementSummary(digest) {
+  return {
+    stepsCompleted: digest.stepsCompleted,
+    roadmaps: digest.roadmaps.map(({ title, stepsCompleted }) => ({
+      title,
+      stepsCompleted,
+    })),
+    notesAdded: digest.notesAdded,
+    quizzesCompleted: digest.quizzesCompleted,
+    activeDays: digest.activeDays,
+    streak: digest.streak.current,
+    achievements: digest.achievements.map((a) => a.name),
+    nextStep: digest.nextSteps[0]?.stepTitle,
+  };
+}
+
+/**
+ * Ask the model for a short paragraph of encouragement about the week
+ * @returns {Promise<string|null>} - null if the model is unavailable
+ */
+async function writeEncouragement(summary) {
+  const prompt = `Write a short, warm encouragement paragraph (2-3 sentences) for a learner's weekly learning digest.
+
+Their week:
+${JSON.stringify(summary, null, 2)}
+
+Mention something specific they did, be honest but kind if the week was quiet, and point them at their next step.
+Return plain text only: no markdown, no greeting, no sign-off.`;
+
+  try {
+    const text = (await llm.generateText(prompt)).trim();
+    return text ? text.slice(0, MAX_ENCOURAGEMENT_LENGTH) : null;
+  } catch (error) {
+    console.error("Failed to write digest encouragement:", error.message);
+    return null;
+  }
+}
+
+/**
+ * Encouragement for a user's week, written once and then reused until the
+ * week's summary changes. Concurrent requests share one model call.
+ * @returns {Promise<string|null>}
+ */
+async function encouragementFor(userId, digest) {
+  const key = `${userId}:${digest.week}`;
+  const summary = encouragementSummary(digest);
+  const signature = JSON.stringify(summary);
+
+  const cached = encouragements.get(key);
+  if (cached && cached.signature === signature) {
+    return cached.text;
+  }
+
+  const text = writeEncouragement(summary);
+  encouragements.delete(key);
+  encouragements.set(key, { signature, text });
+  if (encouragements.size > ENCOURAGEMENT_CACHE_LIMIT) {
+    encouragements.delete(encouragements.keys().next().value);
+  }
+
+  const result = await text;
+  // Try again next time if the model was unavailable
+  if (result === null && encouragements.get(key)?.text === text) {
+    encouragements.delete(key);
+  }
+  return result;
+}
+
+/**
+ * Summarise one week of a user's learning
+ * @param {Object} progress - UserProgress document
+ * @param {Object} options - { week: any "YYYY-MM-DD" in the week (defaults
+ *   to last week), encouragement: add an AI-written paragraph (cached per
+ *   user and week), now }
+ * @returns {Promise<Object>} - { week, from, to, timezone, activeDays,
+ *   stepsCompleted, notesAdded, quizzesCompleted, roadmaps, streak,
+ *   achievements, nextSteps, encouragement }
+ */
+async function buildWeeklyDigest(
+  progress,
+  { week, encouragement = false, now = new Date() } = {}
+) {
+  const { userId, timezone } = progress;
+  const monday = week ? weekStart(week) : previousWeek(now, timezone);
+  const sunday = addDays(monday, 6);
+  const from = zonedTimeToUtc(monday, "00:00", timezone);
+  const to = zonedTimeToUtc(addDays(monday, 7), "00:00", timezone);
+
+  const activities = await Activity.find({
+    userId,
+    date: { $gte: from, $lt: to },
+  });
+
+  const counts = { step_completed: 0, note_added: 0, quiz_completed: 0 };
+  const byRoadmap = new Map();
+  const days = new Set();
+  for (const activity of activities) {
+    days.add(dayKey(activity.date, timezone));
+    if (counts[activity.type] !== undefined) counts[activity.type]++;
+    if (!activity.roadmapId) continue;
+
+    const key = String(activity.roadmapId);
+    if (!byRoadmap.has(key)) {
+      byRoadmap.set(key, {
+        roadmapId: activity.roadmapId,
+        stepsCompleted: 0,
+        notesAdded: 0,
+      });
+    }
+    const entry = byRoadmap.get(key);
+    if (activity.type === "step_completed") entry.stepsCompleted++;
+    if (activity.type === "note_added") entry.notesAdded++;
+  }
+
+  const titles = new Map(
+    (
+      await Resource.find({
+        _id: { $in: [...byRoadmap.values()].map((r) => r.roadmapId) },
+      }).select("title")
+    ).map((roadmap) => [String(roadmap._id), roadmap.title])
+  );
+  const roadmaps = [...byRoadmap.entries()]
+    .filter(([id]) => titles.has(id))
+    .map(([id, entry]) => ({ ...entry, title: titles.get(id) }))
+    .filter((entry) => entry.stepsCompleted > 0 || entry.notesAdded > 0)
+    .sort((a, b) => b.stepsCompleted - a.stepsCompleted);
+
+  const lastActiveDay =
+    progress.lastActivityDate && dayKey(progress.lastActivityDate, timezone);
+  const achievements = progress.achievementUnlocks
+    .filter((unlock) => unlock.unlockedAt >= from && unlock.unlockedAt < to)
+    .map((unlock) => {
+      const achievement = ACHIEVEMENTS.find((a) => a.id === unlock.id);
+      return achievement
+        ? {
+            id: achievement.id,
+            name: achievement.name,
+            icon: achievement.icon,
+            tier: achievement.tier,
+            unlockedAt: unlock.unlockedAt,
+          }
+        : null;
+    })
+    .filter(Boolean);
+
+  const digest = {
+    week: monday,
+    from,
+    to,
+    timezone,
+    activeDays: days.size,
+    stepsCompleted: counts.step_completed,
+    notesAdded: counts.note_added,
+    quizzesCompleted: counts.quiz_completed,
+    roadmaps,
+    streak: {
+      current: progress.currentStreak,
+      longest: progress.longestStreak,
+      // Still alive if it was extended today or yesterday
+      alive:
+        progress.currentStreak > 0 &&
+        !!lastActiveDay &&
+        daysBetween(lastActiveDay, dayKey(now, timezone)) <= 1,
+      freezesUsed: progress.streakFreezes.history.filter(
+        (use) => use.day >= monday && use.day <= sunday
+      ).length,
+      freezesAvailable: progress.streakFreezes.available,
+    },
+    achievements,
+    nextSteps: await findNextSteps(userId),
+    encouragement: null,
+  };
+
+  if (encouragement) {
+    digest.encouragement = await encouragementFor(userId, digest);
+  }
+  return digest;
+}
+
+/**
+ * Next Monday digest time after an instant
+ * @param {string} timezone - IANA time zone
+ * @param {Date} now - Current time
+ * @returns {Date}
+ */
+function nextDigestTime(timezone, now = new Date()) {
+  const thisWeek = weekStart(dayKey(now, timezone));
+  const at = zonedTimeToUtc(thisWeek, DIGEST_TIME, timezone);
+  return at > now
+    ? at
+    : zonedTimeToUtc(addDays(thisWeek, 7), DIGEST_TIME, timezone);
+}
+
+/**
+ * Make sure the user's pending digest is the one for next Monday, unless
+ * they turned digests off. Safe to call concurrently: the digest for a week
+ * is upserted, and a unique index allows one pending digest per user and
+ * week.
+ * @param {Object} progress - UserProgress document
+ * @returns {Promise<Object|null>} - The scheduled notification, if any
+ */
+async function scheduleNextDigest(progress) {
+  const pending = {
+    userId: progress.userId,
+    type: "weekly_digest",
+    status: "pending",
+  };
+
+  const preferences = await NotificationPreferences.findOne({
+    userId: progress.userId,
+  }).select("weeklyDigest");
+  if (preferences?.weeklyDigest === false) {
+    await ScheduledNotification.updateMany(pending, {
+      $set: { status: "cancelled" },
+    });
+    return null;
+  }
+
+  const scheduledFor = nextDigestTime(progress.timezone);
+  const week = previousWeek(scheduledFor, progress.timezone);
+  // e.g. a digest planned before a time zone change moved the week
+  await ScheduledNotification.updateMany(
+    { ...pending, "metadata.week": { $ne: week } },
+    { $set: { status: "cancelled" } }
+  );
+
+  // Written when it is sent (see the render hook below)
+  const { title, message } = await renderForUser(
+    progress.userId,
+    "weekly_digest.ready"
+  );
+  const filter = { ...pending, "metadata.week": week };
+  try {
+    return await ScheduledNotification.findOneAndUpdate(
+      filter,
+      {
+        $set: { scheduledFor },
+        $setOnInsert: { title, message },
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    // A concurrent call inserted it first
+    if (error.code === 11000) {
+      return ScheduledNotification.findOne(filter);
+    }
+    throw error;
+  }
+}
+
+async function rescheduleFor(notification) {
+  const progress = await UserProgress.findOne({
+    userId: notification.userId,
+  });
+  if (progress) {
+    await scheduleNextDigest(progress);
+  }
+}
+
+registerNotificationType("weekly_digest", {
+  // Still worth reading later on Monday, not a week on
+  maxDelayMs: 24 * 60 * 60 * 1000,
+
+  async beforeSend(notification) {
+    const [preferences, progress] = await Promise.all([
+      NotificationPreferences.findOne({ userId: notification.userId }),
+      UserProgress.findOne({ userId: notification.userId }),
+    ]);
+    if (preferences?.weeklyDigest === false) {
+      return "Weekly digests are turned off";
+    }
+    if (!progress) {
+      return "No learning progress";
+    }
+
+    const monday = notification.metadata.week;
+    const active = await Activity.exists({
+      userId: notification.userId,
+      date: {
+        $gte: zonedTimeToUtc(monday, "00:00", progress.timezone),
+        $lt: zonedTimeToUtc(addDays(monday, 7), "00:00", progress.timezone),
+      },
+    });
+    return active ? null : "No activity that week";
+  },
+
+  async render(notification) {
+    const progress = await UserProgress.findOne({
+      userId: notification.userId,
+    });
+    const digest = await buildWeeklyDigest(progress, {
+      week: notification.metadata.week,
+      encouragement: AI_ENCOURAGEMENT,
+    });
+
+    const next = digest.nextSteps[0];
+    const { title, message } = await renderForUser(
+      notification.userId,
+      next ? "weekly_digest.next_step" : "weekly_digest",
+      {
+        stepCount: digest.stepsCompleted,
+        roadmapCount: digest.roadmaps.length,
+        noteCount: digest.notesAdded,
+        streak: digest.streak.alive ? digest.streak.current : 0,
+        achievementCount: digest.achievements.length,
+        stepTitle: next?.stepTitle,
+        roadmapTitle: next?.roadmapTitle,
+      }
+    );
+
+    return {
+      title,
+      message: digest.encouragement
+        ? `${message}\n\n${digest.encouragement}`
+        : message,
+      metadata: {
+        week: digest.week,
+        streakCount: digest.streak.current,
+        roadmapIds: digest.roadmaps.map((roadmap) => roadmap.roadmapId),
+      },
+    };
+  },
+
+  afterSend: rescheduleFor,
+  afterSkip: rescheduleFor,
+});
+
+/**
+ * Make sure every learner who wants digests has one scheduled
+ */
+async function ensureWeeklyDigests() {
+  const learners = UserProgress.find().cursor();
+  for await (const progress of learners) {
+    const pending = await ScheduledNotification.exists({
+      userId: progress.userId,
+      type: "weekly_digest",
+      status: "pending",
+    });
+    if (!pending) {
+      await scheduleNextDigest(progress);
+    }
+  }
+}
+
+// New learners appear between restarts, so this runs periodically
+async function sweep() {
+  try {
+    await ensureWeeklyDigests();
+  } catch (error) {
+    console.error("Failed to schedule weekly digests:", error.message);
+  }
+  if (started) {
+    sweepTimer = setTimeout(sweep, SWEEP_INTERVAL_MS);
+  }
+}
+
+function startWeeklyDigests() {
+  if (started) return;
+  started = true;
+  sweep();
+}
+
+function stopWeeklyDigests() {
+  started = false;
+  clearTimeout(sweepTimer);
+}
+
+module.exports = {
+  buildWeeklyDigest,
+  scheduleNextDigest,
+  startWeeklyDigests,
+  stopWeeklyDigests,
+};
@@ -0,0 +1,86 @@
+const { parseJsonLoosely } = require("../services/llm/structured");
+
+const ACTION_START = ":::ACTION:::";
+const ACTION_END = ":::END_ACTION:::";
+
+/**
+ * Splits an assistant reply into its visible message and the action block
+ * that the system prompt asks the model to append
+ * @param {string} text - Full assistant reply
+ * @returns {{message: string, action: Object|null}} - Reply without the block, and the parsed action
+ */
+function extractActionBlock(text) {
+  const start = text.indexOf(ACTION_START);
+  if (start === -1) {
+    return { message: text, action: null };
+  }
+
+  const bodyStart = start + ACTION_START.length;
+  const end = text.indexOf(ACTION_END, bodyStart);
+  const body = text.slice(bodyStart, end === -1 ? undefined : end);
+  const rest = end === -1 ? "" : text.slice(end + ACTION_END.length);
+
+  let action = null;
+  try {
+    const parsed = parseJsonLoosely(body);
+    if (parsed && typeof parsed === "object" && !Array.isArray(parsed)) {
+      action = parsed;
+    }
+  } catch (error) {
+    console.error("Failed to parse action block:", error.message);
+  }
+
+  return {
+    message: (text.slice(0, start) + rest).trim(),
+    action,
+  };
+}
+
+/**
+ * Filters streamed text so the action block is never forwarded to the client.
+ * Text that might be the start of the marker is held back until it's certain.
+ * @returns {{push: Function, flush: Function}} - push(chunk) and flush() return text safe to forward
+ */
+function createActionStreamFilter() {
+  let pending = "";
+  let inAction = false;
+
+  return {
+    push(chunk) {
+      if (inAction) {
+        return "";
+      }
+
+      pending += chunk;
+      const start = pending.indexOf(ACTION_START);
+      if (start !== -1) {
+        inAction = true;
+        const visible = pending.slice(0, start);
+        pending = "";
+        return visible;
+      }
+
+      // Hold back the longest suffix that could still become the marker
+      let hold = Math.min(ACTION_START.length - 1, pending.length);
+      while (hold > 0 && !ACTION_START.startsWith(pending.slice(-hold))) {
+        hold--;
+      }
+      const visible = pending.slice(0, pending.length - hold);
+      pending = pending.slice(pending.length - hold);
+      return visible;
+    },
+
+    flush() {
+      const visible = inAction ? "" : pending;
+      pending = "";
+      return visible;
+    },
+  };
+}
+
+module.exports = {
+  ACTION_START,
+  ACTION_END,
+  extractActionBlock,
+  createActionStreamFilter,
+};
@@ -0,0 +1,104 @@
+// Study hours assumed per larger unit when a model answers in days or weeks
+const HOURS_PER_UNIT = {
+  minute: 1 / 60,
+  hour: 1,
+  day: 8,
+  week: 40,
+  month: 160,
+};
+
+const UNIT_ALIASES = {
+  m: "minute",
+  min: "minute",
+  mins: "minute",
+  minute: "minute",
+  minutes: "minute",
+  h: "hour",
+  hr: "hour",
+  hrs: "hour",
+  hour: "hour",
+  hours: "hour",
+  d: "day",
+  day: "day",
+  days: "day",
+  w: "week",
+  wk: "week",
+  wks: "week",
+  week: "week",
+  weeks: "week",
+  month: "month",
+  months: "month",
+};
+
+/**
+ * Parses an estimated time string into an hour range
+ * Accepts "4-6 hours", "3 hours", "2–3 days", "1 to 2 weeks", "90 minutes"
+ * @param {string} value - Estimated time as written by a user or model
+ * @returns {{min: number, max: number}|null} - Range in hours, or null if unparseable
+ */
+function parseEstimatedHours(value) {
+  if (typeof value === "number" && value > 0) {
+    return { min: value, max: value };
+  }
+  if (typeof value !== "string") {
+    return null;
+  }
+
+  const match = value
+    .toLowerCase()
+    .match(/(\d+(?:\.\d+)?)\s*(?:(?:-|–|—|to)\s*(\d+(?:\.\d+)?))?\s*([a-z]+)?/);
+  if (!match) {
+    return null;
+  }
+
+  const unit = UNIT_ALIASES[match[3]] || "hour";
+  const factor = HOURS_PER_UNIT[unit];
+  const min = parseFloat(match[1]) * factor;
+  const max = (match[2] ? parseFloat(match[2]) : parseFloat(match[1])) * factor;
+
+  if (!(min > 0) || !(max > 0)) {
+    return null;
+  }
+
+  return { min: Math.min(min, max), max: Math.max(min, max) };
+}
+
+// Quarter hours below an hour, half hours above
+function roundHours(hours) {
+  return hours < 1
+    ? Math.round(hours * 4) / 4 || 0.25
+    : Math.round(hours * 2) / 2;
+}
+
+/**
+ * Formats an hour range the way the learning path prompts ask for it
+ * @param {{min: number, max: number}} range - Range in hours
+ * @returns {string} - e.g. "4-6 hours" or "1 hour"
+ */
+function formatHours({ min, max }) {
+  const low = roundHours(min);
+  const high = roundHours(max);
+
+  if (low === high) {
+    return `${low} ${low === 1 ? "hour" : "hours"}`;
+  }
+  return `${low}-${high} hours`;
+}
+
+/**
+ * Normalizes an estimated time string to hours
+ * @param {string} value - Estimated time as written by a user or model
+ * @param {string} fallback - Value to use when the input can't be parsed
+ * @returns {string} - Normalized estimate, e.g. "16-24 hours"
+ */
+function normalizeEstimatedTime(value, fallback = "2-3 hours") {
+  const range = parseEstimatedHours(value);
+  return range ? formatHours(range) : fallback;
+}
+
+module.exports = {
+  HOURS_PER_UNIT,
+  parseEstimatedHours,
+  formatHours,
+  normalizeEstimatedTime,
+};
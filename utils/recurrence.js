@@ -0,0 +1,402 @@
+const {
+  dayKey,
+  daysBetween,
+  addDays,
+  zonedTimeToUtc,
+  timeOfDay,
+} = require("./timezone");
+
+/**
+ * Recurrence rules for notification schedules, evaluated in a time zone.
+ *
+ * - cron: five fields "minute hour day-of-month month day-of-week" with
+ *   *, lists, ranges, steps and names (e.g. "30 9 * * MON-FRI"), or one of
+ *   @hourly, @daily, @weekly, @monthly, @yearly. As in cron, when both day
+ *   fields are restricted a day matching either one qualifies.
+ * - rrule: an iCalendar RRULE subset: FREQ (DAILY, WEEKLY, MONTHLY, YEARLY),
+ *   INTERVAL, BYDAY (without ordinals), BYMONTHDAY (negative counts from the
+ *   month's end), BYMONTH, BYHOUR, BYMINUTE, COUNT and UNTIL. The series
+ *   start plays the part of DTSTART.
+ */
+
+// How far ahead to look for the next occurrence (covers Feb 29 rules)
+const MAX_SEARCH_DAYS = 5 * 366;
+
+const MONTH_NAMES = [
+  "JAN",
+  "FEB",
+  "MAR",
+  "APR",
+  "MAY",
+  "JUN",
+  "JUL",
+  "AUG",
+  "SEP",
+  "OCT",
+  "NOV",
+  "DEC",
+];
+const DAY_NAMES = ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"];
+const RRULE_DAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const RRULE_FREQUENCIES = ["DAILY", "WEEKLY", "MONTHLY", "YEARLY"];
+
+const CRON_MACROS = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+  "@yearly": "0 0 1 1 *",
+};
+
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: "day of week", min: 0, max: 7, names: DAY_NAMES, offset: 0 },
+];
+
+class RecurrenceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "RecurrenceError";
+  }
+}
+
+// "YYYY-MM-DD" -> { year, month, day, weekday }
+function dayParts(key) {
+  const [year, month, day] = key.split("-").map(Number);
+  const weekday = new Date(Date.parse(key)).getUTCDay();
+  return { year, month, day, weekday };
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function formatTime(hour, minute) {
+  return `${String(hour).padStart(2, "0")}:${String(minute).padStart(2, "0")}`;
+}
+
+function parseCronValue(text, field) {
+  const index = field.names?.indexOf(text.toUpperCase()) ?? -1;
+  if (index !== -1) {
+    return index + field.offset;
+  }
+  const value = Number(text);
+  if (!/^\d+$/.test(text) || value < field.min || value > field.max) {
+    throw new RecurrenceError(`Invalid ${field.name} in cron: "${text}"`);
+  }
+  return value;
+}
+
+function parseCronField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(",")) {
+    const [range, stepText] = part.split("/");
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new RecurrenceError(
+        `Invalid step in cron ${field.name}: "${part}"`
+      );
+    }
+
+    let low;
+    let high;
+    if (range === "*") {
+      low = field.min;
+      high = field.max;
+    } else if (range.includes("-")) {
+      [low, high] = range.split("-").map((v) => parseCronValue(v, field));
+    } else {
+      low = parseCronValue(range, field);
+      high = stepText === undefined ? low : field.max;
+    }
+    if (low > high) {
+      throw new RecurrenceError(
+        `Invalid range in cron ${field.name}: "${part}"`
+      );
+    }
+
+    for (let value = low; value <= high; value += step) {
+      values.add(value);
+    }
+  }
+
+  return { values, restricted: text !== "*" };
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - e.g. "0 9 * * 1-5"
+ * @returns {Object} - Parsed fields
+ * @throws {RecurrenceError}
+ */
+function parseCron(expression) {
+  const text = String(expression || "").trim();
+  const fields = (CRON_MACROS[text.toLowerCase()] || text).split(/\s+/);
+  if (fields.length !== 5) {
+    throw new RecurrenceError(
+      "cron must have five fields: minute hour day-of-month month day-of-week"
+    );
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = fields.map((f, i) =>
+    parseCronField(f, CRON_FIELDS[i])
+  );
+  // 7 is another name for Sunday
+  if (dayOfWeek.values.delete(7)) {
+    dayOfWeek.values.add(0);
+  }
+
+  return {
+    minutes: [...minute.values].sort((a, b) => a - b),
+    hours: [...hour.values].sort((a, b) => a - b),
+    dayOfMonth,
+    month,
+    dayOfWeek,
+  };
+}
+
+function cronDayMatches(cron, key) {
+  const { month, day, weekday } = dayParts(key);
+  if (!cron.month.values.has(month)) {
+    return false;
+  }
+  const domMatch = cron.dayOfMonth.values.has(day);
+  const dowMatch = cron.dayOfWeek.values.has(weekday);
+  if (cron.dayOfMonth.restricted && cron.dayOfWeek.restricted) {
+    return domMatch || dowMatch;
+  }
+  return domMatch && dowMatch;
+}
+
+function parseNumberList(key, value, min, max) {
+  return value.split(",").map((text) => {
+    const number = Number(text);
+    if (!Number.isInteger(number) || number < min || number > max) {
+      throw new RecurrenceError(`Invalid ${key} in rrule: "${text}"`);
+    }
+    return number;
+  });
+}
+
+// UNTIL is "YYYYMMDD" or "YYYYMMDDTHHMMSSZ"
+function parseUntil(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(
+    value
+  );
+  if (!match) {
+    throw new RecurrenceError(`Invalid UNTIL in rrule: "${value}"`);
+  }
+  const [, year, month, day, hour = "23", minute = "59", second = "59"] = match;
+  return new Date(
+    Date.UTC(year, month - 1, day, Number(hour), Number(minute), second)
+  );
+}
+
+/**
+ * Parse an iCalendar RRULE
+ * @param {string} expression - e.g. "FREQ=WEEKLY;BYDAY=MO,WE;BYHOUR=18"
+ * @returns {Object} - Parsed rule, including count and until if given
+ * @throws {RecurrenceError}
+ */
+function parseRRule(expression) {
+  const rule = { interval: 1 };
+  const text = String(expression || "")
+    .trim()
+    .replace(/^RRULE:/i, "");
+
+  for (const part of text.split(";").filter(Boolean)) {
+    const [rawKey, value = ""] = part.split("=");
+    const key = rawKey.toUpperCase();
+
+    switch (key) {
+      case "FREQ":
+        rule.freq = value.toUpperCase();
+        if (!RRULE_FREQUENCIES.includes(rule.freq)) {
+          throw new RecurrenceError(
+            `FREQ must be one of: ${RRULE_FREQUENCIES.join(", ")}`
+          );
+        }
+        break;
+      case "INTERVAL":
+        [rule.interval] = parseNumberList(key, value, 1, 1000);
+        break;
+      case "COUNT":
+        [rule.count] = parseNumberList(key, value, 1, 100000);
+        break;
+      case "UNTIL":
+        rule.until = parseUntil(value);
+        break;
+      case "BYDAY":
+        rule.byDay = value.split(",").map((day) => {
+          const index = RRULE_DAYS.indexOf(day.toUpperCase());
+          if (index === -1) {
+            throw new RecurrenceError(
+              `Invalid BYDAY in rrule: "${day}" (ordinals like 1MO are not supported)`
+            );
+          }
+          return index;
+        });
+        break;
+      case "BYMONTHDAY":
+        rule.byMonthDay = parseNumberList(key, value, -31, 31);
+        if (rule.byMonthDay.includes(0)) {
+          throw new RecurrenceError("BYMONTHDAY cannot be 0");
+        }
+        break;
+      case "BYMONTH":
+        rule.byMonth = parseNumberList(key, value, 1, 12);
+        break;
+      case "BYHOUR":
+        rule.byHour = parseNumberList(key, value, 0, 23);
+        break;
+      case "BYMINUTE":
+        rule.byMinute = parseNumberList(key, value, 0, 59);
+        break;
+      case "WKST":
+        break;
+      default:
+        throw new RecurrenceError(`Unsupported rrule part: ${key}`);
+    }
+  }
+
+  if (!rule.freq) {
+    throw new RecurrenceError("rrule must include FREQ");
+  }
+  return rule;
+}
+
+function rruleDayMatches(rule, key, startKey) {
+  const day = dayParts(key);
+  const start = dayParts(startKey);
+  let { byDay, byMonthDay, byMonth } = rule;
+
+  switch (rule.freq) {
+    case "DAILY":
+      if (daysBetween(startKey, key) % rule.interval !== 0) return false;
+      break;
+    case "WEEKLY": {
+      // Weeks start on Monday
+      const startWeek = addDays(startKey, -((start.weekday + 6) % 7));
+      const weeks = Math.floor(daysBetween(startWeek, key) / 7);
+      if (weeks % rule.interval !== 0) return false;
+      byDay = byDay || [start.weekday];
+      break;
+    }
+    case "MONTHLY": {
+      const months = (day.year - start.year) * 12 + day.month - start.month;
+      if (months % rule.interval !== 0) return false;
+      if (!byDay && !byMonthDay) byMonthDay = [start.day];
+      break;
+    }
+    case "YEARLY":
+      if ((day.year - start.year) % rule.interval !== 0) return false;
+      byMonth = byMonth || [start.month];
+      if (!byDay && !byMonthDay) byMonthDay = [start.day];
+      break;
+  }
+
+  if (byMonth && !byMonth.includes(day.month)) {
+    return false;
+  }
+  if (byDay && !byDay.includes(day.weekday)) {
+    return false;
+  }
+  if (byMonthDay) {
+    const length = daysInMonth(day.year, day.month);
+    const matches = byMonthDay.some((d) =>
+      d > 0 ? d === day.day : length + d + 1 === day.day
+    );
+    if (!matches) return false;
+  }
+  return true;
+}
+
+/**
+ * Validate a recurrence
+ * @param {Object} recurrence - { cron } or { rrule }, plus timezone
+ * @returns {Object} - { cron, rrule, timezone, count, until }
+ *   count and until come from the RRULE's COUNT and UNTIL, if present
+ * @throws {RecurrenceError}
+ */
+function parseRecurrence({ cron, rrule, timezone } = {}) {
+  if (Boolean(cron) === Boolean(rrule)) {
+    throw new RecurrenceError("Provide exactly one of cron or rrule");
+  }
+  if (cron) {
+    parseCron(cron);
+    return { cron: String(cron).trim(), timezone };
+  }
+  const rule = parseRRule(rrule);
+  return {
+    rrule: String(rrule).trim(),
+    timezone,
+    count: rule.count,
+    until: rule.until,
+  };
+}
+
+/**
+ * First occurrence of a recurrence after an instant
+ * @param {Object} recurrence - { cron } or { rrule }, plus timezone
+ * @param {Object} options - { start, after }
+ *   start: no occurrence before it (the DTSTART of an rrule)
+ *   after: the occurrence must be later than this (defaults to now)
+ * @returns {Date|null} - null if there are no more occurrences
+ */
+function nextOccurrence(
+  { cron, rrule, timezone },
+  { start = new Date(), after = new Date() } = {}
+) {
+  const from = after > start ? after : new Date(start.getTime() - 1);
+  const firstDay = dayKey(from, timezone);
+
+  let times;
+  let dayMatches;
+  let until = null;
+  if (cron) {
+    const parsed = parseCron(cron);
+    times = parsed.hours.flatMap((h) =>
+      parsed.minutes.map((m) => formatTime(h, m))
+    );
+    dayMatches = (key) => cronDayMatches(parsed, key);
+  } else {
+    const rule = parseRRule(rrule);
+    const startKey = dayKey(start, timezone);
+    const [startHour, startMinute] = timeOfDay(start, timezone)
+      .split(":")
+      .map(Number);
+    times = (rule.byHour || [startHour])
+      .flatMap((h) => (rule.byMinute || [startMinute]).map((m) => [h, m]))
+      .sort((a, b) => a[0] - b[0] || a[1] - b[1])
+      .map(([h, m]) => formatTime(h, m));
+    dayMatches = (key) =>
+      daysBetween(startKey, key) >= 0 && rruleDayMatches(rule, key, startKey);
+    until = rule.until || null;
+  }
+
+  for (let i = 0; i <= MAX_SEARCH_DAYS; i++) {
+    const key = addDays(firstDay, i);
+    if (!dayMatches(key)) {
+      continue;
+    }
+    for (const time of times) {
+      const at = zonedTimeToUtc(key, time, timezone);
+      if (at > from) {
+        return until && at > until ? null : at;
+      }
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  RecurrenceError,
+  parseCron,
+  parseRRule,
+  parseRecurrence,
+  nextOccurrence,
+};
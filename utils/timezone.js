@@ -0,0 +1,169 @@
+const DEFAULT_TIMEZONE = "UTC";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Intl formatters are expensive to build, so keep one per zone
+const dayFormatters = new Map();
+
+/**
+ * Checks whether a string is an IANA time zone name this runtime knows
+ * @param {string} timezone - e.g. "America/Los_Angeles"
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+  if (typeof timezone !== "string" || !timezone) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function getDayFormatter(timezone) {
+  const zone = isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE;
+  if (!dayFormatters.has(zone)) {
+    // en-CA formats dates as YYYY-MM-DD
+    dayFormatters.set(
+      zone,
+      new Intl.DateTimeFormat("en-CA", {
+        timeZone: zone,
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+      })
+    );
+  }
+  return dayFormatters.get(zone);
+}
+
+/**
+ * Calendar day of an instant in a time zone
+ * @param {Date|string|number} date - Instant to convert
+ * @param {string} timezone - IANA time zone (falls back to UTC)
+ * @returns {string} - "YYYY-MM-DD"
+ */
+function dayKey(date, timezone) {
+  return getDayFormatter(timezone).format(new Date(date));
+}
+
+/**
+ * Whole days from one day key to another (positive if `to` is later)
+ * @param {string} from - "YYYY-MM-DD"
+ * @param {string} to - "YYYY-MM-DD"
+ * @returns {number}
+ */
+function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+}
+
+/**
+ * Move a day key by a number of days
+ * @param {string} key - "YYYY-MM-DD"
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} - "YYYY-MM-DD"
+ */
+function addDays(key, days) {
+  return new Date(Date.parse(key) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+const WEEKDAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+/**
+ * Weekday name of a calendar day
+ * @param {string} key - "YYYY-MM-DD"
+ * @returns {string} - e.g. "monday"
+ */
+function weekdayOf(key) {
+  return WEEKDAYS[new Date(Date.parse(key)).getUTCDay()];
+}
+
+const offsetFormatters = new Map();
+
+// Minutes the zone is ahead of UTC at a given instant
+function offsetMinutes(instant, timezone) {
+  if (!offsetFormatters.has(timezone)) {
+    offsetFormatters.set(
+      timezone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone: timezone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric",
+      })
+    );
+  }
+  const parts = Object.fromEntries(
+    offsetFormatters
+      .get(timezone)
+      .formatToParts(instant)
+      .map((part) => [part.type, Number(part.value)])
+  );
+  const asUtc = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return Math.round((asUtc - Math.floor(instant / 1000) * 1000) / 60000);
+}
+
+/**
+ * The instant a wall-clock time occurs on a day in a time zone.
+ * Times skipped by a DST change resolve to a nearby valid time.
+ * @param {string} key - "YYYY-MM-DD"
+ * @param {string} time - "HH:MM" (24-hour)
+ * @param {string} timezone - IANA time zone (falls back to UTC)
+ * @returns {Date}
+ */
+function zonedTimeToUtc(key, time, timezone) {
+  const zone = isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE;
+  const [hours, minutes] = time.split(":").map(Number);
+  const wallClock = Date.parse(key) + (hours * 60 + minutes) * 60 * 1000;
+
+  // Guess with the offset at the wall-clock time, then correct once in case
+  // the guess landed on the other side of a DST change
+  let instant = wallClock - offsetMinutes(wallClock, zone) * 60 * 1000;
+  instant = wallClock - offsetMinutes(instant, zone) * 60 * 1000;
+  return new Date(instant);
+}
+
+/**
+ * Wall-clock time of an instant in a time zone
+ * @param {Date|string|number} date - Instant to convert
+ * @param {string} timezone - IANA time zone (falls back to UTC)
+ * @returns {string} - "HH:MM" (24-hour)
+ */
+function timeOfDay(date, timezone) {
+  const zone = isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE;
+  const instant = new Date(date).getTime();
+  const local = instant + offsetMinutes(instant, zone) * 60 * 1000;
+  return new Date(local).toISOString().slice(11, 16);
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  dayKey,
+  daysBetween,
+  addDays,
+  WEEKDAYS,
+  weekdayOf,
+  zonedTimeToUtc,
+  timeOfDay,
+};